@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+
+// Set to "true" once existing data has a teamId (npm run backfill-team); while off, every
+// request acts with access to all teams' data
+const AUTH_ENABLED = process.env.AUTH_ENABLED === 'true';
+// Shared secret for HS256 JWTs issued by your identity provider (JWTs are rejected when unset)
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_ISSUER = process.env.JWT_ISSUER;
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE;
+
+const TEAMS_COLLECTION = "teams";
+const USERS_COLLECTION = "users";
+const API_KEYS_COLLECTION = "api_keys";
+
+const API_KEY_PREFIX = 'tck_';
+
+/**
+ * API keys are only stored as their SHA-256 hash
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Filter that limits a transcripts or chat query to the caller's team
+ * (empty when authentication is disabled)
+ */
+function teamScope(auth) {
+  return auth && auth.teamId ? { teamId: auth.teamId } : {};
+}
+
+/**
+ * Owner fields recorded on transcripts, chats and jobs the caller creates
+ */
+function ownerFields(auth) {
+  return auth && auth.userId ? { teamId: auth.teamId, userId: auth.userId } : {};
+}
+
+/**
+ * Transcript IDs the caller's team doesn't own (or that don't exist)
+ * @param {Collection} transcriptsCollection
+ * @param {Object} auth - req.auth
+ * @param {Array<string>} transcriptIds
+ * @returns {Promise<Array<string>>} Empty when every transcript is accessible, or authentication is disabled
+ */
+async function findInaccessibleTranscripts(transcriptsCollection, auth, transcriptIds) {
+  if (!auth || !auth.teamId) {
+    return [];
+  }
+
+  const validIds = transcriptIds.filter(id => ObjectId.isValid(id));
+  const owned = await transcriptsCollection
+    .find({ _id: { $in: validIds.map(id => new ObjectId(id)) }, ...teamScope(auth) }, { projection: { _id: 1 } })
+    .toArray();
+  const ownedIds = new Set(owned.map(transcript => transcript._id.toString()));
+
+  return transcriptIds.filter(id => !ownedIds.has(id));
+}
+
+/**
+ * Resolves API keys and JWTs to users and their team
+ */
+class Authenticator {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getDatabase - async () => Db
+   */
+  constructor({ getDatabase }) {
+    this.getDatabase = getDatabase;
+    this.indexesEnsured = false;
+  }
+
+  async getCollections() {
+    const database = await this.getDatabase();
+    const users = database.collection(USERS_COLLECTION);
+    const apiKeys = database.collection(API_KEYS_COLLECTION);
+
+    if (!this.indexesEnsured) {
+      await users.createIndex({ email: 1 }, { unique: true });
+      await apiKeys.createIndex({ userId: 1 });
+      this.indexesEnsured = true;
+    }
+
+    return { teams: database.collection(TEAMS_COLLECTION), users, apiKeys };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The key's user, or null if the key is unknown or revoked
+   */
+  async authenticateApiKey(apiKey) {
+    const { users, apiKeys } = await this.getCollections();
+    const key = await apiKeys.findOne({ _id: hashApiKey(apiKey), revokedAt: null });
+    if (!key || !ObjectId.isValid(key.userId)) {
+      return null;
+    }
+    return users.findOne({ _id: new ObjectId(key.userId) });
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The user named by the token's `sub` claim, or null when JWTs aren't configured
+   * @throws {JsonWebTokenError} If the token is invalid or expired
+   */
+  async authenticateJwt(token) {
+    if (!JWT_SECRET) {
+      return null;
+    }
+    const claims = jwt.verify(token, JWT_SECRET, {
+      algorithms: ['HS256'],
+      issuer: JWT_ISSUER || undefined,
+      audience: JWT_AUDIENCE || undefined
+    });
+    if (!claims.sub || !ObjectId.isValid(claims.sub)) {
+      return null;
+    }
+
+    const { users } = await this.getCollections();
+    return users.findOne({ _id: new ObjectId(claims.sub) });
+  }
+
+  /**
+   * Express middleware setting req.auth = { userId, teamId, email } from
+   * `Authorization: Bearer <JWT or API key>` or an `X-API-Key` header
+   */
+  middleware() {
+    return async (req, res, next) => {
+      if (!AUTH_ENABLED) {
+        req.auth = { userId: null, teamId: null, email: null };
+        return next();
+      }
+
+      const authorization = req.get('authorization') || '';
+      const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+      const credential = bearer ? bearer[1].trim() : req.get('x-api-key');
+
+      if (!credential) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+
+      let user;
+      try {
+        user = credential.startsWith(API_KEY_PREFIX)
+          ? await this.authenticateApiKey(credential)
+          : await this.authenticateJwt(credential);
+      } catch (error) {
+        // Also covers expired and not-yet-valid tokens
+        if (error instanceof jwt.JsonWebTokenError) {
+          res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+          return res.status(401).json({ success: false, error: 'Invalid credentials', message: error.message });
+        }
+        return next(error);
+      }
+
+      if (!user) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ success: false, error: 'Invalid credentials' });
+      }
+      if (!user.teamId) {
+        return res.status(403).json({ success: false, error: 'User does not belong to a team' });
+      }
+
+      req.auth = { userId: user._id.toString(), teamId: String(user.teamId), email: user.email };
+      next();
+    };
+  }
+
+  /**
+   * Create a team, or return the existing one with this name
+   */
+  async ensureTeam(name) {
+    const { teams } = await this.getCollections();
+    const existing = await teams.findOne({ name });
+    if (existing) {
+      return existing;
+    }
+    const team = { name, createdAt: new Date() };
+    const result = await teams.insertOne(team);
+    return { _id: result.insertedId, ...team };
+  }
+
+  /**
+   * Create a user in a team, or return the existing user with this email
+   */
+  async ensureUser({ email, name, teamId }) {
+    const { users } = await this.getCollections();
+    const existing = await users.findOne({ email });
+    if (existing) {
+      return existing;
+    }
+    const user = { email, name: name || email, teamId: teamId.toString(), createdAt: new Date() };
+    const result = await users.insertOne(user);
+    return { _id: result.insertedId, ...user };
+  }
+
+  /**
+   * Issue a new API key for a user. The key itself is only returned here; only its hash is stored.
+   * @returns {Promise<string>} The API key
+   */
+  async createApiKey(userId, { label = null } = {}) {
+    const { apiKeys } = await this.getCollections();
+    const apiKey = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    await apiKeys.insertOne({
+      _id: hashApiKey(apiKey),
+      userId: userId.toString(),
+      label,
+      createdAt: new Date(),
+      revokedAt: null
+    });
+    return apiKey;
+  }
+}
+
+module.exports = {
+  AUTH_ENABLED,
+  Authenticator,
+  teamScope,
+  ownerFields,
+  findInaccessibleTranscripts,
+  hashApiKey
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+
+// Number of most recent messages passed to the model verbatim
+const HISTORY_WINDOW = parseInt(process.env.CHAT_HISTORY_WINDOW || '10', 10);
+// Summarise messages that fall outside the window instead of dropping them
+const HISTORY_SUMMARY_ENABLED = process.env.CHAT_HISTORY_SUMMARY !== 'false';
+
+let indexesEnsured = false;
+
+/**
+ * Make sure chat sessions can be looked up by chatId, listed newest first (per team,
+ * optionally per transcript) and searched by message text
+ */
+async function ensureSessionIndexes(chatCollection) {
+  if (indexesEnsured) {
+    return;
+  }
+  await chatCollection.createIndex({ chatId: 1 });
+  await chatCollection.createIndex({ createdAt: -1, _id: -1 });
+  await chatCollection.createIndex({ teamId: 1, createdAt: -1, _id: -1 });
+  await chatCollection.createIndex({ transcriptIds: 1, createdAt: -1, _id: -1 });
+  await chatCollection.createIndex({ 'messages.content': 'text' }, { name: 'messages_text' });
+  indexesEnsured = true;
+}
+
+/**
+ * Opaque list cursor pointing just past a session in createdAt/_id order
+ */
+function encodeCursor(session) {
+  const position = { createdAt: session.createdAt, id: session._id.toString() };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * @returns {Object|null} { createdAt, id }, or null if the cursor isn't one we issued
+ */
+function decodeCursor(cursor) {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !ObjectId.isValid(id)) {
+      return null;
+    }
+    return { createdAt: date, id: new ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List chat sessions newest first, a page at a time
+ * @param {Collection} chatCollection - transcript-chat collection
+ * @param {Object} filter - { teamId, transcriptId, startDate, endDate (Dates, end exclusive), search }
+ * @param {Object} page - { limit, cursor } cursor from a previous page's nextCursor
+ * @returns {Promise<Object>} { sessions, nextCursor, total } nextCursor is null on the last page
+ */
+async function listSessions(chatCollection, { teamId, transcriptId, startDate, endDate, search } = {}, { limit = 10, cursor = null } = {}) {
+  await ensureSessionIndexes(chatCollection);
+
+  const query = {};
+  if (teamId) {
+    query.teamId = teamId;
+  }
+  if (transcriptId) {
+    query.transcriptIds = transcriptId;
+  }
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = startDate;
+    if (endDate) query.createdAt.$lt = endDate;
+  }
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+  const pageQuery = { ...query };
+  if (cursor) {
+    pageQuery.$or = [
+      { createdAt: { $lt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }
+    ];
+  }
+
+  // Fetch one extra to know whether there is another page
+  const [sessions, total] = await Promise.all([
+    chatCollection.find(pageQuery).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).toArray(),
+    chatCollection.countDocuments(query)
+  ]);
+
+  const hasMore = sessions.length > limit;
+  const page = sessions.slice(0, limit);
+  return {
+    sessions: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    total
+  };
+}
+
+/**
+ * Delete a chat session, including any duplicates stored under the same chatId
+ * @param {Object} scope - Extra filter, e.g. the caller's team
+ * @returns {Promise<number>} Number of session documents removed
+ */
+async function deleteSession(chatCollection, chatId, scope = {}) {
+  await ensureSessionIndexes(chatCollection);
+
+  const result = await chatCollection.deleteMany({ chatId, ...scope });
+  return result.deletedCount;
+}
+
+/**
+ * Build a message in the shape stored in the transcript-chat collection
+ */
+function createMessage(role, content, extra = {}) {
+  return {
+    id: crypto.randomUUID(),
+    content,
+    role,
+    timestamp: new Date(),
+    ...extra
+  };
+}
+
+/**
+ * Load a chat session by chatId (most recently updated if duplicates exist)
+ * @param {Object} scope - Extra filter, e.g. the caller's team
+ */
+async function loadSession(chatCollection, chatId, scope = {}) {
+  await ensureSessionIndexes(chatCollection);
+
+  const sessions = await chatCollection
+    .find({ chatId, ...scope })
+    .sort({ updatedAt: -1, createdAt: -1 })
+    .limit(1)
+    .toArray();
+
+  return sessions[0] || null;
+}
+
+/**
+ * Append messages to a chat session, creating it on first use
+ * @param {Object} owner - { teamId, userId } recorded when the session is created
+ */
+async function appendMessages(chatCollection, chatId, transcriptIds, messages, owner = {}) {
+  await ensureSessionIndexes(chatCollection);
+
+  const now = new Date();
+  // Sessions are per team, so another team's session with the same chatId is never touched
+  await chatCollection.updateOne(
+    { chatId, ...(owner.teamId ? { teamId: owner.teamId } : {}) },
+    {
+      $push: { messages: { $each: messages } },
+      $inc: { messageCount: messages.length },
+      $addToSet: { transcriptIds: { $each: transcriptIds } },
+      $set: { updatedAt: now },
+      $setOnInsert: {
+        ...owner,
+        startedAt: messages.length > 0 ? messages[0].timestamp : now,
+        createdAt: now
+      }
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Build the conversation history passed to the model for a session.
+ * Keeps the last HISTORY_WINDOW messages verbatim; older messages are folded into
+ * a running summary stored on the session so each message is only summarised once.
+ * @param {Collection} chatCollection - transcript-chat collection
+ * @param {Object|null} session - Stored chat session
+ * @param {Function} summarize - async (previousSummary, messages) => summary
+ * @returns {Promise<Array>} Messages as { role, content }, summary first when present
+ */
+async function buildConversationHistory(chatCollection, session, summarize) {
+  if (!session || !session.messages || session.messages.length === 0) {
+    return [];
+  }
+
+  const messages = session.messages;
+  const olderCount = Math.max(messages.length - HISTORY_WINDOW, 0);
+  const recentMessages = messages.slice(olderCount);
+  let summary = session.summary || '';
+
+  if (HISTORY_SUMMARY_ENABLED && olderCount > (session.summarizedCount || 0)) {
+    const unsummarized = messages.slice(session.summarizedCount || 0, olderCount);
+    try {
+      summary = await summarize(summary, unsummarized);
+      await chatCollection.updateOne(
+        { _id: session._id },
+        { $set: { summary, summarizedCount: olderCount } }
+      );
+      console.log(`Summarised ${unsummarized.length} older messages for chat ${session.chatId}`);
+    } catch (error) {
+      // Fall back to whatever summary we already had
+      console.error('Error summarising conversation history:', error);
+    }
+  }
+
+  const history = recentMessages.map(msg => ({
+    role: msg.role,
+    content: msg.content
+  }));
+
+  if (HISTORY_SUMMARY_ENABLED && summary) {
+    history.unshift({
+      role: 'system',
+      content: `Summary of the earlier conversation:\n${summary}`
+    });
+  }
+
+  return history;
+}
+
+module.exports = {
+  createMessage,
+  loadSession,
+  appendMessages,
+  buildConversationHistory,
+  listSessions,
+  deleteSession,
+  decodeCursor
+};
@@ -1,10 +1,31 @@
 const express = require('express');
-const { MongoClient } = require('mongodb');
-const OpenAI = require('openai');
+const { MongoClient, ObjectId } = require('mongodb');
 const { z } = require('zod');
+const crypto = require('crypto');
 const { TranscriptRAG } = require('./langchain-rag');
-const { OpenAIEmbeddings } = require('@langchain/openai');
-const { MongoDBAtlasVectorSearch } = require('@langchain/mongodb');
+const {
+  createMessage,
+  loadSession,
+  appendMessages,
+  buildConversationHistory,
+  listSessions,
+  deleteSession,
+  decodeCursor
+} = require('./chat-sessions');
+const { createVectorStore } = require('./vector-stores');
+const { reciprocalRankFusion, fuseSearcherResults } = require('./rank-fusion');
+const { createKeywordSearch } = require('./keyword-search');
+const { extractTicketRefs } = require('./task-references');
+const { createIssueTracker } = require('./issue-tracker');
+const { MeetingSummaries } = require('./meeting-summaries');
+const { validateCitations, resolveCitations } = require('./citations');
+const { teamScope, ownerFields, findInaccessibleTranscripts } = require('./auth');
+const { getEmbeddings } = require('./model-providers');
+const { usageTracker, enforceUsageBudget, setUsageTranscripts } = require('./usage-tracker');
+const { clientRateLimit } = require('./client-rate-limit');
+const { UpstreamScheduler } = require('./upstream-scheduler');
+const { createIntentClassifier, planRetrieval, matchSpeakerName } = require('./query-intents');
+const { createQueryRewriter } = require('./query-rewriter');
 
 const router = express.Router();
 
@@ -15,21 +36,49 @@ const TRANSCRIPTS_COLLECTION = "transcripts";
 const CHAT_COLLECTION = "transcript-chat";
 const EMBEDDINGS_COLLECTION = "transcript_embeddings";
 
-// Initialize OpenAI and LangChain components
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+// Answer meeting summary requests from whole-meeting map-reduce summaries instead of only retrieved chunks
+const CHAT_USE_MEETING_SUMMARIES = process.env.CHAT_USE_MEETING_SUMMARIES !== 'false';
+
+// Most transcripts a filtered chat request (date range, meetings, speakers) searches; the most recent are kept
+const CHAT_MAX_FILTERED_TRANSCRIPTS = parseInt(process.env.CHAT_MAX_FILTERED_TRANSCRIPTS || '50', 10);
+
+// Most vector searches a fan-out query runs; past this, neighbouring transcripts (or dates) are searched together
+const FAN_OUT_MAX_GROUPS = parseInt(process.env.FAN_OUT_MAX_GROUPS || '10', 10);
+
+// Fan-out vector searches run at once across all chat requests
+const fanOutSearchScheduler = new UpstreamScheduler({
+  name: 'fan-out-search',
+  maxConcurrency: parseInt(process.env.FAN_OUT_SEARCH_CONCURRENCY || '4', 10),
+  maxRetries: 0
 });
 
-const embeddings = new OpenAIEmbeddings({
-  model: "text-embedding-3-small",
-  apiKey: process.env.OPENAI_API_KEY,
+// Messages each client may send per minute (0 = unlimited, the default), and how many at once
+const chatRateLimit = clientRateLimit({
+  name: 'chat-message',
+  perMinute: parseInt(process.env.CHAT_RATE_LIMIT_PER_MINUTE || '0', 10),
+  burst: parseInt(process.env.CHAT_RATE_LIMIT_BURST || '10', 10)
 });
 
+// Initialize LangChain components from the configured model provider
+const embeddings = getEmbeddings();
+
 // Initialize LangChain RAG
 const transcriptRAG = new TranscriptRAG();
 
+const meetingSummaries = new MeetingSummaries({ getDatabase, transcriptRAG });
+
+// Decides the retrieval plan for each question (see INTENT_CLASSIFIER)
+const intentClassifier = createIntentClassifier({ transcriptRAG });
+
+// Turns follow-ups into standalone search queries, and optionally more (see QUERY_REWRITE)
+const queryRewriter = createQueryRewriter({ transcriptRAG });
+
+// Resolves SP-XXX keys to tracker title/status/assignee (null when ISSUE_TRACKER=none)
+const issueTracker = createIssueTracker();
+
 let client = null;
 let db = null;
+let keywordSearch = null;
 
 async function getDatabase() {
   if (!db) {
@@ -41,26 +90,49 @@ async function getDatabase() {
 }
 
 /**
- * Initialize Vector Store for retrieval
+ * Keyword search over the embeddings collection, created once so the local index cache is reused
+ */
+async function getKeywordSearch() {
+  if (!keywordSearch) {
+    const database = await getDatabase();
+    keywordSearch = await createKeywordSearch(database.collection(EMBEDDINGS_COLLECTION));
+  }
+  return keywordSearch;
+}
+
+/**
+ * Initialize Vector Store (Atlas Vector Search or local, see VECTOR_STORE)
  */
 async function getVectorStore() {
   const database = await getDatabase();
   
-  return new MongoDBAtlasVectorSearch(embeddings, {
-    collection: database.collection(EMBEDDINGS_COLLECTION),
-    indexName: "vector_index", // Vector search index name in MongoDB Atlas
-    textKey: "text",
-    embeddingKey: "embedding",
-  });
+  return createVectorStore(database.collection(EMBEDDINGS_COLLECTION), embeddings);
 }
 
 // Validation schemas using Zod
+const DateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a YYYY-MM-DD date');
+
+// Transcripts are selected by ID, by the filters, or by both (the filters then narrow the IDs)
 const ChatMessageSchema = z.object({
   message: z.string().min(1).max(4000),
-  transcriptIds: z.array(z.string()).min(1),
+  transcriptIds: z.array(z.string()).min(1).optional(),
+  // Meetings held between these dates (inclusive)
+  startDate: DateSchema.optional(),
+  endDate: DateSchema.optional(),
+  meetingIds: z.array(z.string()).min(1).optional(),
+  // Only sections where one of these people speaks, by full or first name
+  speakers: z.array(z.string().trim().min(1)).min(1).optional(),
+  // Retrieve from each meeting separately (true) or from all at once (false); by default
+  // questions about each meeting separately, and comparisons, fan out
+  fanOut: z.boolean().optional(),
   chatId: z.string().optional()
-});
+}).refine(
+  data => data.transcriptIds || data.startDate || data.endDate || data.meetingIds || data.speakers,
+  'transcriptIds or at least one of startDate, endDate, meetingIds and speakers is required'
+);
 
+// Messages are persisted as each turn happens; clients only need to send them
+// here for conversations that were never started through /message
 const ChatCloseSchema = z.object({
   chatId: z.string(),
   messages: z.array(z.object({
@@ -68,14 +140,70 @@ const ChatCloseSchema = z.object({
     content: z.string(),
     role: z.enum(['user', 'assistant']),
     timestamp: z.string()
-  })),
-  transcriptIds: z.array(z.string())
+  })).optional(),
+  transcriptIds: z.array(z.string()).optional()
 });
 
+const ChatHistorySchema = z.object({
+  transcriptId: z.string().optional(),
+  // Conversations started between these dates (inclusive)
+  startDate: DateSchema.optional(),
+  endDate: DateSchema.optional(),
+  // Text search over message content
+  q: z.string().trim().min(1).max(200).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(10),
+  cursor: z.string().optional()
+});
+
+/**
+ * Shape a stored chunk (flattened fields or document metadata) as a search result
+ */
+function formatSearchResult(fields, text, score) {
+  return {
+    chunkId: fields._id ? fields._id.toString() : undefined,
+    transcriptId: fields.transcriptId,
+    meetingId: fields.meetingId,
+    date: fields.date,
+    content: text,
+    contentPreview: text.substring(0, 500) + (text.length > 500 ? '...' : ''),
+    chunkIndex: fields.chunkIndex || 0,
+    speakers: fields.speakers,
+    firstEntryIndex: fields.firstEntryIndex,
+    lastEntryIndex: fields.lastEntryIndex,
+    startTime: fields.startTime,
+    endTime: fields.endTime,
+    score
+  };
+}
+
+/**
+ * Filter on stored chunks for the searched transcripts and the request's metadata filters.
+ * Used as the vector store pre-filter and in direct queries on the embeddings collection.
+ * @param {Array<string>} transcriptIds
+ * @param {Object} filters - { startDate, endDate, meetingIds, speakers }, all optional
+ */
+function buildChunkFilter(transcriptIds, { startDate, endDate, meetingIds, speakers } = {}) {
+  // LangChain flattens metadata fields
+  const filter = { transcriptId: { $in: transcriptIds } };
+  if (startDate || endDate) {
+    // Dates are stored as YYYY-MM-DD strings, which sort chronologically
+    filter.date = {};
+    if (startDate) filter.date.$gte = startDate;
+    if (endDate) filter.date.$lte = endDate;
+  }
+  if (meetingIds) {
+    filter.meetingId = { $in: meetingIds };
+  }
+  if (speakers) {
+    filter.speakers = { $in: speakers };
+  }
+  return filter;
+}
+
 /**
  * Search for all SP-XXX task references in transcripts
  */
-async function searchAllTaskReferences(transcriptIds) {
+async function searchAllTaskReferences(transcriptIds, filters) {
   try {
     const database = await getDatabase();
     const embeddingsCollection = database.collection(EMBEDDINGS_COLLECTION);
@@ -84,21 +212,20 @@ async function searchAllTaskReferences(transcriptIds) {
     const taskPattern = /\b(?:sp|SP)[-\s]?\d+\b/;
     
     const taskQuery = {
-      "transcriptId": { $in: transcriptIds },  // LangChain flattens metadata fields
+      ...buildChunkFilter(transcriptIds, filters),
       text: { $regex: taskPattern, $options: 'i' }
     };
     
     const taskDocs = await embeddingsCollection.find(taskQuery).limit(20).toArray();
     
-    return taskDocs.map(doc => ({
-      transcriptId: doc.transcriptId,  // LangChain flattens metadata fields
-      meetingId: doc.meetingId,
-      date: doc.date,
-      content: doc.text,
-      contentPreview: doc.text.substring(0, 500) + (doc.text.length > 500 ? '...' : ''),
-      chunkIndex: doc.chunkIndex || 0,
-      similarity: 0.95 // Very high similarity for task references
-    }));
+    // Rank chunks by how many distinct tickets they mention, relative to the busiest chunk
+    const ticketCounts = taskDocs.map(doc => extractTicketRefs(doc.text).length);
+    const maxTickets = Math.max(...ticketCounts, 1);
+    
+    // LangChain flattens metadata fields onto the document
+    return taskDocs
+      .map((doc, index) => formatSearchResult(doc, doc.text, ticketCounts[index] / maxTickets))
+      .sort((a, b) => b.score - a.score);
     
   } catch (error) {
     console.error('Error in task search:', error);
@@ -107,123 +234,135 @@ async function searchAllTaskReferences(transcriptIds) {
 }
 
 /**
- * Search for keyword matches in addition to vector similarity
+ * Full-text keyword search (Atlas Search or local BM25, see KEYWORD_SEARCH) to
+ * complement vector similarity with exact terms, phrases and ticket references
  */
-async function searchKeywordContent(query, transcriptIds) {
+async function searchKeywordContent(query, transcriptIds, limit = 15, filters = {}) {
   try {
-    const database = await getDatabase();
-    const embeddingsCollection = database.collection(EMBEDDINGS_COLLECTION);
-    
-    // Check if query is asking about tasks (use synonyms)
-    const isTaskQuery = /\b(task|tasks|sp[-\s]?\d+|ticket|tickets|item|items|work|todo|assignment)\b/i.test(query);
-    
-    let searchQueries = [];
-    
-    // If asking about tasks, search broadly for SP patterns and task-related terms
-    if (isTaskQuery) {
-      // Search for SP-XXX patterns
-      searchQueries.push({
-        "transcriptId": { $in: transcriptIds },  // LangChain flattens metadata fields
-        text: { $regex: /\b(?:sp|SP)[-\s]?\d+\b/, $options: 'i' }
-      });
-      
-      // Search for task-related keywords
-      searchQueries.push({
-        "transcriptId": { $in: transcriptIds },  // LangChain flattens metadata fields
-        text: { $regex: /\b(task|ticket|item|assignment|todo|work|status|progress|update|complete|done|pending)\b/i }
-      });
-    }
-    
-    // Search for specific SP-XXX patterns mentioned in query
-    const spMatches = query.match(/\b(?:sp|SP)[-\s]?\d+\b/g) || [];
-    if (spMatches.length > 0) {
-      searchQueries.push({
-        "transcriptId": { $in: transcriptIds },  // LangChain flattens metadata fields
-        text: { $regex: spMatches.join('|'), $options: 'i' }
-      });
-    }
+    const keywordSearch = await getKeywordSearch();
+    // Transcripts are already narrowed to the dates and meetings, so only speakers remain to filter on
+    const hits = await keywordSearch.search(query, transcriptIds, { limit, speakers: filters.speakers });
     
-    // General keyword search
-    const searchTerms = query.toLowerCase().split(' ').filter(term => term.length > 2);
-    if (searchTerms.length > 0) {
-      searchQueries.push({
-        "transcriptId": { $in: transcriptIds },  // LangChain flattens metadata fields
-        text: { $regex: searchTerms.join('|'), $options: 'i' }
-      });
-    }
-    
-    if (searchQueries.length === 0) {
-      return [];
-    }
+    // LangChain flattens metadata fields onto the document
+    return hits.map(({ doc, score }) => formatSearchResult(doc, doc.text, score));
     
-    // Execute all queries and combine results
-    const allResults = [];
-    for (const query of searchQueries) {
-      const docs = await embeddingsCollection.find(query).limit(10).toArray();
-      allResults.push(...docs);
-    }
+  } catch (error) {
+    console.error('Error in keyword search:', error);
+    return [];
+  }
+}
+
+/**
+ * Search for similar content using the vector store, keeping its similarity scores
+ */
+async function searchSimilarContent(query, transcriptIds, maxResults = 5, filters = {}) {
+  try {
+    const vectorStore = await getVectorStore();
     
-    // Remove duplicates and format
-    const uniqueDocs = allResults.filter((doc, index, self) => 
-      index === self.findIndex(d => d._id.toString() === doc._id.toString())
+    // Get more results than needed in case the store can't pre-filter by transcript
+    const docsWithScores = await vectorStore.similaritySearchWithScore(
+      query,
+      maxResults * 3,
+      buildChunkFilter(transcriptIds, filters)
     );
     
-    return uniqueDocs.slice(0, 15).map(doc => ({
-      transcriptId: doc.transcriptId,  // LangChain flattens metadata fields
-      meetingId: doc.meetingId,
-      date: doc.date,
-      content: doc.text,
-      contentPreview: doc.text.substring(0, 500) + (doc.text.length > 500 ? '...' : ''),
-      chunkIndex: doc.chunkIndex || 0,
-      similarity: 0.9 // High similarity for keyword matches
-    }));
+    // Filter by transcript IDs and format results with the store's similarity score
+    return docsWithScores
+      .filter(([doc]) => transcriptIds.includes(doc.metadata.transcriptId))
+      .slice(0, maxResults)
+      .map(([doc, score]) => formatSearchResult(doc.metadata, doc.pageContent, score));
     
   } catch (error) {
-    console.error('Error in keyword search:', error);
-    return [];
+    console.error('Error searching similar content:', error);
+    throw error;
+  }
+}
+
+/**
+ * Combine runs of neighbouring groups so there are at most maxGroups
+ * @returns {Array} [{ transcriptIds, size }] size is the number of groups combined
+ */
+function mergeTranscriptGroups(transcriptGroups, maxGroups) {
+  const perSearch = Math.ceil(transcriptGroups.length / Math.max(maxGroups, 1));
+  const merged = [];
+  for (let i = 0; i < transcriptGroups.length; i += perSearch) {
+    const run = transcriptGroups.slice(i, i + perSearch);
+    merged.push({ transcriptIds: run.flat(), size: run.length });
   }
+  return merged;
 }
 
 /**
- * Search for similar content using vector store retriever
+ * Vector search run separately over each group of transcripts, so a meeting whose sections
+ * score lower than another meeting's still contributes its best k. Results are merged best first.
+ * Past FAN_OUT_MAX_GROUPS groups, neighbouring groups share a search for k per group, and the
+ * searches are queued behind FAN_OUT_SEARCH_CONCURRENCY.
+ * @param {Array<Array<string>>} transcriptGroups - Transcript IDs searched together
  */
-async function searchSimilarContent(query, transcriptIds, maxResults = 5) {
+async function searchSimilarContentByGroup(query, transcriptGroups, k, filters = {}) {
   try {
     const vectorStore = await getVectorStore();
-    const retriever = vectorStore.asRetriever({
-      k: maxResults * 3, // Get more results to filter by transcript IDs
-      searchType: "similarity",
-      searchKwargs: {
-        filter: {
-          "metadata.transcriptId": { $in: transcriptIds }
-        }
-      }
-    });
+    const searchGroups = mergeTranscriptGroups(transcriptGroups, FAN_OUT_MAX_GROUPS);
     
-    // Use the retriever to find similar documents
-    const docs = await retriever.getRelevantDocuments(query);
-    
-    // Filter by transcript IDs and format results
-    const filteredDocs = docs
-      .filter(doc => transcriptIds.includes(doc.metadata.transcriptId))
-      .slice(0, maxResults);
-    
-    return filteredDocs.map(doc => ({
-      transcriptId: doc.metadata.transcriptId,
-      meetingId: doc.metadata.meetingId,
-      date: doc.metadata.date,
-      content: doc.pageContent,
-      contentPreview: doc.pageContent.substring(0, 500) + (doc.pageContent.length > 500 ? '...' : ''),
-      chunkIndex: doc.metadata.chunkIndex || 0,
-      similarity: 0.8 // Placeholder - vector stores don't always return similarity scores
-    }));
+    // Embed the question once for all the searches
+    const queryEmbedding = await embeddings.embedQuery(query);
+    const groupResults = await Promise.all(searchGroups.map(({ transcriptIds, size }) =>
+      fanOutSearchScheduler.schedule(() =>
+        vectorStore.similaritySearchVectorWithScore(queryEmbedding, k * size, buildChunkFilter(transcriptIds, filters))
+      )
+    ));
+    
+    return groupResults
+      .flatMap((docsWithScores, index) => docsWithScores
+        .filter(([doc]) => searchGroups[index].transcriptIds.includes(doc.metadata.transcriptId))
+        .map(([doc, score]) => formatSearchResult(doc.metadata, doc.pageContent, score)))
+      .sort((a, b) => b.score - a.score);
     
   } catch (error) {
-    console.error('Error searching similar content:', error);
+    console.error('Error searching similar content by transcript:', error);
     throw error;
   }
 }
 
+/**
+ * Load the conversation history for one of the caller's chat sessions, summarising older turns if needed
+ */
+async function getConversationHistory(chatId, auth) {
+  const database = await getDatabase();
+  const chatCollection = database.collection(CHAT_COLLECTION);
+  
+  const session = await loadSession(chatCollection, chatId, teamScope(auth));
+  return buildConversationHistory(
+    chatCollection,
+    session,
+    (summary, messages) => transcriptRAG.summarizeConversation(summary, messages)
+  );
+}
+
+/**
+ * Persist one question/answer turn to the chat session as soon as it completes
+ * @param {Object} owner - { teamId, userId } of the caller, recorded on new sessions
+ */
+async function saveChatTurn(chatId, transcriptIds, userMessage, aiResponse, sources, owner) {
+  try {
+    const database = await getDatabase();
+    const chatCollection = database.collection(CHAT_COLLECTION);
+    
+    await appendMessages(chatCollection, chatId, transcriptIds, [
+      createMessage('user', userMessage),
+      createMessage('assistant', aiResponse.answer, {
+        confidence: aiResponse.confidence || 'medium',
+        sources,
+        citations: aiResponse.citations || [],
+        // Set when the client disconnected mid-stream and only part of the answer was generated
+        ...(aiResponse.interrupted ? { interrupted: true } : {})
+      })
+    ], owner);
+  } catch (error) {
+    // The answer has already been produced, so don't fail the request over persistence
+    console.error('Error saving chat turn:', error);
+  }
+}
 
 /**
  * Generate response using LangChain RAG
@@ -243,72 +382,626 @@ async function generateChatResponse(userMessage, similarContent, conversationHis
   }
 }
 
+/**
+ * Respond 404 if the caller's team doesn't own every requested transcript
+ * @returns {Promise<boolean>} true if the request may go ahead
+ */
+async function checkTranscriptAccess(req, res, transcriptIds) {
+  const database = await getDatabase();
+  const inaccessible = await findInaccessibleTranscripts(database.collection(TRANSCRIPTS_COLLECTION), req.auth, transcriptIds);
+  if (inaccessible.length > 0) {
+    res.status(404).json({
+      success: false,
+      error: 'Transcripts not found',
+      transcriptIds: inaccessible
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Resolve a chat request's date range, meeting IDs and speakers to the caller's
+ * transcripts, narrowing any transcriptIds it also gave. Speaker names are matched
+ * (by full or first name, any case) to the names stored on the transcripts' chunks.
+ * @returns {Promise<Object>} {
+ *   transcriptIds: most recent first, at most CHAT_MAX_FILTERED_TRANSCRIPTS,
+ *   filters: { startDate, endDate, meetingIds, speakers } to push down to the searches,
+ *   truncated: whether more transcripts matched than are searched
+ * }
+ */
+async function resolveChatScope(auth, { transcriptIds, startDate, endDate, meetingIds, speakers }) {
+  const database = await getDatabase();
+
+  const query = { ...teamScope(auth) };
+  if (transcriptIds) {
+    query._id = { $in: transcriptIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) };
+  }
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = startDate;
+    if (endDate) query.date.$lte = endDate;
+  }
+  if (meetingIds) {
+    query.meeting_id = { $in: meetingIds };
+  }
+
+  const transcripts = await database.collection(TRANSCRIPTS_COLLECTION)
+    .find(query, { projection: { _id: 1 } })
+    .sort({ date: -1, _id: -1 })
+    .toArray();
+  let matchingIds = transcripts.map(transcript => transcript._id.toString());
+
+  let speakerNames;
+  if (speakers && matchingIds.length > 0) {
+    const embeddingsCollection = database.collection(EMBEDDINGS_COLLECTION);
+    const knownSpeakers = await embeddingsCollection.distinct('speakers', { transcriptId: { $in: matchingIds } });
+    speakerNames = [...new Set(speakers.flatMap(name => matchSpeakerName(name, knownSpeakers.filter(Boolean))))];
+
+    // Only transcripts where one of them speaks
+    const spokenIn = new Set(speakerNames.length > 0
+      ? await embeddingsCollection.distinct('transcriptId', buildChunkFilter(matchingIds, { speakers: speakerNames }))
+      : []);
+    matchingIds = matchingIds.filter(id => spokenIn.has(id));
+  }
+
+  return {
+    transcriptIds: matchingIds.slice(0, CHAT_MAX_FILTERED_TRANSCRIPTS),
+    filters: {
+      ...(startDate && { startDate }),
+      ...(endDate && { endDate }),
+      ...(meetingIds && { meetingIds }),
+      ...(speakers && { speakers: speakerNames || [] })
+    },
+    truncated: matchingIds.length > CHAT_MAX_FILTERED_TRANSCRIPTS
+  };
+}
+
+/**
+ * Parsed transcript entries for the given transcripts, used to resolve cited lines.
+ * Transcripts that can't be loaded are left out, so their citations keep only the chunk text.
+ */
+async function loadTranscriptEntries(transcriptIds) {
+  const entriesByTranscript = new Map();
+  if (transcriptIds.length === 0) {
+    return entriesByTranscript;
+  }
+  
+  try {
+    const database = await getDatabase();
+    const transcripts = await database.collection(TRANSCRIPTS_COLLECTION)
+      .find(
+        { _id: { $in: transcriptIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) } },
+        { projection: { transcript_data: 1 } }
+      )
+      .toArray();
+    
+    transcripts.forEach(transcript => {
+      try {
+        entriesByTranscript.set(transcript._id.toString(), JSON.parse(transcript.transcript_data));
+      } catch (parseError) {
+        console.error(`Failed to parse transcript data for ${transcript._id}`);
+      }
+    });
+  } catch (error) {
+    console.error('Error loading transcripts for citations:', error);
+  }
+  return entriesByTranscript;
+}
+
+/**
+ * Validate an answer's inline citations against the sources it was given and resolve
+ * the valid ones to transcript lines. Invalid markers are removed from the answer.
+ */
+async function resolveAnswerCitations(answer, similarContent) {
+  const validated = validateCitations(answer, similarContent);
+  if (validated.invalidCitations.length > 0) {
+    console.warn('Dropped invalid citations:', validated.invalidCitations.map(citation => citation.marker).join(', '));
+  }
+  
+  const citedTranscriptIds = [...new Set(validated.citations
+    .filter(citation => citation.lineStart !== null)
+    .map(citation => similarContent[citation.sourceNumber - 1].transcriptId))];
+  const entriesByTranscript = await loadTranscriptEntries(citedTranscriptIds);
+  
+  return {
+    answer: validated.answer,
+    citations: resolveCitations(validated.citations, similarContent, entriesByTranscript),
+    invalidCitations: validated.invalidCitations
+  };
+}
+
+/**
+ * Shape a stored meeting summary like a retrieved chunk so it flows through context and sources
+ */
+function formatSummaryResult(summary) {
+  return {
+    ...formatSearchResult(
+      { transcriptId: summary._id, meetingId: summary.meetingId, date: summary.date },
+      `Full meeting summary:\n${summary.summary}`,
+      1
+    ),
+    chunkId: `summary:${summary._id}`,
+    chunkIndex: null,
+    similarity: null,
+    relevance: 1,
+    scores: { summary: 1 },
+    matchedBy: ['summary']
+  };
+}
+
+/**
+ * Attach issue tracker details for the tickets each retrieved chunk mentions.
+ * Tracker problems never fail the chat; chunks just go without ticket details.
+ */
+async function attachTicketDetails(similarContent) {
+  if (!issueTracker) {
+    return;
+  }
+  
+  const keys = [...new Set(similarContent.flatMap(item => extractTicketRefs(item.content)))];
+  if (keys.length === 0) {
+    return;
+  }
+  
+  const issues = await issueTracker.getIssues(keys);
+  similarContent.forEach(item => {
+    item.tickets = extractTicketRefs(item.content).map(key => issues.get(key)).filter(Boolean);
+  });
+}
+
+/**
+ * Dates, meetings and speakers of the selected transcripts, used to classify the question
+ */
+async function loadQueryContext(transcriptIds) {
+  const database = await getDatabase();
+  const validIds = transcriptIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+
+  const [transcripts, speakers] = await Promise.all([
+    database.collection(TRANSCRIPTS_COLLECTION)
+      .find({ _id: { $in: validIds } }, { projection: { date: 1, meeting_id: 1 } })
+      .toArray(),
+    // LangChain flattens metadata fields
+    database.collection(EMBEDDINGS_COLLECTION).distinct('speakers', { transcriptId: { $in: transcriptIds } })
+  ]);
+
+  return {
+    transcripts: transcripts.map(transcript => ({
+      transcriptId: transcript._id.toString(),
+      meetingId: transcript.meeting_id,
+      date: transcript.date
+    })),
+    speakers: speakers.filter(Boolean)
+  };
+}
+
+/**
+ * Narrow the selected transcripts to the plan's dates. If no meeting matches, all are kept
+ * so the model can say so rather than answering from nothing.
+ * @returns {Object} { transcriptIds, relaxed }
+ */
+function applyDateFilters(transcriptIds, transcripts, { dates, startDate, endDate }) {
+  if (!dates && !startDate && !endDate) {
+    return { transcriptIds, relaxed: false };
+  }
+
+  const matching = transcripts
+    .filter(({ date }) => dates
+      ? dates.includes(date)
+      : (!startDate || date >= startDate) && (!endDate || date <= endDate))
+    .map(transcript => transcript.transcriptId);
+
+  return matching.length > 0
+    ? { transcriptIds: matching, relaxed: false }
+    : { transcriptIds, relaxed: true };
+}
+
+/**
+ * Split the searched transcripts into the plan's fan-out groups: one per transcript, or one per meeting date
+ */
+function groupTranscripts(transcriptIds, transcripts, groupBy) {
+  if (groupBy !== 'date') {
+    return transcriptIds.map(transcriptId => [transcriptId]);
+  }
+
+  const dates = new Map(transcripts.map(transcript => [transcript.transcriptId, transcript.date]));
+  const groups = new Map();
+  transcriptIds.forEach(transcriptId => {
+    const date = dates.get(transcriptId);
+    if (!groups.has(date)) {
+      groups.set(date, []);
+    }
+    groups.get(date).push(transcriptId);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Merge one searcher's results for each searched query into a single ranking by reciprocal
+ * rank fusion, so chunks found by several queries rise. Each chunk keeps its best score.
+ * @param {Array<Array>} resultLists - The searcher's results for each query, best first
+ */
+function fuseQueryResults(resultLists) {
+  if (resultLists.length === 1) {
+    return resultLists[0];
+  }
+
+  return reciprocalRankFusion(resultLists.map((results, index) => ({ name: `query${index}`, weight: 1, results })))
+    .map(({ scores, ranks, matchedBy, similarity, relevance, ...result }) => ({
+      ...result,
+      score: Math.max(...Object.values(scores))
+    }));
+}
+
+/**
+ * Take the best results, with up to perTranscriptK from each transcript (each date when
+ * fanning out by date) when set so that every meeting is represented. Fan-out plans send
+ * more than maxResults if needed to give every group at least minPerGroup.
+ * Results keep their fused order.
+ */
+function selectResults(results, { maxResults, perTranscriptK, fanOut }) {
+  if (!perTranscriptK) {
+    return results.slice(0, maxResults);
+  }
+
+  const groupKey = fanOut?.groupBy === 'date' ? 'date' : 'transcriptId';
+  const byGroup = new Map();
+  results.forEach(result => {
+    if (!byGroup.has(result[groupKey])) {
+      byGroup.set(result[groupKey], []);
+    }
+    byGroup.get(result[groupKey]).push(result);
+  });
+  const limit = fanOut ? Math.max(maxResults, byGroup.size * fanOut.minPerGroup) : maxResults;
+
+  // Take each group's best result, then each one's second best, and so on
+  const selected = new Set();
+  for (let rank = 0; rank < perTranscriptK && selected.size < limit; rank++) {
+    for (const groupResults of byGroup.values()) {
+      if (groupResults[rank] && selected.size < limit) {
+        selected.add(groupResults[rank]);
+      }
+    }
+  }
+  return results.filter(result => selected.has(result));
+}
+
+/**
+ * Rewrite a chat message into search queries, classify it and run the hybrid retrieval
+ * planned for its intent with each query
+ * @param {Object} options
+ * @param {Object} options.filters - The request's resolved metadata filters, pushed down to every searcher
+ * @param {boolean} options.fanOut - Force fan-out retrieval on or off instead of deciding by intent
+ * @param {Array} options.conversationHistory - Earlier messages, used to make follow-ups standalone
+ * @param {Object} options.auth - The caller (req.auth), whose usage budget limits background work
+ * @returns {Promise<Object>} { similarContent, intent, coverage, queryRewrite } intent holds
+ *   the classification, the plan and the transcripts searched, and is returned to clients for
+ *   debugging. coverage lists the searched transcripts that contributed no sections.
+ *   queryRewrite holds the queries searched.
+ */
+async function retrieveRelevantContent(message, transcriptIds, { filters: requestFilters = {}, fanOut, conversationHistory = [], auth } = {}) {
+  const [queryRewrite, queryContext] = await Promise.all([
+    queryRewriter.rewrite(message, conversationHistory),
+    loadQueryContext(transcriptIds)
+  ]);
+  const queries = [queryRewrite.standalone, ...queryRewrite.expansions];
+  
+  const classification = await intentClassifier.classify(queryRewrite.standalone, {
+    speakers: queryContext.speakers,
+    meetingDates: queryContext.transcripts.map(transcript => transcript.date)
+  });
+  const plan = planRetrieval(classification, { fanOut });
+  
+  const relaxedFilters = [];
+  const dateScope = applyDateFilters(transcriptIds, queryContext.transcripts, plan.filters);
+  if (dateScope.relaxed) {
+    relaxedFilters.push('dates');
+  }
+  const searchIds = dateScope.transcriptIds;
+  
+  const transcriptGroups = plan.fanOut && groupTranscripts(searchIds, queryContext.transcripts, plan.fanOut.groupBy);
+  const [vectorResults, keywordResults, taskResults] = await Promise.all([
+    Promise.all(queries.map(query => plan.fanOut
+      ? searchSimilarContentByGroup(query, transcriptGroups, plan.perTranscriptK, requestFilters)
+      : searchSimilarContent(query, searchIds, plan.vectorK, requestFilters)
+    )).then(fuseQueryResults),
+    Promise.all(queries.map(query => searchKeywordContent(query, searchIds, plan.keywordK, requestFilters)))
+      .then(fuseQueryResults),
+    // Task search doesn't depend on the question's wording
+    plan.searchers.includes('task') ? searchAllTaskReferences(searchIds, requestFilters) : []
+  ]);
+  
+  // Fuse the searchers' rankings into one list; only the searchers the plan ran are weighted
+  const fusedResults = fuseSearcherResults(
+    { vector: vectorResults, keyword: keywordResults, task: taskResults },
+    plan.searchers
+  );
+  
+  // The same text can be stored twice while a transcript is being re-embedded
+  let candidates = fusedResults.filter((result, index, self) => 
+    index === self.findIndex(r => r.content === result.content)
+  );
+  
+  // Person-focused questions only use sections where that person speaks, if there are any
+  if (plan.filters.speakers) {
+    const speakerResults = candidates.filter(result =>
+      (result.speakers || []).some(speaker => plan.filters.speakers.includes(speaker))
+    );
+    if (speakerResults.length > 0) {
+      candidates = speakerResults;
+    } else {
+      relaxedFilters.push('speakers');
+    }
+  }
+  
+  let similarContent = selectResults(candidates, plan);
+  
+  // Lead with each meeting's stored summary so long meetings aren't summarised from fragments.
+  // Summaries that don't exist yet are generated in the background rather than making the
+  // question wait; those meetings are answered from their retrieved chunks this time.
+  if (plan.useMeetingSummaries && CHAT_USE_MEETING_SUMMARIES) {
+    console.log('Summary query detected, using stored meeting summaries...');
+    const { summaries, missingIds } = await meetingSummaries.getStoredSummaries(searchIds);
+    similarContent = [...summaries.filter(item => item.summary).map(formatSummaryResult), ...similarContent];
+    // Background summaries are charged to the caller, so stop them once their budget runs out
+    meetingSummaries.generateInBackground(missingIds, { checkBudget: () => usageTracker.checkBudget(auth) });
+  }
+  
+  await attachTicketDetails(similarContent);
+  
+  const uniqueTranscripts = [...new Set(similarContent.map(item => item.transcriptId))];
+  const uniqueMeetings = [...new Set(similarContent.map(item => item.meetingId))];
+  
+  console.log(`Using ${similarContent.length} content chunks from ${uniqueTranscripts.length} unique transcripts across ${uniqueMeetings.length} meetings`);
+  
+  // Searched transcripts that nothing was taken from, so clients can tell they weren't covered
+  const meetings = new Map(queryContext.transcripts.map(transcript => [transcript.transcriptId, transcript]));
+  const transcriptsWithoutContent = searchIds
+    .filter(transcriptId => !uniqueTranscripts.includes(transcriptId))
+    .map(transcriptId => ({
+      transcriptId,
+      meetingId: meetings.get(transcriptId)?.meetingId,
+      date: meetings.get(transcriptId)?.date
+    }));
+  
+  return {
+    similarContent,
+    intent: {
+      ...classification,
+      plan,
+      searchedTranscriptIds: searchIds,
+      relaxedFilters
+    },
+    coverage: {
+      fanOut: plan.fanOut,
+      selectedTranscripts: searchIds.length,
+      transcriptsWithoutContent
+    },
+    queryRewrite
+  };
+}
+
+/**
+ * Build the sources and transcript/meeting analysis returned alongside an answer
+ */
+function buildSourcePayload(similarContent, { intent, coverage, queryRewrite }, scope) {
+  const isMeetingSpecificQuery = intent.scope === 'per_meeting';
+
+  // Extract unique transcript information for better client-side understanding
+  const uniqueTranscriptIds = [...new Set(similarContent.map(item => item.transcriptId))];
+  const transcriptDetails = uniqueTranscriptIds.map(transcriptId => {
+    const transcriptContent = similarContent.filter(item => item.transcriptId === transcriptId);
+    return {
+      transcriptId: transcriptId,
+      meetingId: transcriptContent[0]?.meetingId,
+      date: transcriptContent[0]?.date,
+      chunksUsed: transcriptContent.length
+    };
+  });
+  
+  // Also maintain meeting-level grouping for backward compatibility
+  const uniqueMeetingIds = [...new Set(similarContent.map(item => item.meetingId))];
+  const meetingDetails = uniqueMeetingIds.map(meetingId => {
+    const meetingContent = similarContent.filter(item => item.meetingId === meetingId);
+    const transcriptsInMeeting = [...new Set(meetingContent.map(item => item.transcriptId))];
+    return {
+      meetingId: meetingId,
+      date: meetingContent[0]?.date,
+      transcriptCount: transcriptsInMeeting.length,
+      chunksUsed: meetingContent.length
+    };
+  });
+
+  return {
+    sources: similarContent.map((item, index) => ({
+      // Number used for this source in the context and in inline citations ([S<sourceNumber>:L<line>])
+      sourceNumber: index + 1,
+      transcriptId: item.transcriptId,
+      meetingId: item.meetingId,
+      date: item.date,
+      similarity: item.similarity,
+      relevance: item.relevance,
+      scores: item.scores,
+      matchedBy: item.matchedBy,
+      preview: item.contentPreview,
+      chunkIndex: item.chunkIndex,
+      speakers: item.speakers,
+      firstEntryIndex: item.firstEntryIndex,
+      lastEntryIndex: item.lastEntryIndex,
+      startTime: item.startTime,
+      endTime: item.endTime,
+      tickets: item.tickets
+    })),
+    transcriptAnalysis: {
+      totalTranscripts: uniqueTranscriptIds.length,
+      transcripts: transcriptDetails,
+      isTranscriptSpecific: isMeetingSpecificQuery,
+      // Coverage of the transcripts searched, and whether retrieval ran per transcript or date
+      selectedTranscripts: coverage.selectedTranscripts,
+      transcriptsWithoutContent: coverage.transcriptsWithoutContent,
+      fanOut: coverage.fanOut
+    },
+    meetingAnalysis: {
+      totalMeetings: uniqueMeetingIds.length,
+      meetings: meetingDetails,
+      isMeetingSpecific: isMeetingSpecificQuery
+    },
+    // The transcripts the request selected, and the filters applied to their sections
+    scope: {
+      transcriptIds: scope.transcriptIds,
+      filters: scope.filters,
+      truncated: scope.truncated
+    },
+    // The queries searched for the question, when it was rewritten (see QUERY_REWRITE)
+    queryRewrite,
+    // How the question was classified and retrieved, for debugging
+    intent,
+    contextUsed: similarContent.length > 0,
+    chunksRetrieved: similarContent.length
+  };
+}
+
+/**
+ * Check whether the client opted into a streamed response
+ * (?stream=true or an Accept: text/event-stream header)
+ */
+function isStreamRequested(req) {
+  const streamFlag = String(req.query.stream || '').toLowerCase();
+  if (streamFlag === 'true' || streamFlag === '1') {
+    return true;
+  }
+  return (req.get('accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Write a single Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream a chat response as Server-Sent Events:
+ * `sources` first, then one `token` event per answer token, then `done`.
+ * Tokens carry the raw answer text, citation markers included; `done.response` is the
+ * validated answer clients should display once it arrives. If the client disconnects,
+ * generation stops and the question is saved with the answer streamed so far.
+ */
+async function streamChatResponse(res, session, userMessage, similarContent, sourcePayload) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering so tokens arrive immediately
+  });
+  res.flushHeaders();
+  
+  // Stop generating if the client goes away mid-answer
+  let clientClosed = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+    }
+  });
+  
+  sendEvent(res, 'sources', { chatId: session.chatId, ...sourcePayload });
+  
+  const context = transcriptRAG.formatContext(similarContent);
+  let aiResponse = null;
+  let partialAnswer = '';
+  
+  console.log('Streaming AI response with LangChain...');
+  for await (const event of transcriptRAG.streamResponse(userMessage, context, session.conversationHistory)) {
+    if (clientClosed) {
+      console.log('Client disconnected, stopping response stream');
+      break;
+    }
+    if (event.response) {
+      // The validated answer arrives once the model has finished
+      aiResponse = event.response;
+    } else {
+      partialAnswer += event.token;
+      sendEvent(res, 'token', { token: event.token });
+    }
+  }
+  
+  if (!aiResponse) {
+    // Keep the question and what was generated so the conversation history stays complete
+    const cited = await resolveAnswerCitations(partialAnswer, similarContent);
+    await saveChatTurn(session.chatId, session.transcriptIds, userMessage, { ...cited, confidence: 'low', interrupted: true }, sourcePayload.sources, session.owner);
+    return;
+  }
+  
+  const cited = await resolveAnswerCitations(aiResponse.answer, similarContent);
+  await saveChatTurn(session.chatId, session.transcriptIds, userMessage, { ...aiResponse, ...cited }, sourcePayload.sources, session.owner);
+  if (clientClosed) {
+    return;
+  }
+  
+  sendEvent(res, 'done', {
+    success: true,
+    chatId: session.chatId,
+    response: cited.answer,
+    confidence: aiResponse.confidence || 'medium',
+    followUpQuestions: aiResponse.follow_up_questions || [],
+    citations: cited.citations,
+    invalidCitations: cited.invalidCitations
+  });
+  res.end();
+}
+
 /**
  * Start or continue a chat session
  * POST /api/chat/message
+ * Add ?stream=true (or Accept: text/event-stream) to receive the answer as Server-Sent Events
  */
-router.post('/message', async (req, res) => {
+router.post('/message', chatRateLimit, enforceUsageBudget, async (req, res) => {
   try {
     // Validate request
     const validatedData = ChatMessageSchema.parse(req.body);
-    const { message, transcriptIds, chatId } = validatedData;
-    
-    // Check if this is a task-related query
-    const isTaskQuery = /\b(task|tasks|sp[-\s]?\d+|ticket|tickets|item|items|work|todo|assignment)\b/i.test(message);
-    
-    // Check if this is a meeting-specific query (wanting separate analysis for each meeting)
-    const isMeetingSpecificQuery = /\b(each meeting|each transcript|separate|individual|per meeting|meeting.*separate|summary.*each|each.*summary)\b/i.test(message);
-    
-    // Search for similar content using enhanced approach
-    console.log('Searching for similar content using hybrid approach...');
-    
-    // Adjust search parameters based on query type
-    const vectorResultsCount = isMeetingSpecificQuery ? 10 : 5; // Get more results for meeting-specific queries
-    const maxFinalResults = isMeetingSpecificQuery ? 25 : 15; // Allow more results for comprehensive meeting analysis
-    
-    let searchPromises = [
-      searchSimilarContent(message, transcriptIds, vectorResultsCount),
-      searchKeywordContent(message, transcriptIds)
-    ];
+    const { message } = validatedData;
     
-    // If asking about tasks, also search for all task references
-    if (isTaskQuery) {
-      console.log('Task-related query detected, searching for all SP-XXX references...');
-      searchPromises.push(searchAllTaskReferences(transcriptIds));
+    if (validatedData.transcriptIds && !await checkTranscriptAccess(req, res, validatedData.transcriptIds)) {
+      return;
     }
     
-    // If asking for meeting-specific information, log for debugging
-    if (isMeetingSpecificQuery) {
-      console.log('Meeting-specific query detected, retrieving comprehensive results for each transcript...');
+    // Resolve date range, meeting and speaker filters to the transcripts they select
+    const hasFilters = Boolean(validatedData.startDate || validatedData.endDate || validatedData.meetingIds || validatedData.speakers);
+    const scope = hasFilters
+      ? await resolveChatScope(req.auth, validatedData)
+      : { transcriptIds: validatedData.transcriptIds, filters: {}, truncated: false };
+    if (scope.transcriptIds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No transcripts match the filters',
+        filters: scope.filters
+      });
     }
+    const { transcriptIds } = scope;
+    setUsageTranscripts(transcriptIds);
     
-    const searchResults = await Promise.all(searchPromises);
-    const [vectorResults, keywordResults, taskResults = []] = searchResults;
+    // Continue an existing session or start a new one
+    const chatId = validatedData.chatId || crypto.randomUUID();
+    const conversationHistory = validatedData.chatId ? await getConversationHistory(chatId, req.auth) : [];
+    const owner = ownerFields(req.auth);
     
-    // Combine and deduplicate results, prioritizing task results for task queries
-    const combinedResults = isTaskQuery 
-      ? [...taskResults, ...keywordResults, ...vectorResults]
-      : [...keywordResults, ...vectorResults];
-      
-    const uniqueResults = combinedResults.filter((result, index, self) => 
-      index === self.findIndex(r => r.content === result.content)
-    );
+    const retrieval = await retrieveRelevantContent(message, transcriptIds, {
+      filters: scope.filters,
+      fanOut: validatedData.fanOut,
+      conversationHistory,
+      auth: req.auth
+    });
+    const { similarContent } = retrieval;
+    const sourcePayload = buildSourcePayload(similarContent, retrieval, scope);
     
-    const similarContent = uniqueResults.slice(0, maxFinalResults); // Take appropriate number of results based on query type
+    if (isStreamRequested(req)) {
+      const session = { chatId, transcriptIds, conversationHistory, owner };
+      return await streamChatResponse(res, session, message, similarContent, sourcePayload);
+    }
     
     // Generate AI response using LangChain RAG
     console.log('Generating AI response with LangChain...');
-    const uniqueTranscripts = [...new Set(similarContent.map(item => item.transcriptId))];
-    const uniqueMeetings = [...new Set(similarContent.map(item => item.meetingId))];
-    
-    console.log(`Using ${similarContent.length} content chunks from ${uniqueTranscripts.length} unique transcripts across ${uniqueMeetings.length} meetings`);
-    
-    if (isMeetingSpecificQuery) {
-      console.log('Meeting-specific query - transcripts involved:', uniqueTranscripts);
-      console.log('Meetings involved:', uniqueMeetings);
-    }
-    
-    const aiResponse = await generateChatResponse(message, similarContent);
+    const aiResponse = await generateChatResponse(message, similarContent, conversationHistory);
     
     // Handle structured response from new RAG system
     let responseText = '';
@@ -323,61 +1016,36 @@ router.post('/message', async (req, res) => {
       responseText = typeof aiResponse === 'string' ? aiResponse : 'I apologize, but I encountered an issue processing your request.';
     }
     
-    // Extract unique transcript information for better client-side understanding
-    const uniqueTranscriptIds = [...new Set(similarContent.map(item => item.transcriptId))];
-    const transcriptDetails = uniqueTranscriptIds.map(transcriptId => {
-      const transcriptContent = similarContent.filter(item => item.transcriptId === transcriptId);
-      return {
-        transcriptId: transcriptId,
-        meetingId: transcriptContent[0]?.meetingId,
-        date: transcriptContent[0]?.date,
-        chunksUsed: transcriptContent.length
-      };
-    });
-    
-    // Also maintain meeting-level grouping for backward compatibility
-    const uniqueMeetingIds = [...new Set(similarContent.map(item => item.meetingId))];
-    const meetingDetails = uniqueMeetingIds.map(meetingId => {
-      const meetingContent = similarContent.filter(item => item.meetingId === meetingId);
-      const transcriptsInMeeting = [...new Set(meetingContent.map(item => item.transcriptId))];
-      return {
-        meetingId: meetingId,
-        date: meetingContent[0]?.date,
-        transcriptCount: transcriptsInMeeting.length,
-        chunksUsed: meetingContent.length
-      };
-    });
+    const cited = await resolveAnswerCitations(responseText, similarContent);
+    await saveChatTurn(chatId, transcriptIds, message, { answer: cited.answer, confidence, citations: cited.citations }, sourcePayload.sources, owner);
 
     res.json({
       success: true,
-      response: responseText,
+      chatId: chatId,
+      response: cited.answer,
       confidence: confidence,
       followUpQuestions: followUpQuestions,
-      sources: similarContent.map(item => ({
-        transcriptId: item.transcriptId,
-        meetingId: item.meetingId,
-        date: item.date,
-        similarity: item.similarity,
-        preview: item.contentPreview,
-        chunkIndex: item.chunkIndex
-      })),
-      transcriptAnalysis: {
-        totalTranscripts: uniqueTranscriptIds.length,
-        transcripts: transcriptDetails,
-        isTranscriptSpecific: isMeetingSpecificQuery
-      },
-      meetingAnalysis: {
-        totalMeetings: uniqueMeetingIds.length,
-        meetings: meetingDetails,
-        isMeetingSpecific: isMeetingSpecificQuery
-      },
-      contextUsed: similarContent.length > 0,
-      chunksRetrieved: similarContent.length
+      citations: cited.citations,
+      invalidCitations: cited.invalidCitations,
+      ...sourcePayload
     });
     
   } catch (error) {
     console.error('Error in chat message endpoint:', error);
     
+    // Once a stream has started the status is already sent, so report the failure in-band
+    if (res.headersSent) {
+      if (!res.writableEnded) {
+        sendEvent(res, 'error', {
+          success: false,
+          error: 'Failed to process chat message',
+          message: error.message
+        });
+        res.end();
+      }
+      return;
+    }
+    
     if (error instanceof z.ZodError) {
       return res.status(400).json({
         success: false,
@@ -407,18 +1075,46 @@ router.post('/close', async (req, res) => {
     const database = await getDatabase();
     const chatCollection = database.collection(CHAT_COLLECTION);
     
-    // Save conversation to database
+    // Sessions started through /message already hold every turn, so just mark them ended
+    const session = await loadSession(chatCollection, chatId, teamScope(req.auth));
+    if (session) {
+      await chatCollection.updateOne(
+        { _id: session._id },
+        { $set: { endedAt: new Date(), updatedAt: new Date() } }
+      );
+      
+      return res.json({
+        success: true,
+        conversationId: session._id,
+        messagesSaved: session.messageCount || 0
+      });
+    }
+    
+    if (!messages || messages.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chat session not found'
+      });
+    }
+    
+    if (transcriptIds && !await checkTranscriptAccess(req, res, transcriptIds)) {
+      return;
+    }
+    
+    // Save conversation to database, owned by the caller
     const conversation = {
       chatId,
-      transcriptIds,
+      ...ownerFields(req.auth),
+      transcriptIds: transcriptIds || [],
       messages: messages.map(msg => ({
         ...msg,
         timestamp: new Date(msg.timestamp)
       })),
-      startedAt: messages.length > 0 ? new Date(messages[0].timestamp) : new Date(),
+      startedAt: new Date(messages[0].timestamp),
       endedAt: new Date(),
       messageCount: messages.length,
-      createdAt: new Date()
+      createdAt: new Date(),
+      updatedAt: new Date()
     };
     
     const result = await chatCollection.insertOne(conversation);
@@ -449,41 +1145,94 @@ router.post('/close', async (req, res) => {
 });
 
 /**
- * Get chat history
- * GET /api/chat/history
+ * Messages containing any of the search words, with a short snippet around the first hit
+ */
+function findMatchingMessages(messages, search) {
+  const words = search.toLowerCase().split(/\s+/).map(word => word.replace(/^-|"/g, '')).filter(Boolean);
+  
+  return (messages || []).flatMap(message => {
+    const content = String(message.content);
+    const lower = content.toLowerCase();
+    const hits = words.map(word => lower.indexOf(word)).filter(index => index !== -1);
+    if (hits.length === 0) {
+      return [];
+    }
+    const start = Math.max(Math.min(...hits) - 60, 0);
+    const snippet = content.substring(start, start + 200);
+    return [{
+      id: message.id,
+      role: message.role,
+      timestamp: message.timestamp,
+      snippet: (start > 0 ? '...' : '') + snippet + (start + 200 < content.length ? '...' : '')
+    }];
+  }).slice(0, 3);
+}
+
+/**
+ * List the caller's team's conversations, newest first
+ * GET /api/chat/history?transcriptId=...&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&q=...&limit=10&cursor=...
  */
 router.get('/history', async (req, res) => {
   try {
+    const params = ChatHistorySchema.parse(req.query);
+    const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+    if (params.cursor && !cursor) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+    
     const database = await getDatabase();
     const chatCollection = database.collection(CHAT_COLLECTION);
     
-    const { limit = 10, skip = 0 } = req.query;
+    let endDate;
+    if (params.endDate) {
+      // Include the whole end day
+      endDate = new Date(`${params.endDate}T00:00:00.000Z`);
+      endDate.setUTCDate(endDate.getUTCDate() + 1);
+    }
     
-    const conversations = await chatCollection
-      .find({})
-      .sort({ createdAt: -1 })
-      .skip(parseInt(skip))
-      .limit(parseInt(limit))
-      .toArray();
+    const { sessions, nextCursor, total } = await listSessions(chatCollection, {
+      teamId: req.auth?.teamId,
+      transcriptId: params.transcriptId,
+      startDate: params.startDate ? new Date(`${params.startDate}T00:00:00.000Z`) : undefined,
+      endDate,
+      search: params.q
+    }, { limit: params.limit, cursor });
     
-    const formattedConversations = conversations.map(conv => ({
+    const formattedConversations = sessions.map(conv => ({
       _id: conv._id,
       chatId: conv.chatId,
+      userId: conv.userId,
       transcriptIds: conv.transcriptIds,
       messageCount: conv.messageCount,
       startedAt: conv.startedAt,
+      updatedAt: conv.updatedAt,
       endedAt: conv.endedAt,
-      firstMessage: conv.messages && conv.messages.length > 0 ? conv.messages[0].content.substring(0, 100) + '...' : null
+      firstMessage: conv.messages && conv.messages.length > 0 ? conv.messages[0].content.substring(0, 100) + '...' : null,
+      ...(params.q ? { matches: findMatchingMessages(conv.messages, params.q) } : {})
     }));
     
     res.json({
       success: true,
       conversations: formattedConversations,
-      total: await chatCollection.countDocuments()
+      total,
+      nextCursor,
+      hasMore: nextCursor !== null
     });
     
   } catch (error) {
     console.error('Error getting chat history:', error);
+    
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request data',
+        details: error.errors
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Failed to get chat history'
@@ -491,4 +1240,77 @@ router.get('/history', async (req, res) => {
   }
 });
 
+/**
+ * Get one conversation with all of its messages, sources and citations
+ * GET /api/chat/history/:chatId
+ */
+router.get('/history/:chatId', async (req, res) => {
+  try {
+    const database = await getDatabase();
+    const chatCollection = database.collection(CHAT_COLLECTION);
+    
+    const session = await loadSession(chatCollection, req.params.chatId, teamScope(req.auth));
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chat session not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      conversation: {
+        _id: session._id,
+        chatId: session.chatId,
+        userId: session.userId,
+        transcriptIds: session.transcriptIds,
+        messageCount: session.messageCount,
+        startedAt: session.startedAt,
+        updatedAt: session.updatedAt,
+        endedAt: session.endedAt,
+        summary: session.summary || null,
+        messages: session.messages || []
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error getting chat session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get chat session'
+    });
+  }
+});
+
+/**
+ * Delete a conversation
+ * DELETE /api/chat/history/:chatId
+ */
+router.delete('/history/:chatId', async (req, res) => {
+  try {
+    const database = await getDatabase();
+    const chatCollection = database.collection(CHAT_COLLECTION);
+    
+    const deletedCount = await deleteSession(chatCollection, req.params.chatId, teamScope(req.auth));
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chat session not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      chatId: req.params.chatId
+    });
+    
+  } catch (error) {
+    console.error('Error deleting chat session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete chat session'
+    });
+  }
+});
+
 module.exports = router;
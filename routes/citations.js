@@ -0,0 +1,198 @@
+const { TranscriptSplitter } = require('./transcript-splitter');
+
+// Inline citation markers: [S2] cites source 2, [S2:L5] line 5 of it, [S2:L5-7] lines 5 to 7
+const CITATION_PATTERN = /\[S(\d+)(?::L(\d+)(?:-L?(\d+))?)?\]/g;
+
+/**
+ * Lines of a retrieved section that can be cited, as numbered in the prompt context.
+ * Meeting summaries aren't transcript lines, so they can only be cited as a whole.
+ */
+function getSourceLines(item) {
+  if (!item || !item.content || String(item.chunkId).startsWith('summary:')) {
+    return [];
+  }
+  return item.content.split('\n');
+}
+
+/**
+ * Section text with each line prefixed by its citable line number ("L1 Alice: ...")
+ */
+function numberSourceLines(item) {
+  const lines = getSourceLines(item);
+  if (lines.length === 0) {
+    return item.content;
+  }
+  return lines.map((line, index) => `L${index + 1} ${line}`).join('\n');
+}
+
+/**
+ * Remove citation markers, e.g. from earlier answers sent back to the model as history,
+ * where their source numbers no longer mean anything
+ */
+function stripCitations(text) {
+  return String(text).replace(/ ?\[S\d+(?::L\d+(?:-L?\d+)?)?\]/g, '');
+}
+
+/**
+ * Check an answer's citation markers against the sources it was generated from.
+ * Markers pointing at sources or lines that weren't provided are removed from the
+ * answer and reported in `invalidCitations`.
+ * @param {string} answer - Answer text with inline markers
+ * @param {Array} similarContent - Retrieved sections, in the order they were numbered in the context
+ * @returns {Object} { answer, citations: [{ marker, sourceNumber, lineStart, lineEnd, positions }], invalidCitations: [{ marker, reason }] }
+ */
+function validateCitations(answer, similarContent) {
+  const text = String(answer);
+  const citations = new Map();
+  const invalidCitations = new Map();
+  let validated = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    const [marker, source, start, end] = match;
+    const sourceNumber = parseInt(source, 10);
+    const lineStart = start ? parseInt(start, 10) : null;
+    const lineEnd = end ? parseInt(end, 10) : lineStart;
+    const lineCount = getSourceLines(similarContent[sourceNumber - 1]).length;
+
+    let reason = null;
+    if (sourceNumber < 1 || sourceNumber > similarContent.length) {
+      reason = 'unknown_source';
+    } else if (lineStart !== null && (lineStart < 1 || lineEnd < lineStart || lineEnd > lineCount)) {
+      reason = 'unknown_line';
+    }
+
+    if (reason) {
+      // Drop the marker along with the space before it
+      validated += text.substring(lastIndex, match.index).replace(/ $/, '');
+      invalidCitations.set(marker, { marker, reason });
+    } else {
+      validated += text.substring(lastIndex, match.index);
+      if (!citations.has(marker)) {
+        citations.set(marker, { marker, sourceNumber, lineStart, lineEnd, positions: [] });
+      }
+      citations.get(marker).positions.push(validated.length);
+      validated += marker;
+    }
+    lastIndex = match.index + marker.length;
+  }
+  validated += text.substring(lastIndex);
+
+  return {
+    answer: validated,
+    citations: [...citations.values()],
+    invalidCitations: [...invalidCitations.values()]
+  };
+}
+
+/**
+ * Work out which transcript entry each line of a chunk came from. Lines are whole
+ * entries or, for long turns, consecutive pieces of one entry, in transcript order.
+ * @param {Array<string>} lines - Chunk lines ("speaker: text")
+ * @param {Array} entries - The transcript's parsed entries
+ * @param {number} firstEntryIndex - First entry the chunk covers
+ * @returns {Array} Per line { entryIndex, quoteStart, quoteEnd }, or null where the transcript no longer matches
+ */
+function mapLinesToEntries(lines, entries, firstEntryIndex = 0) {
+  let cursor = firstEntryIndex;
+
+  return lines.map(line => {
+    for (let entryIndex = cursor; entryIndex < entries.length; entryIndex++) {
+      const entry = entries[entryIndex];
+      const prefix = `${entry.speaker}: `;
+      if (!line.startsWith(prefix)) {
+        continue;
+      }
+      const quote = line.substring(prefix.length);
+      const quoteStart = String(entry.text).indexOf(quote);
+      if (quoteStart === -1) {
+        continue;
+      }
+
+      // A whole entry can't appear again; a piece of a long turn may be followed by the next piece
+      cursor = quote === String(entry.text) ? entryIndex + 1 : entryIndex;
+      return { entryIndex, quoteStart, quoteEnd: quoteStart + quote.length };
+    }
+    return null;
+  });
+}
+
+/**
+ * Resolve validated citations to the transcript lines they point at
+ * @param {Array} citations - From validateCitations
+ * @param {Array} similarContent - Retrieved sections, in context order
+ * @param {Map} entriesByTranscript - transcriptId -> parsed transcript entries
+ * @returns {Array} Citations with their source's location and `lines`:
+ *   [{ line, entryIndex, speaker, start, end, quote, quoteStart, quoteEnd }]
+ */
+function resolveCitations(citations, similarContent, entriesByTranscript) {
+  const lineMaps = new Map();
+
+  return citations.map(citation => {
+    const item = similarContent[citation.sourceNumber - 1];
+    const resolved = {
+      ...citation,
+      transcriptId: item.transcriptId,
+      meetingId: item.meetingId,
+      date: item.date,
+      chunkId: item.chunkId,
+      chunkIndex: item.chunkIndex,
+      firstEntryIndex: item.firstEntryIndex,
+      lastEntryIndex: item.lastEntryIndex,
+      startTime: item.startTime,
+      endTime: item.endTime,
+      lines: []
+    };
+    if (citation.lineStart === null) {
+      return resolved;
+    }
+
+    const sourceLines = getSourceLines(item);
+    const entries = entriesByTranscript.get(item.transcriptId) || [];
+    if (!lineMaps.has(citation.sourceNumber)) {
+      lineMaps.set(citation.sourceNumber, mapLinesToEntries(sourceLines, entries, item.firstEntryIndex || 0));
+    }
+    const lineMap = lineMaps.get(citation.sourceNumber);
+
+    for (let line = citation.lineStart; line <= citation.lineEnd; line++) {
+      const mapped = lineMap[line - 1];
+      if (!mapped) {
+        // The transcript was edited after this chunk was embedded; keep the cited text
+        resolved.lines.push({
+          line,
+          entryIndex: null,
+          speaker: null,
+          start: null,
+          end: null,
+          quote: sourceLines[line - 1],
+          quoteStart: null,
+          quoteEnd: null
+        });
+        continue;
+      }
+      const entry = entries[mapped.entryIndex];
+      const { start, end } = TranscriptSplitter.getEntryTimes(entry);
+      resolved.lines.push({
+        line,
+        entryIndex: mapped.entryIndex,
+        speaker: entry.speaker,
+        start,
+        end,
+        quote: String(entry.text).substring(mapped.quoteStart, mapped.quoteEnd),
+        quoteStart: mapped.quoteStart,
+        quoteEnd: mapped.quoteEnd
+      });
+    }
+    return resolved;
+  });
+}
+
+module.exports = {
+  CITATION_PATTERN,
+  getSourceLines,
+  numberSourceLines,
+  stripCitations,
+  validateCitations,
+  mapLinesToEntries,
+  resolveCitations
+};
@@ -0,0 +1,53 @@
+const { TokenBucket } = require('./upstream-scheduler');
+
+// Idle clients' buckets are dropped once there are this many
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Express middleware limiting each client to `perMinute` requests, with bursts of up to
+ * `burst`. Clients are the authenticated user, or the IP address when authentication
+ * is disabled. Limits are kept in memory, so each server process counts separately.
+ * @param {Object} options
+ * @param {string} options.name - Included in the 429 response
+ * @param {number} options.perMinute - 0 disables the limit
+ * @param {number} options.burst - Requests allowed at once before throttling starts
+ */
+function clientRateLimit({ name, perMinute, burst = perMinute }) {
+  if (!perMinute) {
+    return (req, res, next) => next();
+  }
+
+  const buckets = new Map();
+
+  return (req, res, next) => {
+    const client = req.auth?.userId || req.ip;
+
+    if (!buckets.has(client)) {
+      if (buckets.size >= MAX_TRACKED_CLIENTS) {
+        // A full bucket is the same as a new one
+        for (const [key, bucket] of buckets) {
+          if (bucket.isFull()) {
+            buckets.delete(key);
+          }
+        }
+      }
+      buckets.set(client, new TokenBucket({ perMinute, capacity: burst }));
+    }
+
+    const waitMs = buckets.get(client).tryTake(1);
+    if (waitMs === 0) {
+      return next();
+    }
+
+    const retryAfter = Math.ceil(waitMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      error: 'Too many requests',
+      limit: { name, perMinute, burst },
+      retryAfter
+    });
+  };
+}
+
+module.exports = { clientRateLimit };
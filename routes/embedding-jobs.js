@@ -0,0 +1,384 @@
+const os = require('os');
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+
+const JOBS_COLLECTION = "embedding_jobs";
+const LOCKS_COLLECTION = "embedding_locks";
+
+// How often the worker looks for queued jobs
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.EMBEDDING_JOB_POLL_MS || '2000', 10);
+// How long a job or transcript lock is held without a heartbeat before another worker may take it over
+const JOB_LOCK_TTL_MS = parseInt(process.env.EMBEDDING_JOB_LOCK_TTL_MS || '120000', 10);
+
+/**
+ * Persisted queue of embedding generation jobs stored in MongoDB.
+ * Jobs are claimed with a lease (lockedBy / lockExpiresAt) that the running worker
+ * renews; if a process dies mid-job the lease expires and any worker resumes the
+ * job from the first transcript that hadn't finished. Transcripts are additionally
+ * locked individually so two jobs never embed the same transcript at once.
+ */
+class EmbeddingJobQueue {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getDatabase - async () => Db
+   * @param {Function} options.processTranscript - async (transcriptId, { force, owner }) => { status, message, ... }
+   */
+  constructor({ getDatabase, processTranscript }) {
+    this.getDatabase = getDatabase;
+    this.processTranscript = processTranscript;
+    this.workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.timer = null;
+    this.busy = false;
+    this.indexesEnsured = false;
+  }
+
+  async getCollections() {
+    const database = await this.getDatabase();
+    const jobs = database.collection(JOBS_COLLECTION);
+    const locks = database.collection(LOCKS_COLLECTION);
+
+    if (!this.indexesEnsured) {
+      await jobs.createIndex({ status: 1, createdAt: 1 });
+      // Let MongoDB clean up locks abandoned by crashed workers
+      await locks.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      this.indexesEnsured = true;
+    }
+
+    return { jobs, locks };
+  }
+
+  /**
+   * Queue a job to embed the given transcripts
+   * @param {Array<string>} transcriptIds
+   * @param {Object} options - { force, owner } owner is the { teamId, userId } that requested it
+   * @returns {Promise<Object>} The stored job
+   */
+  async enqueue(transcriptIds, { force = false, owner = {} } = {}) {
+    const { jobs } = await this.getCollections();
+    const uniqueIds = [...new Set(transcriptIds)];
+
+    const job = {
+      ...owner,
+      status: 'queued',
+      transcriptIds: uniqueIds,
+      force,
+      transcripts: uniqueIds.map(transcriptId => ({
+        transcriptId,
+        status: 'pending'
+      })),
+      summary: {
+        processed: 0,
+        generated: 0,
+        skipped: 0,
+        errors: 0
+      },
+      cancelRequested: false,
+      createdAt: new Date()
+    };
+
+    const result = await jobs.insertOne(job);
+    return { _id: result.insertedId, ...job };
+  }
+
+  /**
+   * Look up a job by ID (null if the ID is invalid or unknown)
+   */
+  async getJob(jobId) {
+    if (!ObjectId.isValid(jobId)) {
+      return null;
+    }
+    const { jobs } = await this.getCollections();
+    return jobs.findOne({ _id: new ObjectId(jobId) });
+  }
+
+  /**
+   * Cancel a job. Queued jobs stop immediately; running jobs stop after the current transcript.
+   * @returns {Promise<Object|null>} The updated job, or null if not found
+   */
+  async cancel(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      return null;
+    }
+
+    const { jobs } = await this.getCollections();
+
+    if (job.status === 'queued') {
+      await jobs.updateOne(
+        { _id: job._id, status: 'queued' },
+        {
+          $set: {
+            status: 'cancelled',
+            cancelRequested: true,
+            finishedAt: new Date(),
+            'transcripts.$[pending].status': 'cancelled'
+          }
+        },
+        { arrayFilters: [{ 'pending.status': 'pending' }] }
+      );
+    } else if (job.status === 'running') {
+      await jobs.updateOne({ _id: job._id }, { $set: { cancelRequested: true } });
+    }
+
+    return this.getJob(jobId);
+  }
+
+  /**
+   * Start polling for jobs in the background
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.poll(), JOB_POLL_INTERVAL_MS);
+    this.timer.unref(); // Don't keep the process alive just for polling
+    console.log(`Embedding job worker ${this.workerId} started`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Process jobs until the queue is empty
+   */
+  async poll() {
+    if (this.busy) {
+      return;
+    }
+    this.busy = true;
+
+    try {
+      let job;
+      while ((job = await this.claimNextJob())) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('Error polling embedding jobs:', error);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Claim the oldest queued job, or a running job whose worker stopped renewing its lease
+   */
+  async claimNextJob() {
+    const { jobs } = await this.getCollections();
+    const now = new Date();
+
+    return jobs.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued' },
+          { status: 'running', lockExpiresAt: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          lockExpiresAt: new Date(now.getTime() + JOB_LOCK_TTL_MS)
+        },
+        $min: { startedAt: now }
+      },
+      { sort: { createdAt: 1 }, returnDocument: 'after' }
+    );
+  }
+
+  async acquireTranscriptLock(transcriptId) {
+    const { locks } = await this.getCollections();
+    const now = new Date();
+
+    try {
+      // Upserting over a live lock hits the unique _id and fails with a duplicate key error
+      await locks.updateOne(
+        { _id: transcriptId, expiresAt: { $lt: now } },
+        { $set: { lockedBy: this.workerId, expiresAt: new Date(now.getTime() + JOB_LOCK_TTL_MS) } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async releaseTranscriptLock(transcriptId) {
+    const { locks } = await this.getCollections();
+    await locks.deleteOne({ _id: transcriptId, lockedBy: this.workerId });
+  }
+
+  /**
+   * Renew this worker's lease on the job and on the transcript it is processing
+   * @returns {Promise<boolean>} false if another worker has taken the job over
+   */
+  async renewLease(jobId, transcriptId) {
+    const { jobs, locks } = await this.getCollections();
+    const expiresAt = new Date(Date.now() + JOB_LOCK_TTL_MS);
+
+    // Renew the transcript lock first so it never outlives the job lease; a worker
+    // resuming an abandoned job can then always take over its transcript too
+    if (transcriptId) {
+      await locks.updateOne(
+        { _id: transcriptId, lockedBy: this.workerId },
+        { $set: { expiresAt } }
+      );
+    }
+    const result = await jobs.updateOne(
+      { _id: jobId, lockedBy: this.workerId },
+      { $set: { lockExpiresAt: expiresAt } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Record the outcome for one transcript and bump the job summary
+   */
+  async recordTranscriptResult(jobId, transcriptId, result) {
+    const { jobs } = await this.getCollections();
+    const summaryField = { generated: 'generated', skipped: 'skipped', error: 'errors' }[result.status];
+
+    const fields = { ...result, finishedAt: new Date() };
+    delete fields.transcriptId;
+
+    const update = {
+      $set: Object.fromEntries(
+        Object.entries(fields).map(([key, value]) => [`transcripts.$.${key}`, value])
+      ),
+      $inc: { 'summary.processed': 1 }
+    };
+    if (summaryField) {
+      update.$inc[`summary.${summaryField}`] = 1;
+    }
+
+    await jobs.updateOne({ _id: jobId, lockedBy: this.workerId, 'transcripts.transcriptId': transcriptId }, update);
+  }
+
+  async runJob(job) {
+    const { jobs } = await this.getCollections();
+    console.log(`Running embedding job ${job._id} (${job.transcripts.length} transcripts)`);
+
+    let currentTranscriptId = null;
+    let leaseLost = false;
+    const heartbeat = setInterval(async () => {
+      try {
+        leaseLost = !(await this.renewLease(job._id, currentTranscriptId));
+      } catch (error) {
+        console.error('Error renewing embedding job lease:', error);
+      }
+    }, Math.max(JOB_LOCK_TTL_MS / 3, 1000));
+    heartbeat.unref();
+
+    let cancelled = false;
+
+    try {
+      // Resume from whatever wasn't finished (a transcript left "processing" was interrupted)
+      const remaining = job.transcripts.filter(t => t.status === 'pending' || t.status === 'processing');
+
+      for (let i = 0; i < remaining.length; i++) {
+        const { transcriptId } = remaining[i];
+
+        const latest = await jobs.findOne({ _id: job._id }, { projection: { cancelRequested: 1 } });
+        if (latest?.cancelRequested) {
+          cancelled = true;
+          break;
+        }
+        if (leaseLost) {
+          console.log(`Lost lease on embedding job ${job._id}, leaving it to another worker`);
+          return;
+        }
+
+        if (!(await this.acquireTranscriptLock(transcriptId))) {
+          await this.recordTranscriptResult(job._id, transcriptId, {
+            status: 'skipped',
+            message: 'Embeddings already being generated for this transcript'
+          });
+          continue;
+        }
+
+        currentTranscriptId = transcriptId;
+        await jobs.updateOne(
+          { _id: job._id, lockedBy: this.workerId, 'transcripts.transcriptId': transcriptId },
+          { $set: { 'transcripts.$.status': 'processing', 'transcripts.$.startedAt': new Date() } }
+        );
+
+        let result;
+        try {
+          result = await this.processTranscript(transcriptId, {
+            force: job.force,
+            owner: { teamId: job.teamId, userId: job.userId }
+          });
+        } catch (error) {
+          console.error(`Error processing transcript ${transcriptId}:`, error);
+          result = { status: 'error', message: error.message };
+        } finally {
+          currentTranscriptId = null;
+          await this.releaseTranscriptLock(transcriptId);
+        }
+
+        await this.recordTranscriptResult(job._id, transcriptId, result);
+      }
+
+      const finalUpdate = {
+        $set: {
+          status: cancelled ? 'cancelled' : 'completed',
+          finishedAt: new Date()
+        },
+        $unset: { lockedBy: "", lockExpiresAt: "" }
+      };
+      const options = {};
+      if (cancelled) {
+        finalUpdate.$set['transcripts.$[pending].status'] = 'cancelled';
+        options.arrayFilters = [{ 'pending.status': 'pending' }];
+      }
+      await jobs.updateOne({ _id: job._id, lockedBy: this.workerId }, finalUpdate, options);
+
+      console.log(`✅ Embedding job ${job._id} ${cancelled ? 'cancelled' : 'completed'}`);
+    } catch (error) {
+      console.error(`Embedding job ${job._id} failed:`, error);
+      await jobs.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          $set: { status: 'failed', error: error.message, finishedAt: new Date() },
+          $unset: { lockedBy: "", lockExpiresAt: "" }
+        }
+      );
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+/**
+ * Shape a stored job for API responses
+ */
+function formatJob(job) {
+  const total = job.transcripts.length;
+  const finished = job.transcripts.filter(t => !['pending', 'processing'].includes(t.status)).length;
+
+  return {
+    jobId: job._id,
+    status: job.status,
+    force: job.force,
+    cancelRequested: job.cancelRequested,
+    progress: {
+      total,
+      finished,
+      percent: total > 0 ? Math.round((finished / total) * 100) : 100
+    },
+    summary: job.summary,
+    transcripts: job.transcripts,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+module.exports = { EmbeddingJobQueue, formatJob };
@@ -1,33 +1,34 @@
 const express = require('express');
 const { MongoClient } = require('mongodb');
-const OpenAI = require('openai');
 const crypto = require('crypto');
-const { OpenAIEmbeddings } = require('@langchain/openai');
-const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
-const { MongoDBAtlasVectorSearch } = require('@langchain/mongodb');
+const { TranscriptSplitter } = require('./transcript-splitter');
+const { hashTranscriptEntries, parseTranscriptData } = require('./transcript-content');
+const { extractTicketRefs } = require('./task-references');
+const { EmbeddingJobQueue, formatJob } = require('./embedding-jobs');
+const { TranscriptWatcher } = require('./transcript-watcher');
+const { createVectorStore } = require('./vector-stores');
+const { getEmbeddings, getEmbeddingModelName } = require('./model-providers');
+const { teamScope, ownerFields, findInaccessibleTranscripts } = require('./auth');
+const { enforceUsageBudget, runWithUsageContext } = require('./usage-tracker');
 
 const router = express.Router();
 
-// In-memory lock to prevent concurrent embedding generation for same transcript
-const generationLocks = new Set();
-
 // Environment variables
 const MONGODB_URI = process.env.MONGODB_URI;
 const DATABASE_NAME = "standuptickets";
 const TRANSCRIPTS_COLLECTION = "transcripts";
 const EMBEDDINGS_COLLECTION = "transcript_embeddings";
+// Set to "false" on instances that should only queue jobs and leave processing to other instances
+const EMBEDDING_WORKER_ENABLED = process.env.EMBEDDING_WORKER_ENABLED !== 'false';
+// Opt-in automatic embedding of new and edited transcripts
+const TRANSCRIPT_WATCHER_ENABLED = process.env.TRANSCRIPT_WATCHER_ENABLED === 'true';
+const TRANSCRIPT_WATCHER_MODE = process.env.TRANSCRIPT_WATCHER_MODE || 'auto';
+const TRANSCRIPT_WATCHER_POLL_MS = parseInt(process.env.TRANSCRIPT_WATCHER_POLL_MS || '60000', 10);
 
-// Initialize OpenAI and LangChain components
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-const embeddings = new OpenAIEmbeddings({
-  model: "text-embedding-3-small",
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Initialize LangChain components from the configured model provider
+const embeddings = getEmbeddings();
 
-const textSplitter = new RecursiveCharacterTextSplitter({
+const textSplitter = new TranscriptSplitter({
   chunkSize: 1000,
   chunkOverlap: 200,
 });
@@ -45,47 +46,45 @@ async function getDatabase() {
 }
 
 /**
- * Initialize Vector Store for MongoDB Atlas Vector Search
+ * Initialize Vector Store (Atlas Vector Search or local, see VECTOR_STORE)
  */
 async function getVectorStore() {
   const database = await getDatabase();
   
-  return new MongoDBAtlasVectorSearch(embeddings, {
-    collection: database.collection(EMBEDDINGS_COLLECTION),
-    indexName: "vector_index", // Vector search index name in MongoDB Atlas
-    textKey: "text",
-    embeddingKey: "embedding",
-  });
-}
-
-/**
- * Generate hash for transcript content to detect changes
- */
-function generateContentHash(content) {
-  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
+  return createVectorStore(database.collection(EMBEDDINGS_COLLECTION), embeddings);
 }
 
 /**
- * Process and store transcript chunks in vector database
+ * Process and store transcript chunks in vector database.
+ * New chunks are written under a fresh embeddingRunId before any previous chunks are
+ * removed, so a transcript stays searchable while it is re-embedded and a failed run
+ * leaves the previous embeddings intact.
  */
-async function processTranscriptToVectorStore(transcriptId, transcriptContent, meetingId, date) {
+async function processTranscriptToVectorStore(transcriptId, transcriptEntries, meetingId, date) {
+  const embeddingRunId = crypto.randomUUID();
+  
   try {
     const vectorStore = await getVectorStore();
+    const contentHash = hashTranscriptEntries(transcriptEntries);
     
-    // Split text into chunks using LangChain
-    const chunks = await textSplitter.splitText(transcriptContent);
+    // Split on speaker turns, keeping who spoke and when in each chunk's metadata
+    const chunks = textSplitter.splitEntries(transcriptEntries);
     console.log(`Split transcript into ${chunks.length} chunks`);
     
     // Prepare documents for vector store
     const documents = chunks.map((chunk, index) => ({
-      pageContent: chunk,
+      pageContent: chunk.text,
       metadata: {
         transcriptId: transcriptId,
         meetingId: meetingId,
         date: date,
         chunkIndex: index,
         chunkTotal: chunks.length,
-        contentHash: generateContentHash(transcriptContent),
+        ...chunk.metadata,
+        // Normalised SP- keys, so a ticket's meetings can be found without scanning the text
+        tickets: extractTicketRefs(chunk.text),
+        contentHash: contentHash,
+        embeddingRunId: embeddingRunId,
         createdAt: new Date().toISOString()
       }
     }));
@@ -93,54 +92,105 @@ async function processTranscriptToVectorStore(transcriptId, transcriptContent, m
     // Store in vector database
     await vectorStore.addDocuments(documents);
     
+    // Only now drop chunks from earlier runs
+    await removeExistingEmbeddings(transcriptId, embeddingRunId);
+    
     console.log(`Stored ${documents.length} chunks in vector database for transcript ${transcriptId}`);
     return {
       chunksStored: documents.length,
-      model: "text-embedding-3-small"
+      model: getEmbeddingModelName(),
+      contentHash,
+      embeddingRunId
     };
     
   } catch (error) {
     console.error('Error processing transcript to vector store:', error);
+    await removeEmbeddingRun(transcriptId, embeddingRunId);
     throw error;
   }
 }
 
 /**
- * Check if transcript already has embeddings in vector store
+ * Work out whether a transcript's stored embeddings are complete and current.
+ * Chunks are grouped by embedding run; more than one run means a re-embed was
+ * interrupted, and fewer stored chunks than chunkTotal means a run didn't finish.
+ * @returns {Promise<Object>} { state: 'missing'|'partial'|'stale'|'ready', storedChunks, expectedChunks, storedHash }
+ */
+async function getEmbeddingState(transcriptId, currentHash) {
+  const database = await getDatabase();
+  const embeddingsCollection = database.collection(EMBEDDINGS_COLLECTION);
+  
+  const runs = await embeddingsCollection.aggregate([
+    { $match: { "transcriptId": transcriptId } },  // LangChain flattens metadata fields
+    {
+      $group: {
+        _id: { runId: "$embeddingRunId", contentHash: "$contentHash" },
+        storedChunks: { $sum: 1 },
+        expectedChunks: { $max: "$chunkTotal" }
+      }
+    }
+  ]).toArray();
+  
+  if (runs.length === 0) {
+    return { state: 'missing', storedChunks: 0, expectedChunks: 0, storedHash: null };
+  }
+  
+  const storedChunks = runs.reduce((sum, run) => sum + run.storedChunks, 0);
+  const [run] = runs;
+  const result = {
+    storedChunks,
+    expectedChunks: run.expectedChunks || 0,
+    storedHash: run._id.contentHash || null
+  };
+  
+  if (runs.length > 1 || run.storedChunks < (run.expectedChunks || 0)) {
+    return { state: 'partial', ...result };
+  }
+  if (currentHash && run._id.contentHash !== currentHash) {
+    return { state: 'stale', ...result };
+  }
+  return { state: 'ready', ...result };
+}
+
+/**
+ * Remove existing embeddings for a transcript, optionally keeping one embedding run
  */
-async function checkExistingEmbeddings(transcriptId) {
+async function removeExistingEmbeddings(transcriptId, keepRunId = null) {
   try {
     const database = await getDatabase();
     const embeddingsCollection = database.collection(EMBEDDINGS_COLLECTION);
     
-    const existingEmbeddings = await embeddingsCollection.findOne({
-      "transcriptId": transcriptId  // LangChain flattens metadata fields
-    });
+    const filter = { "transcriptId": transcriptId };  // LangChain flattens metadata fields
+    if (keepRunId) {
+      filter.embeddingRunId = { $ne: keepRunId };
+    }
     
-    const hasEmbeddings = !!existingEmbeddings;
+    const result = await embeddingsCollection.deleteMany(filter);
     
-    return hasEmbeddings;
+    console.log(`Removed ${result.deletedCount} existing embeddings for transcript ${transcriptId}`);
   } catch (error) {
-    console.error('Error checking existing embeddings:', error);
-    return false;
+    console.error('Error removing existing embeddings:', error);
   }
 }
 
 /**
- * Remove existing embeddings for a transcript
+ * Remove the chunks written by one embedding run (cleanup after a failed run)
  */
-async function removeExistingEmbeddings(transcriptId) {
+async function removeEmbeddingRun(transcriptId, embeddingRunId) {
   try {
     const database = await getDatabase();
     const embeddingsCollection = database.collection(EMBEDDINGS_COLLECTION);
     
     const result = await embeddingsCollection.deleteMany({
-      "transcriptId": transcriptId  // LangChain flattens metadata fields
+      "transcriptId": transcriptId,
+      embeddingRunId: embeddingRunId
     });
     
-    console.log(`Removed ${result.deletedCount} existing embeddings for transcript ${transcriptId}`);
+    if (result.deletedCount > 0) {
+      console.log(`Removed ${result.deletedCount} chunks from failed embedding run for transcript ${transcriptId}`);
+    }
   } catch (error) {
-    console.error('Error removing existing embeddings:', error);
+    console.error('Error removing failed embedding run:', error);
   }
 }
 
@@ -171,33 +221,60 @@ router.get('/status', async (req, res) => {
       }
     });
     
+    // Transcripts owned by other teams are left out, like unknown IDs
     const transcripts = await collection.find({
-      _id: { $in: objectIds }
+      _id: { $in: objectIds },
+      ...teamScope(req.auth)
     }).toArray();
     
     // Check vector store for embeddings instead of transcript documents
     const embeddingStatus = await Promise.all(transcripts.map(async (transcript) => {
       // Ensure we're using the string version of the ObjectId for consistency
       const transcriptIdString = transcript._id.toString();
-      const hasEmbedding = await checkExistingEmbeddings(transcriptIdString);
+      
+      // Hash the current transcript_data so edited transcripts show up as stale
+      let currentHash = null;
+      try {
+        currentHash = parseTranscriptData(transcript).contentHash;
+      } catch (parseError) {
+        console.error(`Failed to parse transcript data for ${transcriptIdString}`);
+      }
+      
+      const embeddingState = await getEmbeddingState(transcriptIdString, currentHash);
+      const hasEmbedding = embeddingState.storedChunks > 0;
       
       return {
         _id: transcript._id,
         meeting_id: transcript.meeting_id,
         hasEmbedding,
-        embeddingMetadata: hasEmbedding ? { model: "text-embedding-3-small", vectorStore: true } : null,
+        embeddingState: embeddingState.state,
+        storedChunks: embeddingState.storedChunks,
+        expectedChunks: embeddingState.expectedChunks,
+        contentHash: currentHash,
+        embeddedContentHash: embeddingState.storedHash,
+        embeddingMetadata: hasEmbedding ? { model: getEmbeddingModelName(), vectorStore: true } : null,
         contentLength: transcript.transcript_data ? transcript.transcript_data.length : 0
       };
     }));
     
-    const allHaveEmbeddings = embeddingStatus.every(status => status.hasEmbedding);
     const totalCount = embeddingStatus.length;
-    const embeddedCount = embeddingStatus.filter(status => status.hasEmbedding).length;
+    const countInState = (state) => embeddingStatus.filter(status => status.embeddingState === state).length;
+    const embeddedCount = countInState('ready');
+    const staleCount = countInState('stale');
+    
+    // 'partial' if anything is missing or incomplete, 'stale' if everything is embedded but some are outdated
+    let overallStatus = 'ready';
+    if (embeddedCount + staleCount < totalCount) {
+      overallStatus = 'partial';
+    } else if (staleCount > 0) {
+      overallStatus = 'stale';
+    }
     
     res.json({
-      status: allHaveEmbeddings ? 'ready' : 'partial',
+      status: overallStatus,
       totalTranscripts: totalCount,
       embeddedTranscripts: embeddedCount,
+      staleTranscripts: staleCount,
       transcripts: embeddingStatus
     });
     
@@ -208,188 +285,256 @@ router.get('/status', async (req, res) => {
 });
 
 /**
- * Generate embeddings for specific transcripts
+ * Generate embeddings for one transcript (called by the embedding job worker)
+ * @param {string} transcriptId - Transcript ID
+ * @param {Object} options - { force } re-embed even if embeddings are up to date;
+ *   { owner } who queued the job, charged for the embedding usage
+ * @returns {Promise<Object>} Result with status 'generated', 'skipped' or 'error'
+ */
+async function generateTranscriptEmbeddings(transcriptId, { force = false, owner = {} } = {}) {
+  const database = await getDatabase();
+  const collection = database.collection(TRANSCRIPTS_COLLECTION);
+  
+  // Find transcript by ID
+  let transcript;
+  const { ObjectId } = require('mongodb');
+  try {
+    transcript = await collection.findOne({ _id: new ObjectId(transcriptId) });
+  } catch {
+    transcript = await collection.findOne({ _id: transcriptId });
+  }
+  
+  if (!transcript) {
+    return {
+      transcriptId,
+      status: 'error',
+      message: 'Transcript not found'
+    };
+  }
+  
+  // Parse transcript data
+  let transcriptEntries;
+  let transcriptContent;
+  let contentHash;
+  try {
+    ({ transcriptEntries, transcriptContent, contentHash } = parseTranscriptData(transcript));
+  } catch (parseError) {
+    return {
+      transcriptId,
+      status: 'error',
+      message: 'Failed to parse transcript data'
+    };
+  }
+  
+  if (!transcriptContent || transcriptContent.trim().length === 0) {
+    return {
+      transcriptId,
+      status: 'error',
+      message: 'No transcript content found'
+    };
+  }
+  
+  // Skip transcripts whose stored embeddings are complete and match the current content
+  const embeddingState = await getEmbeddingState(transcriptId, contentHash);
+  if (embeddingState.state === 'ready' && !force) {
+    return {
+      transcriptId,
+      status: 'skipped',
+      message: 'Embeddings already up to date in vector store'
+    };
+  }
+  
+  if (embeddingState.state !== 'missing') {
+    console.log(`Re-embedding transcript ${transcriptId} (${force ? 'forced' : embeddingState.state})`);
+  }
+  
+  // Process transcript and store in vector database
+  console.log(`Processing transcript ${transcriptId} to vector store...`);
+  // Watcher jobs have no owner, so their usage goes to the transcript's owner
+  const usageContext = {
+    userId: owner.userId || transcript.userId || null,
+    teamId: owner.teamId || transcript.teamId || null,
+    route: 'embedding-job',
+    transcriptIds: [transcriptId]
+  };
+  const result = await runWithUsageContext(usageContext, () => processTranscriptToVectorStore(
+    transcriptId, 
+    transcriptEntries, 
+    transcript.meeting_id, 
+    transcript.date
+  ));
+  
+  // Update transcript with embedding metadata (backward compatibility)
+  const embeddingMetadata = {
+    model: getEmbeddingModelName(),
+    generatedAt: new Date().toISOString(),
+    contentHash: result.contentHash,
+    contentLength: transcriptContent.length,
+    lastUpdated: new Date().toISOString(),
+    vectorStore: true,
+    chunksStored: result.chunksStored
+  };
+  
+  await collection.updateOne(
+    { _id: transcript._id },
+    {
+      $set: {
+        embeddingMetadata: embeddingMetadata
+      },
+      $unset: {
+        embeddings: "" // Remove old averaged embeddings
+      }
+    }
+  );
+  
+  console.log(`✅ Generated embedding for transcript ${transcriptId}`);
+  
+  return {
+    transcriptId,
+    status: 'generated',
+    message: 'Embeddings generated and stored in vector database',
+    previousState: embeddingState.state,
+    chunksStored: result.chunksStored,
+    model: result.model,
+    contentLength: transcriptContent.length
+  };
+}
+
+// Persisted job queue; the worker picks up queued jobs (and jobs abandoned by crashed processes)
+const jobQueue = new EmbeddingJobQueue({
+  getDatabase,
+  processTranscript: generateTranscriptEmbeddings
+});
+
+if (EMBEDDING_WORKER_ENABLED) {
+  jobQueue.start();
+}
+
+/**
+ * Content hash of a transcript if its current content hasn't been embedded, else null
+ */
+function getPendingContentHash(transcript) {
+  try {
+    const { transcriptContent, contentHash } = parseTranscriptData(transcript);
+    if (!transcriptContent || transcriptContent.trim().length === 0) {
+      return null;
+    }
+    return transcript.embeddingMetadata?.contentHash === contentHash ? null : contentHash;
+  } catch (parseError) {
+    return null; // Unparseable transcripts can't be embedded anyway
+  }
+}
+
+// New and edited transcripts go through the same job queue as /generate
+const transcriptWatcher = new TranscriptWatcher({
+  getDatabase,
+  collectionName: TRANSCRIPTS_COLLECTION,
+  getPendingHash: getPendingContentHash,
+  enqueue: async (transcriptIds) => {
+    const job = await jobQueue.enqueue(transcriptIds);
+    console.log(`Queued embedding job ${job._id} for ${job.transcriptIds.length} changed transcripts`);
+    if (EMBEDDING_WORKER_ENABLED) {
+      jobQueue.poll();
+    }
+  },
+  mode: TRANSCRIPT_WATCHER_MODE,
+  pollIntervalMs: TRANSCRIPT_WATCHER_POLL_MS
+});
+
+if (TRANSCRIPT_WATCHER_ENABLED) {
+  transcriptWatcher.start().catch(error => {
+    console.error('❌ Failed to start transcript watcher:', error);
+  });
+}
+
+/**
+ * Queue embedding generation for specific transcripts
  * POST /api/embeddings/generate
- * Body: { transcriptIds: ['id1', 'id2'] }
+ * Body: { transcriptIds: ['id1', 'id2'], force: false }
+ * Up-to-date transcripts are skipped unless force is set; stale or partial ones are re-embedded.
+ * Responds immediately with a job ID; poll GET /api/embeddings/jobs/:id for progress.
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', enforceUsageBudget, async (req, res) => {
   try {
-    const database = await getDatabase();
-    const collection = database.collection(TRANSCRIPTS_COLLECTION);
-    
-    const { transcriptIds } = req.body;
-    if (!transcriptIds || !Array.isArray(transcriptIds)) {
+    const { transcriptIds, force = false } = req.body;
+    if (!transcriptIds || !Array.isArray(transcriptIds) || transcriptIds.length === 0) {
       return res.status(400).json({ error: 'Transcript IDs array is required' });
     }
     
-    const results = [];
-    let processed = 0;
-    let generated = 0;
-    let skipped = 0;
-    let errors = 0;
+    const database = await getDatabase();
+    const inaccessible = await findInaccessibleTranscripts(database.collection(TRANSCRIPTS_COLLECTION), req.auth, transcriptIds);
+    if (inaccessible.length > 0) {
+      return res.status(404).json({ error: 'Transcripts not found', transcriptIds: inaccessible });
+    }
     
-    for (const transcriptId of transcriptIds) {
-      try {
-        processed++;
-        
-        // Check if this transcript is already being processed
-        if (generationLocks.has(transcriptId)) {
-          results.push({
-            transcriptId,
-            status: 'skipped',
-            message: 'Embeddings already being generated for this transcript'
-          });
-          skipped++;
-          continue;
-        }
-        
-        // Add lock for this transcript
-        generationLocks.add(transcriptId);
-        
-        // Find transcript by ID
-        let transcript;
-        const { ObjectId } = require('mongodb');
-        try {
-          transcript = await collection.findOne({ _id: new ObjectId(transcriptId) });
-        } catch {
-          transcript = await collection.findOne({ _id: transcriptId });
-        }
-        
-        if (!transcript) {
-          results.push({
-            transcriptId,
-            status: 'error',
-            message: 'Transcript not found'
-          });
-          errors++;
-          generationLocks.delete(transcriptId); // Remove lock
-          continue;
-        }
-        
-        // Check if embeddings already exist in vector store
-        const hasExistingEmbeddings = await checkExistingEmbeddings(transcriptId);
-        if (hasExistingEmbeddings) {
-          results.push({
-            transcriptId,
-            status: 'skipped',
-            message: 'Embeddings already exist in vector store'
-          });
-          skipped++;
-          generationLocks.delete(transcriptId); // Remove lock
-          continue;
-        }
-        
-        // Clean up any partial embeddings before creating new ones
-        await removeExistingEmbeddings(transcriptId);
-        
-        // Parse transcript data
-        let transcriptContent;
-        try {
-          const transcriptData = JSON.parse(transcript.transcript_data);
-          
-          // Convert transcript entries to text
-          transcriptContent = transcriptData.map(entry => {
-            return `${entry.speaker}: ${entry.text}`;
-          }).join('\n');
-          
-        } catch (parseError) {
-          results.push({
-            transcriptId,
-            status: 'error',
-            message: 'Failed to parse transcript data'
-          });
-          errors++;
-          generationLocks.delete(transcriptId); // Remove lock
-          continue;
-        }
-        
-        if (!transcriptContent || transcriptContent.trim().length === 0) {
-          results.push({
-            transcriptId,
-            status: 'error',
-            message: 'No transcript content found'
-          });
-          errors++;
-          generationLocks.delete(transcriptId); // Remove lock
-          continue;
-        }
-        
-        // Process transcript and store in vector database
-        console.log(`Processing transcript ${transcriptId} to vector store...`);
-        const result = await processTranscriptToVectorStore(
-          transcriptId, 
-          transcriptContent, 
-          transcript.meeting_id, 
-          transcript.date
-        );
-        
-        // Update transcript with embedding metadata (backward compatibility)
-        const embeddingMetadata = {
-          model: 'text-embedding-3-small',
-          generatedAt: new Date().toISOString(),
-          contentHash: generateContentHash(transcriptContent),
-          contentLength: transcriptContent.length,
-          lastUpdated: new Date().toISOString(),
-          vectorStore: true,
-          chunksStored: result.chunksStored
-        };
-        
-        await collection.updateOne(
-          { _id: transcript._id },
-          {
-            $set: {
-              embeddingMetadata: embeddingMetadata
-            },
-            $unset: {
-              embeddings: "" // Remove old averaged embeddings
-            }
-          }
-        );
-        
-        results.push({
-          transcriptId,
-          status: 'generated',
-          message: 'Embeddings generated and stored in vector database',
-          chunksStored: result.chunksStored,
-          model: result.model,
-          contentLength: transcriptContent.length
-        });
-        generated++;
-        
-        console.log(`✅ Generated embedding for transcript ${transcriptId}`);
-        
-        // Add small delay between transcript processing to avoid rate limits
-        if (transcriptIds.length > 1) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-        
-      } catch (error) {
-        console.error(`Error processing transcript ${transcriptId}:`, error);
-        results.push({
-          transcriptId,
-          status: 'error',
-          message: error.message
-        });
-        errors++;
-      } finally {
-        // Always remove lock when done processing this transcript
-        generationLocks.delete(transcriptId);
-      }
+    const job = await jobQueue.enqueue(transcriptIds, { force: !!force, owner: ownerFields(req.auth) });
+    console.log(`Queued embedding job ${job._id} for ${job.transcriptIds.length} transcripts`);
+    
+    // Start right away when this process runs the worker rather than waiting for the next poll
+    if (EMBEDDING_WORKER_ENABLED) {
+      jobQueue.poll();
     }
     
-    res.json({
-      summary: {
-        processed,
-        generated,
-        skipped,
-        errors
-      },
-      results
+    res.status(202).json({
+      jobId: job._id,
+      status: job.status,
+      transcriptCount: job.transcriptIds.length,
+      statusUrl: `/api/embeddings/jobs/${job._id}`
     });
     
   } catch (error) {
-    console.error('Error in embedding generation:', error);
-    res.status(500).json({ error: 'Failed to generate embeddings' });
+    console.error('Error queueing embedding generation:', error);
+    res.status(500).json({ error: 'Failed to queue embedding generation' });
+  }
+});
+
+/**
+ * Jobs are visible to the team that queued them (all jobs when authentication is disabled)
+ */
+function canAccessJob(auth, job) {
+  return !auth || !auth.teamId || job.teamId === auth.teamId;
+}
+
+/**
+ * Get embedding job progress
+ * GET /api/embeddings/jobs/:id
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+    if (!job || !canAccessJob(req.auth, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json(formatJob(job));
+    
+  } catch (error) {
+    console.error('Error getting embedding job:', error);
+    res.status(500).json({ error: 'Failed to get embedding job' });
+  }
+});
+
+/**
+ * Cancel an embedding job (running jobs stop after the current transcript)
+ * POST /api/embeddings/jobs/:id/cancel
+ */
+router.post('/jobs/:id/cancel', async (req, res) => {
+  try {
+    const existing = await jobQueue.getJob(req.params.id);
+    if (!existing || !canAccessJob(req.auth, existing)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    const job = await jobQueue.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json(formatJob(job));
+    
+  } catch (error) {
+    console.error('Error cancelling embedding job:', error);
+    res.status(500).json({ error: 'Failed to cancel embedding job' });
   }
 });
 
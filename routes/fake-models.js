@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { Embeddings } = require('langchain/embeddings/base');
+const { SimpleChatModel } = require('langchain/chat_models/base');
+const { AIMessageChunk, ChatGenerationChunk } = require('langchain/schema');
+
+/**
+ * Deterministic, offline embeddings for development and automated tests.
+ * Each word is hashed into a fixed bucket of the vector (feature hashing), so texts
+ * sharing vocabulary end up close together under cosine similarity.
+ */
+class FakeEmbeddings extends Embeddings {
+  constructor(fields = {}) {
+    super(fields);
+    this.dimensions = fields.dimensions || 1536;
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = (text || '').toLowerCase().match(/[a-z0-9]+(?:-[0-9]+)?/g) || [];
+
+    for (const word of words) {
+      const hash = crypto.createHash('sha256').update(word).digest();
+      const bucket = hash.readUInt32BE(0) % this.dimensions;
+      const sign = hash[4] & 1 ? 1 : -1;
+      vector[bucket] += sign;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  async embedQuery(text) {
+    return this.embedText(text);
+  }
+}
+
+/**
+ * Deterministic, offline chat model for development and automated tests.
+ * Answers are templated from the question and the transcript context in the prompt.
+ */
+class FakeChatModel extends SimpleChatModel {
+  _llmType() {
+    return 'fake';
+  }
+
+  buildAnswer(messages) {
+    const humanMessages = messages.filter(msg => msg._getType() === 'human');
+    const question = humanMessages.length > 0 ? humanMessages[humanMessages.length - 1].content : '';
+    const systemText = messages
+      .filter(msg => msg._getType() === 'system')
+      .map(msg => msg.content)
+      .join('\n');
+
+    const contextMarker = 'Context from relevant transcript sections:';
+    if (!systemText.includes(contextMarker)) {
+      return `Offline response: ${String(question).substring(0, 200)}`;
+    }
+
+    const context = systemText.substring(systemText.indexOf(contextMarker) + contextMarker.length);
+    const sources = context.match(/\[Source \d+\][^\n]*\n[^\n]*/g) || [];
+    const dates = [...new Set((context.match(/=== MEETING ON (.+?) ===/g) || [])
+      .map(header => header.replace(/=== MEETING ON (.+?) ===/, '$1')))];
+
+    if (sources.length === 0) {
+      return JSON.stringify({
+        answer: `Offline response to "${question}": no relevant transcript content was found.`,
+        confidence: 'low',
+        sources_used: [],
+        follow_up_questions: []
+      });
+    }
+
+    const excerpts = sources.slice(0, 3).map(source => {
+      const [label, content] = source.split('\n');
+      const sourceNumber = label.match(/\[Source (\d+)\]/)[1];
+      // Cite the first numbered line like a real model would
+      const line = content.match(/^L(\d+) /);
+      const citation = line ? `[S${sourceNumber}:L${line[1]}]` : `[S${sourceNumber}]`;
+      return `- ${content.replace(/^L\d+ /, '').substring(0, 160)} ${citation}`;
+    });
+
+    // RAG prompts ask for the structured JSON response
+    return JSON.stringify({
+      answer: [
+        `Offline response to "${question}".`,
+        `Found ${sources.length} relevant transcript sections from meetings on ${dates.join(', ')}.`,
+        ...excerpts
+      ].join('\n'),
+      confidence: 'medium',
+      sources_used: dates,
+      follow_up_questions: dates.map(date => `What else was discussed on ${date}?`).slice(0, 2)
+    });
+  }
+
+  async _call(messages) {
+    return this.buildAnswer(messages);
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    // Stream word by word so streaming clients behave as they would against a real provider
+    const tokens = this.buildAnswer(messages).match(/\S+\s*|\s+/g) || [];
+    for (const token of tokens) {
+      yield new ChatGenerationChunk({
+        message: new AIMessageChunk(token),
+        text: token
+      });
+      await runManager?.handleLLMNewToken(token);
+    }
+  }
+}
+
+module.exports = { FakeEmbeddings, FakeChatModel };
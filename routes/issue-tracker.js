@@ -0,0 +1,186 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Issue tracker used to resolve SP-XXX keys: "none", "jira" (Jira-compatible REST API) or "file" (local JSON)
+const ISSUE_TRACKER = process.env.ISSUE_TRACKER || 'none';
+const JIRA_BASE_URL = (process.env.JIRA_BASE_URL || '').replace(/\/+$/, '');
+const JIRA_EMAIL = process.env.JIRA_EMAIL;
+const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
+const ISSUE_TRACKER_FILE = process.env.ISSUE_TRACKER_FILE || 'issues.json';
+// How long resolved (and unknown) tickets are cached before asking the tracker again
+const ISSUE_CACHE_TTL_MS = parseInt(process.env.ISSUE_CACHE_TTL_MS || '300000', 10);
+const ISSUE_REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Flatten a Jira-shaped issue ({ key, fields: { summary, status, assignee } }) for clients and prompts
+ */
+function formatIssue(issue, browseBaseUrl) {
+  const fields = issue.fields || {};
+  return {
+    key: issue.key,
+    title: fields.summary || null,
+    status: fields.status?.name || null,
+    assignee: fields.assignee?.displayName || null,
+    url: issue.url || (browseBaseUrl ? `${browseBaseUrl}/browse/${issue.key}` : null)
+  };
+}
+
+/*
+ * Issue tracker adapters resolve ticket keys to { key, title, status, assignee, url }:
+ *   getIssues(keys) => Promise<Map<key, issue>>, leaving out keys the tracker doesn't know
+ */
+
+/**
+ * Jira Cloud / Server REST API v2 (or anything serving the same issue shape)
+ */
+class JiraIssueTracker {
+  constructor({ baseUrl, email, apiToken }) {
+    if (!baseUrl) {
+      throw new Error('JIRA_BASE_URL is required when ISSUE_TRACKER=jira');
+    }
+    this.baseUrl = baseUrl;
+    // Jira Cloud uses basic auth with an API token; Server/Data Center accepts a bearer token
+    this.authorization = email
+      ? `Basic ${Buffer.from(`${email}:${apiToken}`).toString('base64')}`
+      : apiToken ? `Bearer ${apiToken}` : null;
+  }
+
+  async getIssue(key) {
+    const url = `${this.baseUrl}/rest/api/2/issue/${encodeURIComponent(key)}?fields=summary,status,assignee`;
+    const headers = { Accept: 'application/json' };
+    if (this.authorization) {
+      headers.Authorization = this.authorization;
+    }
+
+    const response = await fetch(url, { headers, signal: AbortSignal.timeout(ISSUE_REQUEST_TIMEOUT_MS) });
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Issue tracker returned ${response.status} for ${key}`);
+    }
+    return formatIssue(await response.json(), this.baseUrl);
+  }
+
+  async getIssues(keys) {
+    // One request per key: a JQL "key in (...)" search fails outright if any key doesn't exist
+    const issues = await Promise.all(keys.map(key => this.getIssue(key)));
+    return new Map(issues.filter(Boolean).map(issue => [issue.key, issue]));
+  }
+}
+
+/**
+ * Local stand-in for development and demos: a JSON file in the shape of a Jira search
+ * response ({ "issues": [{ key, fields: { summary, status: { name }, assignee: { displayName } } }] })
+ * or just the issues array. The file is re-read when it changes.
+ */
+class FileIssueTracker {
+  constructor({ filePath }) {
+    this.filePath = path.resolve(filePath);
+    this.loadedMtime = null;
+    this.issues = new Map();
+  }
+
+  async load() {
+    const { mtimeMs } = await fs.stat(this.filePath);
+    if (mtimeMs === this.loadedMtime) {
+      return;
+    }
+
+    const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    const issues = Array.isArray(data) ? data : data.issues || [];
+    this.issues = new Map(issues.map(issue => {
+      const key = issue.key.toUpperCase();
+      return [key, formatIssue({ ...issue, key })];
+    }));
+    this.loadedMtime = mtimeMs;
+  }
+
+  async getIssues(keys) {
+    await this.load();
+    return new Map(keys.filter(key => this.issues.has(key)).map(key => [key, this.issues.get(key)]));
+  }
+}
+
+/**
+ * Caches another adapter's lookups, including misses, for ISSUE_CACHE_TTL_MS.
+ * If the tracker can't be reached, expired entries are served rather than nothing.
+ */
+class CachedIssueTracker {
+  constructor(tracker, { ttlMs = ISSUE_CACHE_TTL_MS } = {}) {
+    this.tracker = tracker;
+    this.ttlMs = ttlMs;
+    this.cache = new Map(); // key -> { issue, expiresAt }
+  }
+
+  async getIssues(keys) {
+    const now = Date.now();
+    const result = new Map();
+    const expired = [];
+
+    for (const key of new Set(keys)) {
+      const entry = this.cache.get(key);
+      if (entry && entry.expiresAt > now) {
+        if (entry.issue) {
+          result.set(key, entry.issue);
+        }
+      } else {
+        expired.push(key);
+      }
+    }
+
+    if (expired.length === 0) {
+      return result;
+    }
+
+    try {
+      const fetched = await this.tracker.getIssues(expired);
+      const expiresAt = Date.now() + this.ttlMs;
+      for (const key of expired) {
+        const issue = fetched.get(key) || null;
+        this.cache.set(key, { issue, expiresAt });
+        if (issue) {
+          result.set(key, issue);
+        }
+      }
+    } catch (error) {
+      console.error('Error resolving tickets from issue tracker:', error.message);
+      for (const key of expired) {
+        const stale = this.cache.get(key)?.issue;
+        if (stale) {
+          result.set(key, stale);
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Create the configured issue tracker adapter, wrapped in a cache
+ * @returns {CachedIssueTracker|null} null when ISSUE_TRACKER=none
+ */
+function createIssueTracker() {
+  switch (ISSUE_TRACKER) {
+    case 'none':
+      return null;
+    case 'jira':
+      return new CachedIssueTracker(new JiraIssueTracker({
+        baseUrl: JIRA_BASE_URL,
+        email: JIRA_EMAIL,
+        apiToken: JIRA_API_TOKEN
+      }));
+    case 'file':
+      return new CachedIssueTracker(new FileIssueTracker({ filePath: ISSUE_TRACKER_FILE }));
+    default:
+      throw new Error(`Unknown issue tracker "${ISSUE_TRACKER}". Expected "none", "jira" or "file"`);
+  }
+}
+
+module.exports = {
+  createIssueTracker,
+  JiraIssueTracker,
+  FileIssueTracker,
+  CachedIssueTracker
+};
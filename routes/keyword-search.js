@@ -0,0 +1,397 @@
+// Keyword search backend: "auto" (Atlas Search when the index exists, else local), "atlas" or "local"
+const KEYWORD_SEARCH = process.env.KEYWORD_SEARCH || 'auto';
+const KEYWORD_INDEX_NAME = process.env.KEYWORD_INDEX_NAME || 'keyword_index';
+// Number of transcripts whose analysed chunks the local index keeps in memory
+const KEYWORD_INDEX_CACHE_SIZE = parseInt(process.env.KEYWORD_INDEX_CACHE_SIZE || '50', 10);
+
+// BM25 parameters (the usual Lucene defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Ticket references identify a task exactly, so they outweigh ordinary terms
+const TICKET_BOOST = 2;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'before', 'being', 'both', 'but', 'by', 'can', 'could', 'did', 'do',
+  'does', 'doing', 'for', 'from', 'had', 'has', 'have', 'having', 'he', 'her', 'here',
+  'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my',
+  'of', 'on', 'or', 'our', 'ours', 'she', 'should', 'so', 'some', 'than', 'that', 'the',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'too', 'up',
+  'us', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+  'whom', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Ticket references ("SP-12", "sp 12", "SP12") or words, keeping apostrophe suffixes attached
+const TOKEN_PATTERN = /\bsp[-\s]?\d+\b|[a-z0-9]+(?:'[a-z]+)?/g;
+const TICKET_TOKEN_PATTERN = /^sp[-\s]?(\d+)$/;
+
+function isConsonant(word, i) {
+  const ch = word[i];
+  if ('aeiou'.includes(ch)) {
+    return false;
+  }
+  if (ch === 'y') {
+    return i === 0 || !isConsonant(word, i - 1);
+  }
+  return true;
+}
+
+/**
+ * Porter's measure: the number of vowel-consonant sequences in a stem
+ */
+function measure(stem) {
+  let m = 0;
+  let previousVowel = false;
+  for (let i = 0; i < stem.length; i++) {
+    const consonant = isConsonant(stem, i);
+    if (consonant && previousVowel) {
+      m++;
+    }
+    previousVowel = !consonant;
+  }
+  return m;
+}
+
+function hasVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(word) {
+  const last = word.length - 1;
+  return last > 0 && word[last] === word[last - 1] && isConsonant(word, last);
+}
+
+function endsWithCvc(word) {
+  const last = word.length - 1;
+  return last >= 2 &&
+    isConsonant(word, last - 2) && !isConsonant(word, last - 1) && isConsonant(word, last) &&
+    !'wxy'.includes(word[last]);
+}
+
+/**
+ * Light English stemmer: step 1 of the Porter algorithm (plurals, -ed/-ing, y → i).
+ * Enough for "deploy", "deploys", "deployed" and "deploying" to match each other.
+ */
+function stem(word) {
+  if (word.length <= 2 || /\d/.test(word)) {
+    return word;
+  }
+
+  // Step 1a: plurals
+  if (word.endsWith('sses')) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith('ies')) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith('s') && !word.endsWith('ss')) {
+    word = word.slice(0, -1);
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if (word.endsWith('eed')) {
+    if (measure(word.slice(0, -3)) > 0) {
+      word = word.slice(0, -1);
+    }
+  } else {
+    const suffix = ['ed', 'ing'].find(candidate => word.endsWith(candidate));
+    if (suffix && hasVowel(word.slice(0, -suffix.length))) {
+      word = word.slice(0, -suffix.length);
+      if (/(at|bl|iz)$/.test(word)) {
+        word += 'e';
+      } else if (endsWithDoubleConsonant(word) && !/[lsz]$/.test(word)) {
+        word = word.slice(0, -1);
+      } else if (measure(word) === 1 && endsWithCvc(word)) {
+        word += 'e';
+      }
+    }
+  }
+
+  // Step 1c: y → i
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+    word = word.slice(0, -1) + 'i';
+  }
+
+  return word;
+}
+
+/**
+ * Analyse text into stemmed index terms with stop words removed.
+ * Ticket references become a single "sp-N" term whatever form they were written in.
+ */
+function analyzeText(text) {
+  const terms = [];
+  for (const token of text.toLowerCase().match(TOKEN_PATTERN) || []) {
+    const ticketMatch = TICKET_TOKEN_PATTERN.exec(token);
+    if (ticketMatch) {
+      terms.push(`sp-${ticketMatch[1]}`);
+      continue;
+    }
+
+    // Possessives and contractions ("john's", "we're") index under the base word
+    const word = token.replace(/'(?:s|re|ve|ll|d|m)$/, '');
+    if (!STOP_WORDS.has(word)) {
+      terms.push(stem(word));
+    }
+  }
+  return terms;
+}
+
+/**
+ * Parse a user's question into a keyword query. "Quoted text" becomes a phrase
+ * that results must contain; everything else is matched as individual terms.
+ * The question is only ever tokenised, never turned into a regex or query syntax.
+ * @returns {Object} { terms, phrases: [{ text, terms }], ticketRefs, freeText }
+ */
+function parseKeywordQuery(query) {
+  const phrases = [];
+  const freeText = query.replace(/"([^"]*)"/g, (match, phrase) => {
+    const terms = analyzeText(phrase);
+    if (terms.length > 0) {
+      phrases.push({ text: phrase.trim(), terms });
+    }
+    return ' ';
+  }).replace(/\s+/g, ' ').trim();
+
+  const terms = [...new Set([...analyzeText(freeText), ...phrases.flatMap(phrase => phrase.terms)])];
+
+  return {
+    terms,
+    phrases,
+    ticketRefs: terms.filter(term => term.startsWith('sp-')),
+    freeText
+  };
+}
+
+/**
+ * Scale scores so the best hit is 1, matching the other searchers' 0-1 scores
+ */
+function normalizeScores(hits) {
+  const maxScore = Math.max(...hits.map(hit => hit.score), 0);
+  return hits.map(hit => ({ ...hit, score: maxScore > 0 ? hit.score / maxScore : 0 }));
+}
+
+/**
+ * Keyword search through an Atlas Search index on the embeddings collection.
+ * The index's lucene.english analyzer does the stemming and stop-word removal.
+ */
+class AtlasKeywordSearch {
+  constructor(collection, { indexName = KEYWORD_INDEX_NAME } = {}) {
+    this.collection = collection;
+    this.indexName = indexName;
+  }
+
+  /**
+   * @param {Object} options - { limit, speakers } speakers limits hits to chunks where one of them speaks
+   * @returns {Promise<Array>} [{ doc, score }] best first, scores scaled to 0-1
+   */
+  async search(query, transcriptIds, { limit = 15, speakers } = {}) {
+    const parsed = parseKeywordQuery(query);
+    if (parsed.terms.length === 0) {
+      return [];
+    }
+
+    // The text and phrase operators take plain strings, so the question needs no escaping
+    const should = [
+      ...(parsed.freeText ? [{ text: { query: parsed.freeText, path: 'text' } }] : []),
+      ...parsed.ticketRefs.map(ref => ({
+        phrase: { query: ref.replace('-', ' '), path: 'text', score: { boost: { value: TICKET_BOOST } } }
+      }))
+    ];
+    const compound = { filter: [{ in: { path: 'transcriptId', value: transcriptIds } }] };
+    if (speakers) {
+      compound.filter.push({ in: { path: 'speakers', value: speakers } });
+    }
+    if (parsed.phrases.length > 0) {
+      compound.must = parsed.phrases.map(phrase => ({ phrase: { query: phrase.text, path: 'text' } }));
+    }
+    if (should.length > 0) {
+      compound.should = should;
+      // Without required phrases, at least one term has to match
+      compound.minimumShouldMatch = compound.must ? 0 : 1;
+    }
+
+    const docs = await this.collection.aggregate([
+      { $search: { index: this.indexName, compound } },
+      { $limit: limit },
+      { $addFields: { searchScore: { $meta: 'searchScore' } } },
+      { $project: { embedding: 0 } }
+    ]).toArray();
+
+    return normalizeScores(docs.map(({ searchScore, ...doc }) => ({ doc, score: searchScore })));
+  }
+}
+
+/**
+ * BM25 keyword search over an in-memory inverted index, for deployments without
+ * Atlas Search. Analysed chunks are cached per transcript and reloaded when the
+ * transcript's chunks change (re-embedding writes a new embeddingRunId).
+ */
+class LocalKeywordSearch {
+  constructor(collection, { cacheSize = KEYWORD_INDEX_CACHE_SIZE } = {}) {
+    this.collection = collection;
+    this.cacheSize = cacheSize;
+    this.indexes = new Map(); // transcriptId -> { version, documents }
+  }
+
+  static getVersion(chunkCount, runIds) {
+    return `${chunkCount}:${[...new Set(runIds.map(String))].sort().join(',')}`;
+  }
+
+  static indexDocument(doc) {
+    const positions = new Map();
+    const terms = analyzeText(doc.text || '');
+    terms.forEach((term, position) => {
+      if (!positions.has(term)) {
+        positions.set(term, []);
+      }
+      positions.get(term).push(position);
+    });
+    return { doc, positions, length: terms.length };
+  }
+
+  /**
+   * Analysed chunks for the given transcripts, reloading any that changed since they were cached
+   */
+  async loadDocuments(transcriptIds) {
+    const versions = await this.collection.aggregate([
+      { $match: { transcriptId: { $in: transcriptIds } } },
+      { $group: { _id: '$transcriptId', runIds: { $addToSet: '$embeddingRunId' }, chunks: { $sum: 1 } } }
+    ]).toArray();
+
+    const currentIds = new Set(versions.map(version => version._id));
+    transcriptIds.filter(id => !currentIds.has(id)).forEach(id => this.indexes.delete(id));
+
+    const staleIds = versions
+      .filter(version => this.indexes.get(version._id)?.version !== LocalKeywordSearch.getVersion(version.chunks, version.runIds))
+      .map(version => version._id);
+
+    if (staleIds.length > 0) {
+      const loaded = new Map(staleIds.map(id => [id, []]));
+      const cursor = this.collection.find({ transcriptId: { $in: staleIds } }, { projection: { embedding: 0 } });
+      for await (const doc of cursor) {
+        loaded.get(doc.transcriptId).push(doc);
+      }
+
+      // Version what was actually read, so a change racing the load is picked up next time
+      loaded.forEach((docs, transcriptId) => {
+        this.indexes.set(transcriptId, {
+          version: LocalKeywordSearch.getVersion(docs.length, docs.map(doc => doc.embeddingRunId)),
+          documents: docs.map(doc => LocalKeywordSearch.indexDocument(doc))
+        });
+      });
+    }
+
+    const documents = [];
+    for (const transcriptId of currentIds) {
+      // Re-insert to mark as recently used
+      const index = this.indexes.get(transcriptId);
+      this.indexes.delete(transcriptId);
+      this.indexes.set(transcriptId, index);
+      documents.push(...index.documents);
+    }
+
+    while (this.indexes.size > Math.max(this.cacheSize, currentIds.size)) {
+      this.indexes.delete(this.indexes.keys().next().value);
+    }
+
+    return documents;
+  }
+
+  static containsPhrase(document, terms) {
+    const firstPositions = document.positions.get(terms[0]) || [];
+    return firstPositions.some(start =>
+      terms.every((term, offset) => (document.positions.get(term) || []).includes(start + offset))
+    );
+  }
+
+  /**
+   * @param {Object} options - { limit, speakers } speakers limits hits to chunks where one of them speaks
+   * @returns {Promise<Array>} [{ doc, score }] best first, scores scaled to 0-1
+   */
+  async search(query, transcriptIds, { limit = 15, speakers } = {}) {
+    const parsed = parseKeywordQuery(query);
+    if (parsed.terms.length === 0) {
+      return [];
+    }
+
+    const documents = (await this.loadDocuments(transcriptIds)).filter(document =>
+      !speakers || (document.doc.speakers || []).some(speaker => speakers.includes(speaker))
+    );
+    if (documents.length === 0) {
+      return [];
+    }
+
+    // Corpus statistics over the transcripts being searched
+    const averageLength = documents.reduce((sum, document) => sum + document.length, 0) / documents.length || 1;
+    const idf = new Map(parsed.terms.map(term => {
+      const docFreq = documents.filter(document => document.positions.has(term)).length;
+      return [term, Math.log(1 + (documents.length - docFreq + 0.5) / (docFreq + 0.5))];
+    }));
+
+    const hits = [];
+    for (const document of documents) {
+      if (!parsed.phrases.every(phrase => LocalKeywordSearch.containsPhrase(document, phrase.terms))) {
+        continue;
+      }
+
+      let score = 0;
+      for (const term of parsed.terms) {
+        const termFreq = (document.positions.get(term) || []).length;
+        if (termFreq === 0) {
+          continue;
+        }
+        const lengthNorm = 1 - BM25_B + BM25_B * (document.length / averageLength);
+        const boost = parsed.ticketRefs.includes(term) ? TICKET_BOOST : 1;
+        score += boost * idf.get(term) * (termFreq * (BM25_K1 + 1)) / (termFreq + BM25_K1 * lengthNorm);
+      }
+
+      if (score > 0) {
+        hits.push({ doc: document.doc, score });
+      }
+    }
+
+    return normalizeScores(hits.sort((a, b) => b.score - a.score).slice(0, limit));
+  }
+}
+
+/**
+ * Create the configured keyword search over the embeddings collection. In "auto"
+ * mode Atlas Search is used only if the keyword index exists and is queryable.
+ * @param {Collection} collection - transcript_embeddings collection
+ * @returns {Promise<AtlasKeywordSearch|LocalKeywordSearch>}
+ */
+async function createKeywordSearch(collection) {
+  if (KEYWORD_SEARCH === 'local') {
+    return new LocalKeywordSearch(collection);
+  }
+  if (KEYWORD_SEARCH === 'atlas') {
+    return new AtlasKeywordSearch(collection);
+  }
+  if (KEYWORD_SEARCH !== 'auto') {
+    throw new Error(`Unknown keyword search "${KEYWORD_SEARCH}". Expected "auto", "atlas" or "local"`);
+  }
+
+  try {
+    const indexes = await collection.listSearchIndexes(KEYWORD_INDEX_NAME).toArray();
+    if (indexes.some(index => index.queryable !== false)) {
+      console.log(`Using Atlas Search index "${KEYWORD_INDEX_NAME}" for keyword search`);
+      return new AtlasKeywordSearch(collection);
+    }
+    console.log(`Atlas Search index "${KEYWORD_INDEX_NAME}" not found or not ready, using local BM25 keyword search`);
+  } catch (error) {
+    console.log(`Atlas Search is not available (${error.message}), using local BM25 keyword search`);
+  }
+  return new LocalKeywordSearch(collection);
+}
+
+module.exports = {
+  analyzeText,
+  parseKeywordQuery,
+  createKeywordSearch,
+  AtlasKeywordSearch,
+  LocalKeywordSearch
+};
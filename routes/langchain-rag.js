@@ -1,27 +1,156 @@
-const { ChatOpenAI } = require('@langchain/openai');
-const { ChatPromptTemplate, SystemMessagePromptTemplate, HumanMessagePromptTemplate } = require('langchain/prompts');
+const { ChatPromptTemplate, SystemMessagePromptTemplate, HumanMessagePromptTemplate, MessagesPlaceholder } = require('langchain/prompts');
+const { HumanMessage, AIMessage, SystemMessage } = require('langchain/schema');
 const { RunnableSequence } = require('langchain/schema/runnable');
 const { StringOutputParser } = require('langchain/schema/output_parser');
 const { z } = require('zod');
+const { getChatModel } = require('./model-providers');
+const { numberSourceLines, stripCitations } = require('./citations');
+
+// How many times an answer that fails schema validation is sent back to the model to be repaired
+const RESPONSE_REPAIR_ATTEMPTS = parseInt(process.env.RESPONSE_REPAIR_ATTEMPTS || '1', 10);
+
+// The reply shape requested from the model, passed into prompts as a variable so its braces aren't parsed as template slots
+const RESPONSE_JSON_SHAPE = '{"answer": string, "confidence": "high" | "medium" | "low", "sources_used": [string], "follow_up_questions": [string]}';
+
+/**
+ * Pull the JSON object out of a model reply, tolerating ```json fences and text around it
+ */
+function extractJsonObject(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Reply does not contain a JSON object');
+  }
+  return JSON.parse(text.substring(start, end + 1));
+}
+
+/**
+ * Incrementally decode the "answer" string of a JSON reply while it streams, so clients
+ * receive answer text rather than raw JSON. Replies that don't start with JSON are passed
+ * through unchanged.
+ */
+class AnswerStreamDecoder {
+  constructor() {
+    this.raw = '';
+    this.mode = null; // null until the first non-whitespace character, then 'json' or 'text'
+    this.position = -1; // Next unread index inside the answer string
+    this.finished = false;
+  }
+
+  /**
+   * @param {string} chunk - Next piece of the raw reply
+   * @returns {string} Newly decoded answer text (may be empty)
+   */
+  push(chunk) {
+    this.raw += chunk;
+
+    if (!this.mode) {
+      const trimmed = this.raw.trimStart();
+      if (!trimmed) {
+        return '';
+      }
+      this.mode = trimmed.startsWith('{') || trimmed.startsWith('`') ? 'json' : 'text';
+      if (this.mode === 'text') {
+        return this.raw;
+      }
+    } else if (this.mode === 'text') {
+      return chunk;
+    }
+
+    if (this.finished) {
+      return '';
+    }
+    if (this.position === -1) {
+      const match = /"answer"\s*:\s*"/.exec(this.raw);
+      if (!match) {
+        return '';
+      }
+      this.position = match.index + match[0].length;
+    }
+
+    let decoded = '';
+    while (this.position < this.raw.length) {
+      const ch = this.raw[this.position];
+      if (ch === '"') {
+        this.finished = true;
+        break;
+      }
+      if (ch !== '\\') {
+        decoded += ch;
+        this.position++;
+        continue;
+      }
+      // Escape sequences may arrive split across chunks; wait for the rest
+      const escapeLength = this.raw[this.position + 1] === 'u' ? 6 : 2;
+      if (this.position + escapeLength > this.raw.length) {
+        break;
+      }
+      decoded += JSON.parse(`"${this.raw.substring(this.position, this.position + escapeLength)}"`);
+      this.position += escapeLength;
+    }
+    return decoded;
+  }
+}
 
 /**
  * LangChain-based RAG system for transcript chat
  */
 class TranscriptRAG {
   constructor() {
-    this.llm = new ChatOpenAI({
-      modelName: 'gpt-5-nano',
-      max_output_tokens: 1000,
-      reasoning: { effort: 'medium' },
-      verbosity: "medium",
-    });
+    this.llm = getChatModel();
+    // Same model constrained to JSON output, for chains whose replies are parsed
+    this.jsonLlm = getChatModel({}, { json: true });
 
     // Define response schema for structured output
     this.responseSchema = z.object({
-      answer: z.string().describe("The main response to the user's question"),
-      confidence: z.enum(['high', 'medium', 'low']).describe("Confidence level in the answer based on available context"),
-      sources_used: z.array(z.string()).describe("List of meeting IDs or dates that provided relevant information"),
-      follow_up_questions: z.array(z.string()).optional().describe("Suggested follow-up questions the user might ask")
+      answer: z.string().min(1).describe("The main response to the user's question"),
+      confidence: z.preprocess(
+        value => typeof value === 'string' ? value.trim().toLowerCase() : value,
+        z.enum(['high', 'medium', 'low'])
+      ).describe("Confidence level in the answer based on available context"),
+      sources_used: z.array(z.string()).default([]).describe("List of meeting IDs or dates that provided relevant information"),
+      follow_up_questions: z.array(z.string()).default([]).describe("Suggested follow-up questions the user might ask")
+    });
+
+    // Evidence is cited by the [N] entry numbers shown in the section, so it can be checked against the transcript
+    const evidenceSchema = z.array(z.number().int().nonnegative()).min(1).describe("Entry numbers of the lines that support the item");
+
+    // Schema for decisions, action items and open questions extracted from a transcript section
+    this.extractionSchema = z.object({
+      decisions: z.array(z.object({
+        decision: z.string().min(1),
+        evidence: evidenceSchema
+      })).default([]),
+      actionItems: z.array(z.object({
+        task: z.string().min(1),
+        owner: z.string().nullable().default(null),
+        dueDate: z.string().nullable().default(null).describe("Due date as stated, if any"),
+        ticketKey: z.string().nullable().default(null),
+        evidence: evidenceSchema
+      })).default([]),
+      openQuestions: z.array(z.object({
+        question: z.string().min(1),
+        askedBy: z.string().nullable().default(null),
+        evidence: evidenceSchema
+      })).default([])
+    });
+
+    // Schema for the LLM intent classifier; the caller checks names and dates against the selected meetings
+    const daySchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/);
+    this.intentSchema = z.object({
+      intents: z.array(z.string()).default([]),
+      scope: z.enum(['per_meeting', 'combined']).catch('combined'),
+      people: z.array(z.string()).default([]),
+      ticketKeys: z.array(z.string()).default([]),
+      dates: z.array(daySchema).catch([]),
+      startDate: daySchema.nullable().catch(null),
+      endDate: daySchema.nullable().catch(null)
+    });
+
+    // Schema for query rewriting: the question made standalone, plus extra search queries
+    this.rewriteSchema = z.object({
+      standalone: z.string().trim().min(1),
+      queries: z.array(z.string().trim().min(1)).catch([])
     });
 
     // Create ChatPromptTemplate with system and human messages
@@ -47,6 +176,7 @@ TASK/TICKET RECOGNITION (CRITICAL):
 - When you see these patterns, recognize them as task references in your responses
 - Pay special attention to discussions about these tasks, their status, assignments, or updates
 - If someone asks "what tasks were discussed", you should find and list ALL SP-XXX patterns, even if they weren't explicitly called "tasks"
+- TICKET DETAILS FROM THE ISSUE TRACKER, when present after the transcript sections, give each ticket's official title, current status and assignee. Use them to name tickets and report their current state, but keep them distinct from what was said in the meetings (e.g. "discussed as blocked on Sept 15, now marked Done in the tracker")
 
 CONVERSATIONAL GUIDELINES:
 - Always base your responses on the provided transcript content
@@ -60,9 +190,25 @@ CONVERSATIONAL GUIDELINES:
 - When analyzing multiple transcripts, clearly separate your analysis by date
 - If the question cannot be answered from the transcript content, say so clearly and naturally
 - Feel free to ask probing questions or suggest follow-up areas to explore
+- Earlier messages in this conversation are provided before the current question - use them to resolve follow-ups like "what about the second one?"
 
-RESPONSE FORMAT FOR MULTIPLE TRANSCRIPTS:
-When you have content from multiple transcripts, structure your response conversationally but clearly:
+CITATIONS (REQUIRED):
+- Each transcript section is labelled [Source N] and its lines are numbered L1, L2, ...
+- Back every claim about what was said with an inline citation right after it: [S3:L4] for line 4 of Source 3, [S3:L4-6] for lines 4 to 6
+- Cite the specific lines that support the claim, not the whole section; use [S3] only for sections without line numbers (such as meeting summaries)
+- Only cite sources and line numbers that appear in the context below; never invent them
+- Ticket details from the issue tracker are not transcript sources and are not cited
+
+RESPONSE FORMAT (REQUIRED):
+Reply with a single JSON object and nothing else, in this shape:
+{response_shape}
+- answer: your full response in Markdown, following the guidelines above and below
+- confidence: "high" when the transcripts directly answer the question, "medium" when the answer is partial or inferred, "low" when the transcripts barely cover it
+- sources_used: the meeting dates your answer draws on
+- follow_up_questions: two or three questions the user could ask next, answerable from these transcripts
+
+ANSWER FORMAT FOR MULTIPLE TRANSCRIPTS:
+When you have content from multiple transcripts, structure your answer conversationally but clearly:
 
 **Meeting on September 15, 2025**
 [Analysis specific to this meeting/date]
@@ -76,6 +222,7 @@ Remember: Stay grounded in the transcript evidence, be conversational but thorou
 
 Context from relevant transcript sections:
 {context}`),
+      new MessagesPlaceholder("history"),
       HumanMessagePromptTemplate.fromTemplate("{question}")
     ]);
 
@@ -87,11 +234,317 @@ Context from relevant transcript sections:
       {
         context: (input) => input.context,
         question: (input) => input.question,
+        history: (input) => input.history || [],
+        response_shape: () => RESPONSE_JSON_SHAPE,
       },
       this.chatPrompt,
+      this.jsonLlm,
+      this.outputParser,
+    ]);
+
+    // Prompt used to fix an answer that didn't match the response schema
+    this.repairPrompt = ChatPromptTemplate.fromMessages([
+      SystemMessagePromptTemplate.fromTemplate(`You fix replies that were meant to be a JSON object in this shape:
+{response_shape}
+Keep the content of the original reply; if it is plain text, use it as the answer. Reply with the corrected JSON object only.`),
+      HumanMessagePromptTemplate.fromTemplate("Validation error: {error}\n\nOriginal reply:\n{reply}")
+    ]);
+
+    this.repairChain = RunnableSequence.from([
+      this.repairPrompt,
+      this.jsonLlm,
+      this.outputParser,
+    ]);
+
+    // Prompt used to fold older conversation turns into a running summary
+    this.summaryPrompt = ChatPromptTemplate.fromMessages([
+      SystemMessagePromptTemplate.fromTemplate(`You maintain a running summary of a conversation about meeting transcripts.
+Update the existing summary with the new messages. Keep meeting dates, SP-XXX task references, people and any items the user referred to by position (e.g. "the second one"). Reply with the updated summary only, in under 200 words.
+
+Existing summary:
+{summary}`),
+      HumanMessagePromptTemplate.fromTemplate("New messages:\n{messages}")
+    ]);
+
+    this.summaryChain = RunnableSequence.from([
+      this.summaryPrompt,
       this.llm,
       this.outputParser,
     ]);
+
+    // Prompt used to read a ticket's current status and owner from its meeting mentions
+    this.taskPrompt = ChatPromptTemplate.fromMessages([
+      SystemMessagePromptTemplate.fromTemplate(`You read meeting transcript excerpts that mention one task ticket and report its latest known state.
+Base every field on the excerpts only; later meetings override earlier ones. Use null when the excerpts don't say.
+Reply with JSON only, in this shape:
+{{"status": "not started" | "in progress" | "blocked" | "in review" | "done" | null, "assignee": string | null, "summary": string}}`),
+      HumanMessagePromptTemplate.fromTemplate("Ticket {key}\n\n{mentions}")
+    ]);
+
+    this.taskChain = RunnableSequence.from([
+      this.taskPrompt,
+      this.jsonLlm,
+      this.outputParser,
+    ]);
+
+    // Prompt used to classify a chat question so retrieval can be planned for it
+    this.intentPrompt = ChatPromptTemplate.fromMessages([
+      SystemMessagePromptTemplate.fromTemplate(`You classify questions about a set of meeting transcripts. Today is {today}.
+Meetings selected: {meeting_dates}
+People who speak in them: {speakers}
+
+List every intent that applies, most important first:
+- comparison: compares meetings, dates or what changed between them
+- meeting_summary: asks for a summary, recap or overview of meetings
+- task_lookup: asks about tasks, tickets (SP-XXX) or work items
+- person_focused: asks about what a specific person said, did or committed to
+- date_bounded: limited to particular days or a period ("last week", "on Monday")
+- general: anything else
+
+scope is "per_meeting" when the answer should cover each meeting separately, otherwise "combined".
+Use only names from the people list and dates in YYYY-MM-DD. Resolve weekdays to the selected meeting dates and relative periods to startDate/endDate.
+Reply with JSON only, in this shape:
+{{"intents": [string], "scope": "per_meeting" | "combined", "people": [string], "ticketKeys": [string], "dates": [string], "startDate": string | null, "endDate": string | null}}`),
+      HumanMessagePromptTemplate.fromTemplate("{question}")
+    ]);
+
+    this.intentChain = RunnableSequence.from([
+      this.intentPrompt,
+      this.jsonLlm,
+      this.outputParser,
+    ]);
+
+    // Prompt used to turn a chat question into search queries before retrieval
+    this.rewritePrompt = ChatPromptTemplate.fromMessages([
+      SystemMessagePromptTemplate.fromTemplate(`You turn the latest question in a conversation about meeting transcripts into search queries. You do not answer it.
+- standalone: the question rewritten so it makes sense without the conversation, resolving references such as "it", "the second one" or "and the blockers?" from the earlier messages. Keep names, dates and SP-XXX references. If it already stands alone, repeat it unchanged.
+- queries: {queries_instruction}
+Reply with JSON only, in this shape:
+{{"standalone": string, "queries": [string]}}`),
+      HumanMessagePromptTemplate.fromTemplate("Conversation so far:\n{history}\n\nLatest question: {question}")
+    ]);
+
+    this.rewriteChain = RunnableSequence.from([
+      this.rewritePrompt,
+      this.jsonLlm,
+      this.outputParser,
+    ]);
+
+    // Prompt used to extract decisions, action items and open questions from one transcript section
+    this.extractionPrompt = ChatPromptTemplate.fromMessages([
+      SystemMessagePromptTemplate.fromTemplate(`You extract structured notes from one section of a meeting transcript held on {date}.
+Each line starts with its entry number in brackets, e.g. "[12] Alice: ...".
+
+Extract only what the section states:
+- decisions: things the participants agreed or decided
+- actionItems: work someone committed to or was asked to do, with the owner, the due date exactly as stated, and the SP-XXX ticket key it relates to (null when not stated)
+- openQuestions: questions raised that were not answered in this section
+
+Cite the entry numbers that support each item in "evidence". Reply with JSON only, in this shape:
+{{"decisions": [{{"decision": string, "evidence": [number]}}], "actionItems": [{{"task": string, "owner": string | null, "dueDate": string | null, "ticketKey": string | null, "evidence": [number]}}], "openQuestions": [{{"question": string, "askedBy": string | null, "evidence": [number]}}]}}`),
+      HumanMessagePromptTemplate.fromTemplate("{text}")
+    ]);
+
+    this.extractionChain = RunnableSequence.from([
+      this.extractionPrompt,
+      this.jsonLlm,
+      this.outputParser,
+    ]);
+
+    // Map step of meeting summaries: summarise one section of a transcript
+    this.meetingMapPrompt = ChatPromptTemplate.fromMessages([
+      SystemMessagePromptTemplate.fromTemplate(`You summarise one section of a meeting transcript held on {date}.
+List the topics discussed, decisions made, SP-XXX tasks mentioned with their status, and action items with owners, as short bullet points.
+Only include what is in the section. Attribute points to speakers where it matters.`),
+      HumanMessagePromptTemplate.fromTemplate("Section {section} of {sectionCount}:\n{text}")
+    ]);
+
+    // Reduce step of meeting summaries: merge section summaries into one
+    this.meetingReducePrompt = ChatPromptTemplate.fromMessages([
+      SystemMessagePromptTemplate.fromTemplate(`You combine partial summaries of one meeting held on {date}, given in the order the meeting happened, into a single summary.
+Use these headings: Overview, Key Discussion Points, Decisions, Tasks (SP-XXX), Action Items. Merge duplicates, keep SP-XXX references and owners, and keep it under 400 words.`),
+      HumanMessagePromptTemplate.fromTemplate("Partial summaries:\n{summaries}")
+    ]);
+
+    this.meetingMapChain = RunnableSequence.from([
+      this.meetingMapPrompt,
+      this.llm,
+      this.outputParser,
+    ]);
+
+    this.meetingReduceChain = RunnableSequence.from([
+      this.meetingReducePrompt,
+      this.llm,
+      this.outputParser,
+    ]);
+  }
+
+  /**
+   * Convert stored conversation messages into LangChain chat messages
+   * @param {Array} conversationHistory - Messages as { role, content }
+   * @returns {Array} LangChain message instances
+   */
+  toChatMessages(conversationHistory = []) {
+    return conversationHistory.map(msg => {
+      if (msg.role === 'assistant') {
+        // Earlier answers cite earlier sources, which aren't numbered the same way now
+        return new AIMessage(stripCitations(msg.content));
+      }
+      if (msg.role === 'system') {
+        return new SystemMessage(msg.content);
+      }
+      return new HumanMessage(msg.content);
+    });
+  }
+
+  /**
+   * Fold older conversation messages into a running summary
+   * @param {string} previousSummary - Summary produced so far (may be empty)
+   * @param {Array} messages - Messages as { role, content } not yet summarised
+   * @returns {Promise<string>} Updated summary
+   */
+  async summarizeConversation(previousSummary, messages) {
+    return this.summaryChain.invoke({
+      summary: previousSummary || 'None yet.',
+      messages: messages.map(msg => `${msg.role}: ${msg.content}`).join('\n'),
+    });
+  }
+
+  /**
+   * Summarise a whole meeting with map-reduce: each chunk is summarised on its own,
+   * then the partial summaries are merged (in groups, if they are too long to merge at once)
+   * @param {Array<string>} chunks - Transcript sections in meeting order
+   * @param {Object} options - { date, maxReduceChars }
+   * @returns {Promise<string>} Meeting summary
+   */
+  async summarizeMeeting(chunks, { date, maxReduceChars = 12000 } = {}) {
+    let summaries = [];
+    for (let i = 0; i < chunks.length; i++) {
+      summaries.push(await this.meetingMapChain.invoke({
+        date,
+        section: i + 1,
+        sectionCount: chunks.length,
+        text: chunks[i],
+      }));
+    }
+
+    // Collapse partial summaries until they fit in a single reduce call
+    while (summaries.length > 1 && summaries.join('\n\n').length > maxReduceChars) {
+      const groups = [];
+      let group = [];
+      let groupLength = 0;
+      for (const summary of summaries) {
+        if (group.length > 0 && groupLength + summary.length > maxReduceChars) {
+          groups.push(group);
+          group = [];
+          groupLength = 0;
+        }
+        group.push(summary);
+        groupLength += summary.length;
+      }
+      groups.push(group);
+
+      // Every summary is too long to pair with another; merging can't shrink the list
+      if (groups.length === summaries.length) {
+        break;
+      }
+
+      const collapsed = [];
+      for (const partials of groups) {
+        collapsed.push(partials.length === 1
+          ? partials[0]
+          : await this.meetingReduceChain.invoke({ date, summaries: partials.join('\n\n') }));
+      }
+      summaries = collapsed;
+    }
+
+    return this.meetingReduceChain.invoke({ date, summaries: summaries.join('\n\n') });
+  }
+
+  /**
+   * Extract decisions, action items and open questions from one transcript section
+   * @param {string} text - Section lines formatted as "[entryIndex] speaker: text"
+   * @param {Object} options - { date }
+   * @returns {Promise<Object>} Output validated against extractionSchema
+   * @throws {Error} If the model's reply isn't JSON matching the schema
+   */
+  async extractMeetingItems(text, { date } = {}) {
+    const response = await this.extractionChain.invoke({ date, text });
+
+    const jsonMatch = typeof response === 'string' ? response.match(/\{[\s\S]*\}/) : null;
+    if (!jsonMatch) {
+      throw new Error('Extraction response did not contain JSON');
+    }
+
+    return this.extractionSchema.parse(JSON.parse(jsonMatch[0]));
+  }
+
+  /**
+   * Extract a ticket's status, assignee and a one-line summary from its mentions
+   * @param {string} key - Ticket key, e.g. "SP-12"
+   * @param {string} mentions - Excerpts mentioning the ticket, grouped by meeting date
+   * @returns {Promise<Object>} { status, assignee, summary } (null fields when unknown)
+   */
+  async extractTaskDetails(key, mentions) {
+    const response = await this.taskChain.invoke({ key, mentions });
+
+    const jsonMatch = typeof response === 'string' ? response.match(/\{[\s\S]*\}/) : null;
+    if (jsonMatch) {
+      try {
+        const parsed = JSON.parse(jsonMatch[0]);
+        return {
+          status: parsed.status || null,
+          assignee: parsed.assignee || null,
+          summary: parsed.summary || null
+        };
+      } catch (parseError) {
+        // Fall through to an empty result
+      }
+    }
+
+    return { status: null, assignee: null, summary: null };
+  }
+
+  /**
+   * Classify a chat question's intents and the people, tickets and dates it refers to
+   * @param {string} question
+   * @param {Object} context - { speakers, meetingDates, today } of the selected transcripts
+   * @returns {Promise<Object>} Output validated against intentSchema
+   * @throws {Error} If the model's reply isn't JSON matching the schema
+   */
+  async classifyIntent(question, { speakers = [], meetingDates = [], today }) {
+    const response = await this.intentChain.invoke({
+      question,
+      today,
+      meeting_dates: meetingDates.join(', ') || 'none',
+      speakers: speakers.join(', ') || 'unknown'
+    });
+
+    return this.intentSchema.parse(extractJsonObject(String(response)));
+  }
+
+  /**
+   * Rewrite a chat question for retrieval: made standalone using the conversation, plus
+   * up to `count` paraphrases and sub-queries
+   * @param {string} question
+   * @param {Array} conversationHistory - Previous messages as { role, content }
+   * @param {Object} options - { count } extra queries wanted
+   * @returns {Promise<Object>} { standalone, queries } validated against rewriteSchema
+   * @throws {Error} If the model's reply isn't JSON matching the schema
+   */
+  async rewriteQuery(question, conversationHistory = [], { count = 0 } = {}) {
+    const history = conversationHistory
+      .map(msg => `${msg.role}: ${msg.role === 'assistant' ? stripCitations(msg.content) : msg.content}`)
+      .join('\n');
+    const response = await this.rewriteChain.invoke({
+      question,
+      history: history || 'None.',
+      queries_instruction: count > 0
+        ? `up to ${count} more search queries for the passages needed to answer it: paraphrases in different words, and a sub-question for each part of a question that asks several things.`
+        : 'always [].'
+    });
+
+    return this.rewriteSchema.parse(extractJsonObject(String(response)));
   }
 
   /**
@@ -103,31 +556,14 @@ Context from relevant transcript sections:
    */
   async generateResponse(question, context, conversationHistory = []) {
     try {
-      // Use the RAG chain to get string response
+      // Use the RAG chain to get the JSON reply
       const response = await this.ragChain.invoke({
         question,
         context: context || 'No relevant transcript content found for this query.',
+        history: this.toChatMessages(conversationHistory),
       });
 
-      // Try to parse JSON response if it looks like JSON
-      if (typeof response === 'string' && response.trim().startsWith('{')) {
-        try {
-          const parsed = JSON.parse(response);
-          if (parsed.answer) {
-            return parsed;
-          }
-        } catch (parseError) {
-          // If JSON parsing fails, treat as plain text
-        }
-      }
-
-      // Return structured response from string
-      return {
-        answer: typeof response === 'string' ? response : 'I encountered an issue processing your request. Please try again.',
-        confidence: 'medium',
-        sources_used: [],
-        follow_up_questions: []
-      };
+      return this.parseResponse(response);
     } catch (error) {
       console.error('Error in LangChain RAG:', error);
       // Return structured error response
@@ -140,6 +576,112 @@ Context from relevant transcript sections:
     }
   }
 
+  /**
+   * Stream response using LangChain RAG
+   * @param {string} question - User's question
+   * @param {string} context - Relevant transcript context
+   * @param {Array} conversationHistory - Previous messages for context
+   * @returns {AsyncGenerator<Object>} `{ token }` for each piece of answer text as the model produces it,
+   *   then a final `{ response }` with the validated structured response
+   */
+  async *streamResponse(question, context, conversationHistory = []) {
+    const stream = await this.ragChain.stream({
+      question,
+      context: context || 'No relevant transcript content found for this query.',
+      history: this.toChatMessages(conversationHistory),
+    });
+
+    const decoder = new AnswerStreamDecoder();
+    let streamedAnswer = '';
+    for await (const chunk of stream) {
+      const token = chunk ? decoder.push(chunk) : '';
+      if (token) {
+        streamedAnswer += token;
+        yield { token };
+      }
+    }
+
+    const response = await this.parseResponse(decoder.raw);
+    // If the answer couldn't be streamed (e.g. it came after other fields), send it in one piece
+    if (!streamedAnswer) {
+      yield { token: response.answer };
+    }
+    yield { response };
+  }
+
+  /**
+   * Validate a raw reply against the response schema
+   * @param {string} response - Raw string returned by the chain
+   * @returns {Object} Structured AI response
+   * @throws {Error} If the reply isn't JSON matching the schema
+   */
+  validateResponse(response) {
+    const result = this.responseSchema.safeParse(extractJsonObject(String(response)));
+    if (!result.success) {
+      throw new Error(result.error.errors.map(issue => `${issue.path.join('.') || 'reply'}: ${issue.message}`).join('; '));
+    }
+    return result.data;
+  }
+
+  /**
+   * Convert raw chain output into the structured response shape: validate it, ask the
+   * model to repair it if it doesn't match the schema, and fall back to using the
+   * reply text as the answer if it still can't be repaired
+   * @param {string} response - Raw string returned by the chain
+   * @returns {Promise<Object>} Structured AI response
+   */
+  async parseResponse(response) {
+    if (typeof response !== 'string' || !response.trim()) {
+      return {
+        answer: 'I encountered an issue processing your request. Please try again.',
+        confidence: 'low',
+        sources_used: [],
+        follow_up_questions: []
+      };
+    }
+
+    let reply = response;
+    for (let attempt = 0; attempt <= RESPONSE_REPAIR_ATTEMPTS; attempt++) {
+      try {
+        return this.validateResponse(reply);
+      } catch (validationError) {
+        if (attempt === RESPONSE_REPAIR_ATTEMPTS) {
+          console.warn(`Chat response failed schema validation, falling back to plain text: ${validationError.message}`);
+          break;
+        }
+        console.warn(`Chat response failed schema validation, asking the model to repair it: ${validationError.message}`);
+        try {
+          reply = await this.repairChain.invoke({
+            response_shape: RESPONSE_JSON_SHAPE,
+            error: validationError.message,
+            reply,
+          });
+        } catch (repairError) {
+          console.error('Error repairing chat response:', repairError);
+          break;
+        }
+      }
+    }
+
+    // Salvage the answer from malformed JSON if there is one, otherwise use the reply as-is
+    let answer = response.trim();
+    try {
+      const partial = extractJsonObject(response);
+      if (typeof partial.answer === 'string' && partial.answer.trim()) {
+        answer = partial.answer;
+      }
+    } catch (parseError) {
+      // Plain text reply
+    }
+
+    return {
+      answer,
+      confidence: 'low',
+      sources_used: [],
+      follow_up_questions: []
+    };
+  }
+
   /**
    * Format context from similar transcript sections with enhanced transcript separation
    * @param {Array} similarContent - Array of similar content with metadata
@@ -162,11 +704,12 @@ Context from relevant transcript sections:
         };
       }
       groupedByDate[dateKey].transcripts.add(item.transcriptId);
-      const similarity = (item.similarity * 100).toFixed(1);
+      // Fused retrieval relevance (falls back to raw similarity for unfused results)
+      const relevance = ((item.relevance ?? item.similarity ?? 0) * 100).toFixed(1);
       groupedByDate[dateKey].content.push({
         sourceNum: index + 1,
-        content: item.content,
-        similarity: similarity,
+        content: numberSourceLines(item),
+        relevance: relevance,
         transcriptId: item.transcriptId
       });
     });
@@ -175,15 +718,38 @@ Context from relevant transcript sections:
     const formattedSections = Object.values(groupedByDate).map(meeting => {
       const header = `=== MEETING ON ${meeting.date} ===`;
       const contentSections = meeting.content.map(section => 
-        `[Source ${section.sourceNum}] (Similarity: ${section.similarity}%)
+        `[Source ${section.sourceNum}] (Relevance: ${section.relevance}%)
 ${section.content}`
       ).join('\n\n');
       
       return `${header}\n${contentSections}`;
     });
 
+    const ticketSection = this.formatTicketDetails(similarContent);
+    if (ticketSection) {
+      formattedSections.push(ticketSection);
+    }
+
     return formattedSections.join('\n\n' + '='.repeat(60) + '\n\n');
   }
+
+  /**
+   * Format issue tracker details for the tickets mentioned in the retrieved sections
+   * @param {Array} similarContent - Retrieved sections, each with optional `tickets`
+   * @returns {string|null} Ticket details section, or null when there are none
+   */
+  formatTicketDetails(similarContent) {
+    const tickets = new Map();
+    similarContent.forEach(item => (item.tickets || []).forEach(ticket => tickets.set(ticket.key, ticket)));
+    if (tickets.size === 0) {
+      return null;
+    }
+
+    const lines = [...tickets.values()].map(ticket =>
+      `${ticket.key}: ${ticket.title || 'Untitled'} | Status: ${ticket.status || 'unknown'} | Assignee: ${ticket.assignee || 'unassigned'}`
+    );
+    return `=== TICKET DETAILS FROM ISSUE TRACKER ===\n${lines.join('\n')}`;
+  }
 }
 
 module.exports = { TranscriptRAG };
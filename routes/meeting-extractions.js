@@ -0,0 +1,288 @@
+const { ObjectId } = require('mongodb');
+const { parseTranscriptData } = require('./transcript-content');
+const { TranscriptSplitter } = require('./transcript-splitter');
+const { getProviderInfo } = require('./model-providers');
+const { TICKET_KEY_PATTERN, normalizeTicketRef, extractTicketRefs } = require('./task-references');
+
+const TRANSCRIPTS_COLLECTION = "transcripts";
+const EMBEDDINGS_COLLECTION = "transcript_embeddings";
+const EXTRACTIONS_COLLECTION = "transcript_extractions";
+
+// Characters per section sent to the model; each section is extracted separately
+const EXTRACTION_SECTION_SIZE = parseInt(process.env.EXTRACTION_SECTION_SIZE || '4000', 10);
+
+/**
+ * Group entries into sections of numbered "[entryIndex] speaker: text" lines.
+ * Entries are never split, so a very long turn becomes a section on its own.
+ */
+function buildSections(entries) {
+  const sections = [];
+  let current = [];
+  let currentLength = 0;
+
+  entries.forEach((entry, entryIndex) => {
+    const line = `[${entryIndex}] ${entry.speaker}: ${entry.text}`;
+    if (current.length > 0 && currentLength + line.length + 1 > EXTRACTION_SECTION_SIZE) {
+      sections.push(current);
+      current = [];
+      currentLength = 0;
+    }
+    current.push({ entryIndex, line });
+    currentLength += line.length + 1;
+  });
+  if (current.length > 0) {
+    sections.push(current);
+  }
+
+  return sections.map(lines => ({
+    entryIndexes: new Set(lines.map(item => item.entryIndex)),
+    text: lines.map(item => item.line).join('\n')
+  }));
+}
+
+function normalizeText(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Decisions, action items and open questions extracted from whole transcripts and
+ * stored per transcript, keyed by its content hash and chat model, so they can be
+ * listed without calling the model again until the transcript changes.
+ */
+class MeetingExtractions {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getDatabase - async () => Db
+   * @param {TranscriptRAG} options.transcriptRAG - Provides the extraction chain
+   */
+  constructor({ getDatabase, transcriptRAG }) {
+    this.getDatabase = getDatabase;
+    this.transcriptRAG = transcriptRAG;
+    this.indexesEnsured = false;
+  }
+
+  async getCollections() {
+    const database = await this.getDatabase();
+    const extractions = database.collection(EXTRACTIONS_COLLECTION);
+
+    if (!this.indexesEnsured) {
+      await extractions.createIndex({ date: -1 });
+      this.indexesEnsured = true;
+    }
+
+    return {
+      transcripts: database.collection(TRANSCRIPTS_COLLECTION),
+      embeddings: database.collection(EMBEDDINGS_COLLECTION),
+      extractions
+    };
+  }
+
+  async loadTranscript(transcriptId) {
+    if (!ObjectId.isValid(transcriptId)) {
+      return null;
+    }
+    const { transcripts } = await this.getCollections();
+    return transcripts.findOne({ _id: new ObjectId(transcriptId) });
+  }
+
+  /**
+   * Stored extraction for a transcript without running the model
+   * @returns {Promise<Object|null>} Stored extraction plus `stale` (transcript edited since), or null
+   */
+  async getStoredExtraction(transcriptId) {
+    const { extractions } = await this.getCollections();
+    const stored = await extractions.findOne({ _id: transcriptId });
+    if (!stored) {
+      return null;
+    }
+
+    const transcript = await this.loadTranscript(transcriptId);
+    const currentHash = transcript ? parseTranscriptData(transcript).contentHash : null;
+    return { ...stored, stale: stored.contentHash !== currentHash };
+  }
+
+  /**
+   * List stored extractions, newest meeting first
+   * @param {Object} filter - { transcriptIds, startDate, endDate }
+   */
+  async listExtractions({ transcriptIds, startDate, endDate } = {}) {
+    const { extractions } = await this.getCollections();
+
+    const query = {};
+    if (transcriptIds) {
+      query._id = { $in: transcriptIds };
+    }
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = startDate;
+      if (endDate) query.date.$lte = endDate;
+    }
+
+    return extractions.find(query).sort({ date: -1 }).toArray();
+  }
+
+  /**
+   * Get a transcript's extraction, running the model if there is no current one
+   * @param {string} transcriptId
+   * @param {Object} options - { force } re-extract even if a current extraction is stored
+   * @returns {Promise<Object|null>} Stored extraction plus `cached`, or null if the transcript doesn't exist
+   */
+  async getExtraction(transcriptId, { force = false } = {}) {
+    const transcript = await this.loadTranscript(transcriptId);
+    if (!transcript) {
+      return null;
+    }
+
+    const { extractions } = await this.getCollections();
+    const { transcriptEntries, contentHash } = parseTranscriptData(transcript);
+    const model = getProviderInfo().chatModel;
+
+    if (!force) {
+      const stored = await extractions.findOne({ _id: transcriptId, contentHash, model });
+      // Extractions with failed sections are incomplete, so try those again
+      if (stored && stored.failedSections.length === 0) {
+        return { ...stored, cached: true };
+      }
+    }
+
+    const sections = buildSections(transcriptEntries);
+    console.log(`Extracting action items from transcript ${transcriptId} (${sections.length} sections)`);
+
+    const items = { decisions: [], actionItems: [], openQuestions: [] };
+    const failedSections = [];
+
+    for (let i = 0; i < sections.length; i++) {
+      let extracted;
+      try {
+        extracted = await this.transcriptRAG.extractMeetingItems(sections[i].text, { date: transcript.date });
+      } catch (error) {
+        console.error(`Extraction failed for section ${i + 1} of transcript ${transcriptId}:`, error.message);
+        failedSections.push({ section: i, error: error.message });
+        continue;
+      }
+
+      // Keep only evidence that points at lines actually in this section
+      for (const type of Object.keys(items)) {
+        for (const item of extracted[type]) {
+          const evidence = [...new Set(item.evidence)].filter(index => sections[i].entryIndexes.has(index));
+          if (evidence.length > 0) {
+            items[type].push({ ...item, evidence });
+          }
+        }
+      }
+    }
+
+    const evidenceChunks = await this.loadEvidenceChunks(transcriptId, contentHash);
+    const resolveEvidence = (item) => item.evidence.map(entryIndex => {
+      const entry = transcriptEntries[entryIndex];
+      const chunk = evidenceChunks.find(c => c.firstEntryIndex <= entryIndex && entryIndex <= c.lastEntryIndex);
+      return {
+        entryIndex,
+        speaker: entry.speaker,
+        text: entry.text,
+        start: TranscriptSplitter.getEntryTimes(entry).start,
+        chunkId: chunk ? chunk._id.toString() : null,
+        chunkIndex: chunk ? chunk.chunkIndex : null
+      };
+    });
+
+    const doc = {
+      _id: transcriptId,
+      meetingId: transcript.meeting_id,
+      date: transcript.date,
+      contentHash,
+      model,
+      decisions: dedupe(items.decisions, 'decision').map(item => ({
+        decision: item.decision,
+        evidence: resolveEvidence(item)
+      })),
+      actionItems: dedupe(items.actionItems, 'task').map(item => {
+        const evidence = resolveEvidence(item);
+        return {
+          task: item.task,
+          owner: item.owner,
+          dueDate: item.dueDate,
+          ticketKey: resolveTicketKey(item.ticketKey, evidence),
+          evidence
+        };
+      }),
+      openQuestions: dedupe(items.openQuestions, 'question').map(item => ({
+        question: item.question,
+        askedBy: item.askedBy,
+        evidence: resolveEvidence(item)
+      })),
+      sectionCount: sections.length,
+      failedSections,
+      createdAt: new Date()
+    };
+    await extractions.replaceOne({ _id: transcriptId }, doc, { upsert: true });
+
+    return { ...doc, cached: false };
+  }
+
+  /**
+   * Current embedded chunks of a transcript, used to point evidence at its source chunk
+   */
+  async loadEvidenceChunks(transcriptId, contentHash) {
+    const { embeddings } = await this.getCollections();
+    return embeddings
+      .find(
+        { transcriptId, contentHash },
+        { projection: { chunkIndex: 1, firstEntryIndex: 1, lastEntryIndex: 1 } }
+      )
+      .sort({ chunkIndex: 1 })
+      .toArray();
+  }
+}
+
+/**
+ * Drop items repeated across sections (same text, ignoring case and spacing)
+ */
+function dedupe(items, field) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = normalizeText(item[field]);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Normalise the model's ticket key, or take it from the evidence when exactly one ticket is mentioned there
+ */
+function resolveTicketKey(ticketKey, evidence) {
+  if (ticketKey) {
+    const key = normalizeTicketRef(ticketKey.trim());
+    if (TICKET_KEY_PATTERN.test(key)) {
+      return key;
+    }
+  }
+  const mentioned = [...new Set(evidence.flatMap(line => extractTicketRefs(line.text)))];
+  return mentioned.length === 1 ? mentioned[0] : null;
+}
+
+/**
+ * Shape a stored extraction for API responses
+ */
+function formatExtraction(extraction) {
+  return {
+    transcriptId: extraction._id,
+    meetingId: extraction.meetingId,
+    date: extraction.date,
+    decisions: extraction.decisions,
+    actionItems: extraction.actionItems,
+    openQuestions: extraction.openQuestions,
+    contentHash: extraction.contentHash,
+    model: extraction.model,
+    sectionCount: extraction.sectionCount,
+    failedSections: extraction.failedSections,
+    cached: extraction.cached,
+    stale: extraction.stale,
+    createdAt: extraction.createdAt
+  };
+}
+
+module.exports = { MeetingExtractions, formatExtraction };
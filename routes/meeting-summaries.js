@@ -0,0 +1,190 @@
+const { ObjectId } = require('mongodb');
+const { TranscriptSplitter } = require('./transcript-splitter');
+const { parseTranscriptData } = require('./transcript-content');
+const { getProviderInfo } = require('./model-providers');
+
+const TRANSCRIPTS_COLLECTION = "transcripts";
+const SUMMARIES_COLLECTION = "meeting_summaries";
+
+// Sections summarised in the map step; much larger than embedding chunks to keep LLM calls down
+const MEETING_SUMMARY_CHUNK_SIZE = parseInt(process.env.MEETING_SUMMARY_CHUNK_SIZE || '6000', 10);
+// Most transcripts waiting to be summarised in the background at once; further requests are dropped
+// until the queue drains (0 turns background summaries off)
+const MEETING_SUMMARY_BACKGROUND_LIMIT = parseInt(process.env.MEETING_SUMMARY_BACKGROUND_LIMIT || '5', 10);
+
+/**
+ * Whole-meeting summaries generated with map-reduce over the full transcript and
+ * stored per transcript, keyed by its content hash (the same hash the embeddings use)
+ * and chat model. A stored summary is reused until the transcript is edited.
+ */
+class MeetingSummaries {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getDatabase - async () => Db
+   * @param {TranscriptRAG} options.transcriptRAG - Provides the map and reduce chains
+   */
+  constructor({ getDatabase, transcriptRAG, backgroundLimit = MEETING_SUMMARY_BACKGROUND_LIMIT }) {
+    this.getDatabase = getDatabase;
+    this.transcriptRAG = transcriptRAG;
+    this.backgroundLimit = backgroundLimit;
+    this.splitter = new TranscriptSplitter({ chunkSize: MEETING_SUMMARY_CHUNK_SIZE, chunkOverlap: 0 });
+    // Transcripts being summarised in the background
+    this.pending = new Set();
+  }
+
+  async getCollections() {
+    const database = await this.getDatabase();
+    return {
+      transcripts: database.collection(TRANSCRIPTS_COLLECTION),
+      summaries: database.collection(SUMMARIES_COLLECTION)
+    };
+  }
+
+  /**
+   * Get a transcript's summary, generating it if there is no current one
+   * @param {string} transcriptId
+   * @param {Object} options - { force } regenerate even if a current summary is stored
+   * @returns {Promise<Object|null>} Stored summary plus `cached`, or null if the transcript doesn't exist
+   */
+  async getSummary(transcriptId, { force = false } = {}) {
+    if (!ObjectId.isValid(transcriptId)) {
+      return null;
+    }
+
+    const { transcripts, summaries } = await this.getCollections();
+    const transcript = await transcripts.findOne({ _id: new ObjectId(transcriptId) });
+    if (!transcript) {
+      return null;
+    }
+
+    const { transcriptEntries, contentHash } = parseTranscriptData(transcript);
+    const model = getProviderInfo().chatModel;
+
+    if (!force) {
+      const stored = await summaries.findOne({ _id: transcriptId, contentHash, model });
+      if (stored) {
+        return { ...stored, cached: true };
+      }
+    }
+
+    const chunks = this.splitter.splitEntries(transcriptEntries).map(chunk => chunk.text);
+    console.log(`Summarising transcript ${transcriptId} from ${chunks.length} sections`);
+
+    const summary = chunks.length > 0
+      ? await this.transcriptRAG.summarizeMeeting(chunks, { date: transcript.date })
+      : '';
+
+    const doc = {
+      _id: transcriptId,
+      meetingId: transcript.meeting_id,
+      date: transcript.date,
+      contentHash,
+      model,
+      summary,
+      chunkCount: chunks.length,
+      createdAt: new Date()
+    };
+    await summaries.replaceOne({ _id: transcriptId }, doc, { upsert: true });
+
+    return { ...doc, cached: false };
+  }
+
+  /**
+   * Current stored summaries for several transcripts, without generating any
+   * @returns {Promise<Object>} { summaries, missingIds } summaries in the order given (with
+   *   `cached: true`); missingIds are existing transcripts with no current summary
+   */
+  async getStoredSummaries(transcriptIds) {
+    const validIds = transcriptIds.filter(id => ObjectId.isValid(id));
+    if (validIds.length === 0) {
+      return { summaries: [], missingIds: [] };
+    }
+
+    const { transcripts, summaries } = await this.getCollections();
+    const model = getProviderInfo().chatModel;
+    const [transcriptDocs, storedDocs] = await Promise.all([
+      transcripts.find({ _id: { $in: validIds.map(id => new ObjectId(id)) } }, { projection: { transcript_data: 1 } }).toArray(),
+      summaries.find({ _id: { $in: validIds }, model }).toArray()
+    ]);
+
+    const contentHashes = new Map();
+    transcriptDocs.forEach(transcript => {
+      try {
+        contentHashes.set(transcript._id.toString(), parseTranscriptData(transcript).contentHash);
+      } catch (error) {
+        console.error(`Failed to parse transcript data for ${transcript._id}`);
+      }
+    });
+    const stored = new Map(storedDocs.map(doc => [doc._id, doc]));
+
+    const results = [];
+    const missingIds = [];
+    for (const transcriptId of validIds) {
+      if (!contentHashes.has(transcriptId)) {
+        continue;
+      }
+      const summary = stored.get(transcriptId);
+      if (summary && summary.contentHash === contentHashes.get(transcriptId)) {
+        results.push({ ...summary, cached: true });
+      } else {
+        missingIds.push(transcriptId);
+      }
+    }
+    return { summaries: results, missingIds };
+  }
+
+  /**
+   * Generate summaries one at a time without waiting for them, so later requests find them
+   * stored. Transcripts already being summarised are skipped, at most `backgroundLimit` wait
+   * at once, and failures are logged.
+   * @param {Array<string>} transcriptIds
+   * @param {Object} options - { checkBudget } async () => exceeded budget or null, checked
+   *   before each summary; the rest are dropped once it reports a budget used up
+   */
+  generateInBackground(transcriptIds, { checkBudget } = {}) {
+    const capacity = Math.max(this.backgroundLimit - this.pending.size, 0);
+    const queued = transcriptIds.filter(id => !this.pending.has(id)).slice(0, capacity);
+    if (queued.length === 0) {
+      return;
+    }
+    queued.forEach(id => this.pending.add(id));
+    console.log(`Summarising ${queued.length} transcripts in the background`);
+
+    (async () => {
+      for (let i = 0; i < queued.length; i++) {
+        const transcriptId = queued[i];
+        try {
+          if (checkBudget && await checkBudget()) {
+            console.log(`Usage budget exhausted, dropping ${queued.length - i} background summaries`);
+            queued.slice(i).forEach(id => this.pending.delete(id));
+            return;
+          }
+          await this.getSummary(transcriptId);
+        } catch (error) {
+          console.error(`Error summarising transcript ${transcriptId}:`, error);
+        } finally {
+          this.pending.delete(transcriptId);
+        }
+      }
+    })();
+  }
+}
+
+/**
+ * Shape a stored summary for API responses
+ */
+function formatSummary(summary) {
+  return {
+    transcriptId: summary._id,
+    meetingId: summary.meetingId,
+    date: summary.date,
+    summary: summary.summary,
+    contentHash: summary.contentHash,
+    model: summary.model,
+    chunkCount: summary.chunkCount,
+    cached: summary.cached,
+    createdAt: summary.createdAt
+  };
+}
+
+module.exports = { MeetingSummaries, formatSummary };
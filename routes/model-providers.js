@@ -0,0 +1,130 @@
+const { ScheduledChatOpenAI, ScheduledOpenAIEmbeddings } = require('./scheduled-models');
+const { FakeEmbeddings, FakeChatModel } = require('./fake-models');
+const { UsageCallbackHandler, UsageTrackingEmbeddings } = require('./usage-tracker');
+
+// Provider selection: "openai", "openai-compatible" (Ollama, llama.cpp server, vLLM, ...) or "fake"
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER || LLM_PROVIDER;
+
+const CHAT_MODEL = process.env.CHAT_MODEL || 'gpt-5-nano';
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+const EMBEDDING_DIMENSIONS = parseInt(process.env.EMBEDDING_DIMENSIONS || '1536', 10);
+
+// Ask the provider for JSON-only output where callers need structured replies; disable for
+// OpenAI-compatible servers that don't support response_format
+const CHAT_JSON_MODE = process.env.CHAT_JSON_MODE !== 'false';
+
+const OPENAI_COMPATIBLE_BASE_URL = process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1';
+const OPENAI_COMPATIBLE_API_KEY = process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed';
+
+const SUPPORTED_PROVIDERS = ['openai', 'openai-compatible', 'fake'];
+
+let embeddingsInstance = null;
+
+function assertSupportedProvider(provider) {
+  if (!SUPPORTED_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown model provider "${provider}". Expected one of: ${SUPPORTED_PROVIDERS.join(', ')}`);
+  }
+}
+
+/**
+ * Create a chat model for the configured provider. Every call made with it is
+ * recorded by the usage tracker.
+ * @param {Object} options - Extra model fields (e.g. temperature) for real providers
+ * @param {Object} modes - { json } request JSON-only output (response_format json_object) when CHAT_JSON_MODE allows
+ * @returns {BaseChatModel} LangChain chat model
+ */
+function getChatModel(options = {}, { json = false } = {}) {
+  assertSupportedProvider(LLM_PROVIDER);
+
+  const callbacks = [new UsageCallbackHandler({ model: getProviderInfo().chatModel })];
+
+  if (LLM_PROVIDER === 'fake') {
+    return new FakeChatModel({ callbacks });
+  }
+
+  if (json && CHAT_JSON_MODE) {
+    options = {
+      ...options,
+      modelKwargs: { ...options.modelKwargs, response_format: { type: 'json_object' } }
+    };
+  }
+
+  if (LLM_PROVIDER === 'openai-compatible') {
+    return new ScheduledChatOpenAI({
+      modelName: CHAT_MODEL,
+      apiKey: OPENAI_COMPATIBLE_API_KEY,
+      configuration: { baseURL: OPENAI_COMPATIBLE_BASE_URL },
+      callbacks,
+      ...options
+    });
+  }
+
+  return new ScheduledChatOpenAI({
+    modelName: CHAT_MODEL,
+    apiKey: process.env.OPENAI_API_KEY,
+    max_output_tokens: 1000,
+    reasoning: { effort: 'medium' },
+    verbosity: "medium",
+    callbacks,
+    ...options
+  });
+}
+
+/**
+ * Get the shared embeddings model for the configured provider, wrapped so its usage is recorded
+ * @returns {Embeddings} LangChain embeddings
+ */
+function getEmbeddings() {
+  if (embeddingsInstance) {
+    return embeddingsInstance;
+  }
+
+  assertSupportedProvider(EMBEDDING_PROVIDER);
+
+  let embeddings;
+  if (EMBEDDING_PROVIDER === 'fake') {
+    embeddings = new FakeEmbeddings({ dimensions: EMBEDDING_DIMENSIONS });
+  } else if (EMBEDDING_PROVIDER === 'openai-compatible') {
+    embeddings = new ScheduledOpenAIEmbeddings({
+      model: EMBEDDING_MODEL,
+      apiKey: OPENAI_COMPATIBLE_API_KEY,
+      configuration: { baseURL: OPENAI_COMPATIBLE_BASE_URL },
+    });
+  } else {
+    embeddings = new ScheduledOpenAIEmbeddings({
+      model: EMBEDDING_MODEL,
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+
+  embeddingsInstance = new UsageTrackingEmbeddings(embeddings, { model: getEmbeddingModelName() });
+
+  return embeddingsInstance;
+}
+
+/**
+ * Name recorded alongside stored embeddings so vectors from different models aren't mixed up
+ */
+function getEmbeddingModelName() {
+  return EMBEDDING_PROVIDER === 'fake' ? `fake-hash-${EMBEDDING_DIMENSIONS}` : EMBEDDING_MODEL;
+}
+
+/**
+ * Describe the configured providers (used by health endpoints)
+ */
+function getProviderInfo() {
+  return {
+    llmProvider: LLM_PROVIDER,
+    chatModel: LLM_PROVIDER === 'fake' ? 'fake' : CHAT_MODEL,
+    embeddingProvider: EMBEDDING_PROVIDER,
+    embeddingModel: getEmbeddingModelName()
+  };
+}
+
+module.exports = {
+  getChatModel,
+  getEmbeddings,
+  getEmbeddingModelName,
+  getProviderInfo
+};
@@ -0,0 +1,331 @@
+const { extractTicketRefs } = require('./task-references');
+
+// "rules" (default) or "llm"; the LLM classifier falls back to the rules when its reply can't be used
+const INTENT_CLASSIFIER = process.env.INTENT_CLASSIFIER || 'rules';
+
+// Per-meeting questions retrieve from each "transcript" or each meeting "date" separately,
+// so that every one is represented by at least FAN_OUT_MIN_CHUNKS sections
+const FAN_OUT_GROUP_BY = process.env.FAN_OUT_GROUP_BY || 'transcript';
+const FAN_OUT_MIN_CHUNKS = parseInt(process.env.FAN_OUT_MIN_CHUNKS || '2', 10);
+
+if (!['transcript', 'date'].includes(FAN_OUT_GROUP_BY)) {
+  throw new Error(`Unknown fan-out grouping "${FAN_OUT_GROUP_BY}". Expected "transcript" or "date"`);
+}
+
+// In priority order: a query matching several intents is planned for all of them, led by the first
+const INTENTS = ['comparison', 'meeting_summary', 'task_lookup', 'person_focused', 'date_bounded', 'general'];
+
+// Task vocabulary only: "item" or "work" on their own are too common in ordinary questions
+const TASK_PATTERN = /\b(tasks?|tickets?|action items?|work items?|to-?dos?|sp[-\s]?\d+)\b/i;
+const SUMMARY_PATTERN = /\b(summary|summaries|summari[sz]e[sd]?|recap|overview)\b/i;
+// Wanting a separate answer for each meeting rather than one combined answer
+const PER_MEETING_PATTERN = /\b(each meeting|each transcript|separate|separately|individual|per meeting|meeting.*separate|summary.*each|each.*summary)\b/i;
+const COMPARISON_PATTERN = /\b(compare|compared|comparing|comparison|versus|vs\.?|differences?|differ|changed|what changed)\b/i;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_PATTERN = new RegExp(`\\b(${WEEKDAYS.join('|')})s?\\b`, 'gi');
+const ISO_DATE_PATTERN = /\b(\d{4}-\d{2}-\d{2})\b/g;
+
+/**
+ * YYYY-MM-DD of a date (UTC), and back
+ */
+function formatDay(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDay(date);
+}
+
+function weekdayOf(day) {
+  return new Date(`${day}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Date range named by a relative expression ("yesterday", "last week", "past 3 days", ...)
+ * @returns {Object|null} { startDate, endDate } inclusive, or null if there is none
+ */
+function resolveRelativeRange(message, today) {
+  const text = message.toLowerCase();
+  // Weeks start on Monday
+  const weekStart = addDays(today, -((weekdayOf(today) + 6) % 7));
+  const monthStart = `${today.substring(0, 8)}01`;
+
+  const lastDays = text.match(/\b(?:last|past) (\d+) days\b/);
+  if (lastDays) {
+    return { startDate: addDays(today, -(parseInt(lastDays[1], 10) - 1)), endDate: today };
+  }
+  if (/\btoday\b/.test(text)) {
+    return { startDate: today, endDate: today };
+  }
+  if (/\byesterday\b/.test(text)) {
+    const yesterday = addDays(today, -1);
+    return { startDate: yesterday, endDate: yesterday };
+  }
+  if (/\blast week\b/.test(text)) {
+    return { startDate: addDays(weekStart, -7), endDate: addDays(weekStart, -1) };
+  }
+  if (/\bthis week\b/.test(text)) {
+    return { startDate: weekStart, endDate: today };
+  }
+  if (/\bpast week\b/.test(text)) {
+    return { startDate: addDays(today, -6), endDate: today };
+  }
+  if (/\blast month\b/.test(text)) {
+    const previousMonthEnd = addDays(monthStart, -1);
+    return { startDate: `${previousMonthEnd.substring(0, 8)}01`, endDate: previousMonthEnd };
+  }
+  if (/\bthis month\b/.test(text)) {
+    return { startDate: monthStart, endDate: today };
+  }
+  return null;
+}
+
+/**
+ * Specific meeting days named in the question: ISO dates, and weekdays resolved to the
+ * most recent selected meeting held on that weekday (within the range, if one was given)
+ */
+function resolveMeetingDays(message, meetingDates, range) {
+  const days = [...message.matchAll(ISO_DATE_PATTERN)].map(match => match[1]);
+
+  const inRange = meetingDates.filter(date =>
+    !range || (date >= range.startDate && date <= range.endDate)
+  ).sort().reverse();
+  for (const [, weekday] of message.matchAll(WEEKDAY_PATTERN)) {
+    const weekdayIndex = WEEKDAYS.indexOf(weekday.toLowerCase());
+    const date = inRange.find(meetingDate => weekdayOf(meetingDate) === weekdayIndex);
+    if (date) {
+      days.push(date);
+    }
+  }
+
+  return [...new Set(days)];
+}
+
+/**
+ * Speakers of the selected transcripts named in the question, by full name (any case) or
+ * capitalised first name, so that a speaker called "Will" isn't found in "what will ship"
+ */
+function findMentionedSpeakers(message, speakers) {
+  const words = new Set(message.match(/[\p{L}'-]+/gu) || []);
+  const text = message.toLowerCase();
+  return speakers.filter(speaker => {
+    const name = String(speaker).trim();
+    const [firstName, ...otherNames] = name.split(/\s+/);
+    const capitalised = firstName.charAt(0).toUpperCase() + firstName.slice(1);
+    return name.length > 1 && ((otherNames.length > 0 && text.includes(name.toLowerCase())) || words.has(capitalised));
+  });
+}
+
+/**
+ * Speakers matching a name the LLM classifier or a client gave, by full or first name in any case
+ */
+function matchSpeakerName(person, speakers) {
+  const wanted = String(person).trim().toLowerCase();
+  return speakers.filter(speaker => {
+    const name = String(speaker).trim().toLowerCase();
+    return name === wanted || name.split(/\s+/)[0] === wanted;
+  });
+}
+
+/**
+ * Rule-based classifier: keyword patterns, ticket references, the selected meetings'
+ * speaker names and date expressions. Needs no model call.
+ */
+class RuleIntentClassifier {
+  /**
+   * @param {string} message - The user's question
+   * @param {Object} context - { speakers, meetingDates, today } for the selected transcripts
+   * @returns {Object} { intent, intents, scope, entities: { ticketKeys, people, dates, startDate, endDate }, classifier }
+   */
+  classify(message, { speakers = [], meetingDates = [], today = formatDay(new Date()) } = {}) {
+    const ticketKeys = extractTicketRefs(message);
+    const people = findMentionedSpeakers(message, speakers);
+    const range = resolveRelativeRange(message, today);
+    const dates = resolveMeetingDays(message, meetingDates, range);
+
+    const matched = new Set();
+    if (COMPARISON_PATTERN.test(message) || (dates.length > 1 && /\band\b/i.test(message))) {
+      matched.add('comparison');
+    }
+    if (SUMMARY_PATTERN.test(message) || PER_MEETING_PATTERN.test(message)) {
+      matched.add('meeting_summary');
+    }
+    if (ticketKeys.length > 0 || TASK_PATTERN.test(message)) {
+      matched.add('task_lookup');
+    }
+    if (people.length > 0) {
+      matched.add('person_focused');
+    }
+    if (range || dates.length > 0) {
+      matched.add('date_bounded');
+    }
+
+    return buildClassification(matched, {
+      scope: PER_MEETING_PATTERN.test(message) || matched.has('comparison') ? 'per_meeting' : 'combined',
+      summary: SUMMARY_PATTERN.test(message),
+      entities: {
+        ticketKeys,
+        people,
+        dates,
+        startDate: range ? range.startDate : null,
+        endDate: range ? range.endDate : null
+      },
+      classifier: 'rules'
+    });
+  }
+}
+
+/**
+ * Asks the chat model to classify the question (see TranscriptRAG.classifyIntent), which
+ * copes with phrasings the rules miss. Names and dates it returns are checked against the
+ * selected meetings. Falls back to the rule-based classifier if the call fails.
+ */
+class LlmIntentClassifier {
+  constructor({ transcriptRAG, fallback = new RuleIntentClassifier() }) {
+    this.transcriptRAG = transcriptRAG;
+    this.fallback = fallback;
+  }
+
+  async classify(message, context = {}) {
+    const { speakers = [], meetingDates = [], today = formatDay(new Date()) } = context;
+    try {
+      const result = await this.transcriptRAG.classifyIntent(message, { speakers, meetingDates, today });
+
+      const people = [...new Set(result.people.flatMap(person => matchSpeakerName(person, speakers)))];
+
+      const matched = new Set(result.intents.filter(intent => INTENTS.includes(intent)));
+      if (people.length === 0) {
+        matched.delete('person_focused');
+      }
+
+      return buildClassification(matched, {
+        scope: result.scope,
+        summary: matched.has('meeting_summary'),
+        entities: {
+          ticketKeys: [...new Set([...extractTicketRefs(message), ...result.ticketKeys.flatMap(extractTicketRefs)])],
+          people,
+          dates: result.dates.filter(date => meetingDates.includes(date)),
+          startDate: result.startDate,
+          endDate: result.endDate
+        },
+        classifier: 'llm'
+      });
+    } catch (error) {
+      console.error('LLM intent classification failed, using rules:', error.message);
+      return { ...this.fallback.classify(message, context), fallbackFrom: 'llm' };
+    }
+  }
+}
+
+/**
+ * Order matched intents by priority; questions matching none are general Q&A
+ */
+function buildClassification(matched, details) {
+  const intents = INTENTS.filter(intent => matched.has(intent));
+  if (intents.length === 0) {
+    intents.push('general');
+  }
+  return { intent: intents[0], intents, ...details };
+}
+
+/**
+ * Retrieval plan for a classified question
+ * @param {Object} classification - From a classifier
+ * @param {Object} options - { fanOut } true or false to force fan-out retrieval on or off
+ * @returns {Object} {
+ *   searchers: which of 'vector', 'keyword', 'task' to run,
+ *   vectorK, keywordK: results requested from each searcher,
+ *   maxResults: sections sent to the model,
+ *   perTranscriptK: when set, sections taken from each transcript so every meeting is represented,
+ *   fanOut: when set, { groupBy, minPerGroup }: vector search runs once per transcript (or date)
+ *     for perTranscriptK sections, and each group is guaranteed minPerGroup of the sections sent,
+ *   useMeetingSummaries: lead with stored whole-meeting summaries,
+ *   filters: { startDate, endDate, dates, speakers }
+ * }
+ */
+function planRetrieval(classification, { fanOut } = {}) {
+  const { intents, scope, summary, entities } = classification;
+  const plan = {
+    searchers: ['vector', 'keyword'],
+    vectorK: 5,
+    keywordK: 15,
+    maxResults: 15,
+    perTranscriptK: null,
+    fanOut: null,
+    useMeetingSummaries: false,
+    filters: {}
+  };
+
+  if (scope === 'per_meeting') {
+    // Each meeting needs its own share of the context
+    plan.vectorK = 10;
+    plan.maxResults = 25;
+    plan.perTranscriptK = 5;
+    plan.fanOut = { groupBy: FAN_OUT_GROUP_BY, minPerGroup: FAN_OUT_MIN_CHUNKS };
+  }
+  if (intents.includes('comparison')) {
+    plan.perTranscriptK = 4;
+  }
+  if (intents.includes('meeting_summary') && summary) {
+    plan.useMeetingSummaries = true;
+  }
+  if (intents.includes('task_lookup')) {
+    plan.searchers.push('task');
+  }
+  if (intents.includes('person_focused')) {
+    // Results are narrowed to the person's turns afterwards, so ask for more
+    plan.vectorK = Math.max(plan.vectorK, 15);
+    plan.keywordK = 30;
+    plan.filters.speakers = entities.people;
+  }
+  if (intents.includes('date_bounded')) {
+    if (entities.dates.length > 0) {
+      plan.filters.dates = entities.dates;
+    } else {
+      plan.filters.startDate = entities.startDate;
+      plan.filters.endDate = entities.endDate;
+    }
+  }
+
+  if (fanOut === true && !plan.fanOut) {
+    plan.perTranscriptK = plan.perTranscriptK || 5;
+    plan.fanOut = { groupBy: FAN_OUT_GROUP_BY, minPerGroup: FAN_OUT_MIN_CHUNKS };
+  } else if (fanOut === false) {
+    plan.fanOut = null;
+  }
+  if (plan.fanOut) {
+    plan.perTranscriptK = Math.max(plan.perTranscriptK, plan.fanOut.minPerGroup);
+  }
+
+  return plan;
+}
+
+/**
+ * Create the configured intent classifier
+ * @param {Object} options - { transcriptRAG } needed by the LLM classifier
+ */
+function createIntentClassifier({ transcriptRAG } = {}) {
+  switch (INTENT_CLASSIFIER) {
+    case 'rules':
+      return new RuleIntentClassifier();
+    case 'llm':
+      return new LlmIntentClassifier({ transcriptRAG });
+    default:
+      throw new Error(`Unknown intent classifier "${INTENT_CLASSIFIER}". Expected "rules" or "llm"`);
+  }
+}
+
+module.exports = {
+  INTENTS,
+  createIntentClassifier,
+  planRetrieval,
+  RuleIntentClassifier,
+  LlmIntentClassifier,
+  resolveRelativeRange,
+  resolveMeetingDays,
+  findMentionedSpeakers,
+  matchSpeakerName
+};
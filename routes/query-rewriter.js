@@ -0,0 +1,76 @@
+// "off" (default), "condense" (make follow-ups standalone using the conversation) or
+// "expand" (also search with paraphrases and sub-queries)
+const QUERY_REWRITE = process.env.QUERY_REWRITE || 'off';
+// Extra queries searched in "expand" mode, on top of the standalone question
+const QUERY_EXPANSIONS = parseInt(process.env.QUERY_EXPANSIONS || '3', 10);
+
+/**
+ * Rewrites chat questions before retrieval (see TranscriptRAG.rewriteQuery), so that
+ * short follow-ups like "and the blockers?" are searched as the question they stand for.
+ * If the model call fails, the original question is searched.
+ */
+class QueryRewriter {
+  /**
+   * @param {Object} options
+   * @param {TranscriptRAG} options.transcriptRAG
+   * @param {string} options.mode - "off", "condense" or "expand"
+   * @param {number} options.expansions - Extra queries in "expand" mode
+   */
+  constructor({ transcriptRAG, mode = QUERY_REWRITE, expansions = QUERY_EXPANSIONS }) {
+    this.transcriptRAG = transcriptRAG;
+    this.mode = mode;
+    this.expansions = expansions;
+  }
+
+  /**
+   * @param {string} message - The user's question
+   * @param {Array} conversationHistory - Previous messages as { role, content }
+   * @returns {Promise<Object>} { mode, original, standalone, expansions } the standalone
+   *   question and expansions are the queries to search; failed is set if the model call failed
+   */
+  async rewrite(message, conversationHistory = []) {
+    const result = { mode: this.mode, original: message, standalone: message, expansions: [] };
+
+    // Without earlier messages there is nothing to condense
+    if (this.mode === 'off' || (this.mode === 'condense' && conversationHistory.length === 0)) {
+      return result;
+    }
+
+    try {
+      const count = this.mode === 'expand' ? this.expansions : 0;
+      const rewritten = await this.transcriptRAG.rewriteQuery(message, conversationHistory, { count });
+
+      // Drop repeats of the standalone question and of each other
+      const seen = new Set([rewritten.standalone.toLowerCase()]);
+      const expansions = rewritten.queries.filter(query => {
+        const key = query.toLowerCase();
+        if (seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+
+      return { ...result, standalone: rewritten.standalone, expansions: expansions.slice(0, count) };
+    } catch (error) {
+      console.error('Query rewriting failed, searching the original question:', error.message);
+      return { ...result, failed: true };
+    }
+  }
+}
+
+/**
+ * Create the query rewriter configured by QUERY_REWRITE
+ * @param {Object} options - { transcriptRAG }
+ */
+function createQueryRewriter({ transcriptRAG }) {
+  if (!['off', 'condense', 'expand'].includes(QUERY_REWRITE)) {
+    throw new Error(`Unknown query rewrite mode "${QUERY_REWRITE}". Expected "off", "condense" or "expand"`);
+  }
+  return new QueryRewriter({ transcriptRAG });
+}
+
+module.exports = {
+  QueryRewriter,
+  createQueryRewriter
+};
@@ -0,0 +1,79 @@
+// Reciprocal rank fusion constant; larger values flatten the advantage of top ranks
+const RRF_K = parseInt(process.env.FUSION_RRF_K || '60', 10);
+
+// Weights for fusing the vector, keyword and task searches into one ranking
+const FUSION_WEIGHTS = {
+  vector: parseFloat(process.env.FUSION_WEIGHT_VECTOR || '1'),
+  keyword: parseFloat(process.env.FUSION_WEIGHT_KEYWORD || '1'),
+  task: parseFloat(process.env.FUSION_WEIGHT_TASK || '1.5')
+};
+
+/**
+ * Stable identity for a retrieved chunk so the same chunk found by several
+ * searchers is merged rather than duplicated
+ */
+function getResultKey(result) {
+  if (result.chunkId) {
+    return result.chunkId;
+  }
+  return `${result.transcriptId}:${result.chunkIndex}:${result.content.substring(0, 100)}`;
+}
+
+/**
+ * Merge ranked result lists with weighted reciprocal rank fusion.
+ * Each list contributes weight / (k + rank) for every result it contains. The fused
+ * score is reported as `relevance`, normalised so 1 means ranked first by every
+ * searcher that ran; each searcher's own score is kept in `scores`.
+ * @param {Array} rankedLists - [{ name, weight, results }] with results sorted best first
+ * @param {Object} options - { k } RRF constant
+ * @returns {Array} Fused results sorted by relevance
+ */
+function reciprocalRankFusion(rankedLists, { k = RRF_K } = {}) {
+  const activeLists = rankedLists.filter(list => list.weight > 0);
+  const maxScore = activeLists.reduce((sum, list) => sum + list.weight / (k + 1), 0);
+  const fused = new Map();
+
+  for (const { name, weight, results } of activeLists) {
+    results.forEach((result, index) => {
+      const key = getResultKey(result);
+      if (!fused.has(key)) {
+        fused.set(key, { ...result, scores: {}, ranks: {}, fusedScore: 0 });
+      }
+      const entry = fused.get(key);
+      entry.scores[name] = result.score;
+      entry.ranks[name] = index + 1;
+      entry.fusedScore += weight / (k + index + 1);
+    });
+  }
+
+  return [...fused.values()]
+    .map(({ fusedScore, score, ...result }) => ({
+      ...result,
+      matchedBy: Object.keys(result.scores),
+      // Vector similarity is only meaningful for chunks the vector search returned
+      similarity: result.scores.vector ?? null,
+      relevance: maxScore > 0 ? fusedScore / maxScore : 0
+    }))
+    .sort((a, b) => b.relevance - a.relevance);
+}
+
+/**
+ * Fuse the hybrid searchers' rankings into one list. Searchers the retrieval plan didn't
+ * run get no weight, so they don't lower every chunk's relevance.
+ * @param {Object} resultsBySearcher - { vector, keyword, task } results, best first
+ * @param {Array<string>} searchers - The searchers the plan ran
+ * @param {Object} options - { weights, k }
+ * @returns {Array} Fused results sorted by relevance
+ */
+function fuseSearcherResults(resultsBySearcher, searchers, { weights = FUSION_WEIGHTS, k = RRF_K } = {}) {
+  return reciprocalRankFusion(
+    Object.keys(weights).map(name => ({
+      name,
+      weight: searchers.includes(name) ? weights[name] : 0,
+      results: resultsBySearcher[name] || []
+    })),
+    { k }
+  );
+}
+
+module.exports = { reciprocalRankFusion, fuseSearcherResults, FUSION_WEIGHTS };
@@ -0,0 +1,67 @@
+const { ChatOpenAI, OpenAIEmbeddings } = require('@langchain/openai');
+const { UpstreamScheduler } = require('./upstream-scheduler');
+const { estimateTokens } = require('./usage-tracker');
+
+// Limits for the provider's chat completions API (0 = unlimited); shared by every chat model in the process
+const chatScheduler = new UpstreamScheduler({
+  name: 'Chat completion',
+  maxConcurrency: parseInt(process.env.CHAT_MAX_CONCURRENCY || '4', 10),
+  requestsPerMinute: parseInt(process.env.CHAT_REQUESTS_PER_MINUTE || '0', 10),
+  tokensPerMinute: parseInt(process.env.CHAT_TOKENS_PER_MINUTE || '0', 10)
+});
+
+// Limits for the provider's embeddings API (0 = unlimited)
+const embeddingScheduler = new UpstreamScheduler({
+  name: 'Embedding',
+  maxConcurrency: parseInt(process.env.EMBEDDING_MAX_CONCURRENCY || '2', 10),
+  requestsPerMinute: parseInt(process.env.EMBEDDING_REQUESTS_PER_MINUTE || '0', 10),
+  tokensPerMinute: parseInt(process.env.EMBEDDING_TOKENS_PER_MINUTE || '0', 10)
+});
+
+// Chunks embedded per embeddings API request
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE || '100', 10);
+
+/**
+ * ChatOpenAI whose API calls go through the shared chat scheduler, which also
+ * takes over retries. A streamed response holds its slot only until the stream starts.
+ */
+class ScheduledChatOpenAI extends ChatOpenAI {
+  constructor(fields = {}) {
+    super({ ...fields, maxRetries: 0 });
+  }
+
+  completionWithRetry(request, options) {
+    const prompt = request.messages.map(message =>
+      typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+    ).join('\n');
+    return chatScheduler.schedule(
+      () => super.completionWithRetry(request, options),
+      { tokens: estimateTokens(prompt) + (request.max_tokens || 0) }
+    );
+  }
+}
+
+/**
+ * OpenAIEmbeddings sending chunks in batches of EMBEDDING_BATCH_SIZE, each batch
+ * one API call through the shared embedding scheduler
+ */
+class ScheduledOpenAIEmbeddings extends OpenAIEmbeddings {
+  constructor(fields = {}) {
+    super({ batchSize: EMBEDDING_BATCH_SIZE, ...fields, maxRetries: 0 });
+  }
+
+  embeddingWithRetry(request) {
+    const inputs = Array.isArray(request.input) ? request.input : [request.input];
+    return embeddingScheduler.schedule(
+      () => super.embeddingWithRetry(request),
+      { tokens: inputs.reduce((sum, text) => sum + estimateTokens(text), 0) }
+    );
+  }
+}
+
+module.exports = {
+  ScheduledChatOpenAI,
+  ScheduledOpenAIEmbeddings,
+  chatScheduler,
+  embeddingScheduler
+};
@@ -0,0 +1,115 @@
+const { TranscriptSplitter } = require('./transcript-splitter');
+
+// SP-XXX ticket references in any of their spoken/written forms
+const TICKET_PATTERN = /\b(?:sp|SP)[-\s]?\d+\b/g;
+// A normalised ticket key, as used in /api/tasks/:key
+const TICKET_KEY_PATTERN = /^SP-(\d+)$/;
+
+/**
+ * Normalise ticket references ("sp 12", "SP-12") to "SP-12"
+ */
+function normalizeTicketRef(ref) {
+  return ref.toUpperCase().replace(/[-\s]/, '-').replace(/^SP(\d)/, 'SP-$1');
+}
+
+/**
+ * Distinct normalised ticket keys mentioned in a piece of text
+ */
+function extractTicketRefs(text) {
+  return [...new Set((String(text).match(TICKET_PATTERN) || []).map(normalizeTicketRef))];
+}
+
+/**
+ * Find every ticket mention in a transcript's entries, with the speaker lines around it
+ * @param {Object} transcript - { transcriptId, meetingId, date }
+ * @param {Array} entries - Parsed transcript_data entries
+ * @param {Object} options - { contextLines, keys } keys limits the result to these tickets
+ * @returns {Array} [{ key, transcriptId, meetingId, date, entryIndex, speaker, text, start, end, context }]
+ */
+function findTaskMentions(transcript, entries, { contextLines = 1, keys = null } = {}) {
+  const mentions = [];
+
+  entries.forEach((entry, entryIndex) => {
+    const refs = extractTicketRefs(entry.text || '').filter(key => !keys || keys.includes(key));
+    if (refs.length === 0) {
+      return;
+    }
+
+    const { start, end } = TranscriptSplitter.getEntryTimes(entry);
+    const context = [];
+    for (let i = Math.max(0, entryIndex - contextLines); i <= Math.min(entries.length - 1, entryIndex + contextLines); i++) {
+      if (i !== entryIndex) {
+        context.push({ entryIndex: i, speaker: entries[i].speaker, text: entries[i].text });
+      }
+    }
+
+    refs.forEach(key => mentions.push({
+      key,
+      transcriptId: transcript.transcriptId,
+      meetingId: transcript.meetingId,
+      date: transcript.date,
+      entryIndex,
+      speaker: entry.speaker,
+      text: entry.text,
+      start,
+      end,
+      context
+    }));
+  });
+
+  return mentions;
+}
+
+function compareTicketKeys(a, b) {
+  return parseInt(a.slice(3), 10) - parseInt(b.slice(3), 10);
+}
+
+/**
+ * Group mentions into one timeline per ticket: meetings in date order, mentions in transcript order
+ * @returns {Array} [{ key, mentionCount, meetingCount, firstMentioned, lastMentioned, speakers, meetings }]
+ */
+function buildTaskTimelines(mentions) {
+  const byKey = new Map();
+  for (const mention of mentions) {
+    if (!byKey.has(mention.key)) {
+      byKey.set(mention.key, []);
+    }
+    byKey.get(mention.key).push(mention);
+  }
+
+  return [...byKey.entries()]
+    .sort(([a], [b]) => compareTicketKeys(a, b))
+    .map(([key, keyMentions]) => {
+      const meetings = new Map();
+      for (const { key: _key, transcriptId, meetingId, date, ...mention } of keyMentions) {
+        if (!meetings.has(transcriptId)) {
+          meetings.set(transcriptId, { transcriptId, meetingId, date, mentions: [] });
+        }
+        meetings.get(transcriptId).mentions.push(mention);
+      }
+
+      const timeline = [...meetings.values()].sort((a, b) =>
+        String(a.date).localeCompare(String(b.date)) || a.transcriptId.localeCompare(b.transcriptId)
+      );
+      timeline.forEach(meeting => meeting.mentions.sort((a, b) => a.entryIndex - b.entryIndex));
+
+      return {
+        key,
+        mentionCount: keyMentions.length,
+        meetingCount: timeline.length,
+        firstMentioned: timeline[0].date,
+        lastMentioned: timeline[timeline.length - 1].date,
+        speakers: [...new Set(keyMentions.map(mention => mention.speaker))],
+        meetings: timeline
+      };
+    });
+}
+
+module.exports = {
+  TICKET_PATTERN,
+  TICKET_KEY_PATTERN,
+  normalizeTicketRef,
+  extractTicketRefs,
+  findTaskMentions,
+  buildTaskTimelines
+};
@@ -0,0 +1,302 @@
+const express = require('express');
+const crypto = require('crypto');
+const { MongoClient, ObjectId } = require('mongodb');
+const { z } = require('zod');
+const { TranscriptRAG } = require('./langchain-rag');
+const { getProviderInfo } = require('./model-providers');
+const {
+  TICKET_KEY_PATTERN,
+  normalizeTicketRef,
+  findTaskMentions,
+  buildTaskTimelines
+} = require('./task-references');
+const { teamScope } = require('./auth');
+const { usageTracker, setUsageTranscripts, sendBudgetExceeded } = require('./usage-tracker');
+
+const router = express.Router();
+
+// Environment variables
+const MONGODB_URI = process.env.MONGODB_URI;
+const DATABASE_NAME = "standuptickets";
+const TRANSCRIPTS_COLLECTION = "transcripts";
+const TASK_DETAILS_COLLECTION = "task_details";
+const EMBEDDINGS_COLLECTION = "transcript_embeddings";
+
+const transcriptRAG = new TranscriptRAG();
+
+let client = null;
+let db = null;
+
+async function getDatabase() {
+  if (!db) {
+    client = new MongoClient(MONGODB_URI);
+    await client.connect();
+    db = client.db(DATABASE_NAME);
+    // Ticket lookups go through the keys stored on each chunk
+    await db.collection(EMBEDDINGS_COLLECTION).createIndex({ tickets: 1, date: 1 });
+  }
+  return db;
+}
+
+// Validation schemas using Zod
+const DateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a YYYY-MM-DD date');
+
+const TaskFilterSchema = z.object({
+  // Comma-separated, like /api/embeddings/status?ids=
+  transcriptIds: z.string().optional()
+    .transform(ids => ids ? ids.split(',').map(id => id.trim()).filter(Boolean) : undefined)
+    .refine(ids => !ids || ids.every(id => ObjectId.isValid(id)), 'Invalid transcript ID'),
+  startDate: DateSchema.optional(),
+  endDate: DateSchema.optional(),
+  // Speaker lines to include before and after each mention
+  context: z.coerce.number().int().min(0).max(5).optional(),
+  enrich: z.enum(['true', 'false', '1', '0']).optional().transform(value => value === 'true' || value === '1')
+});
+
+/**
+ * Date range filter; dates are stored as YYYY-MM-DD strings, which sort chronologically
+ */
+function buildDateFilter(startDate, endDate) {
+  if (!startDate && !endDate) {
+    return {};
+  }
+  const date = {};
+  if (startDate) date.$gte = startDate;
+  if (endDate) date.$lte = endDate;
+  return { date };
+}
+
+/**
+ * IDs of the transcripts with an embedded chunk mentioning the ticket, read from the
+ * chunks' ticket keys rather than by scanning transcript text
+ */
+async function findTicketTranscriptIds(ticketKey, { transcriptIds, startDate, endDate }) {
+  const database = await getDatabase();
+  const filter = { tickets: ticketKey, ...buildDateFilter(startDate, endDate) };
+  if (transcriptIds) {
+    filter.transcriptId = { $in: transcriptIds };
+  }
+
+  const ids = await database.collection(EMBEDDINGS_COLLECTION).distinct('transcriptId', filter);
+  return ids.filter(id => ObjectId.isValid(id));
+}
+
+/**
+ * Load the caller's team's transcripts matching the filter, optionally only those mentioning one ticket
+ */
+async function loadTranscripts(auth, { transcriptIds, startDate, endDate }, ticketKey) {
+  const database = await getDatabase();
+  const collection = database.collection(TRANSCRIPTS_COLLECTION);
+
+  let ids = transcriptIds;
+  if (ticketKey) {
+    ids = await findTicketTranscriptIds(ticketKey, { transcriptIds, startDate, endDate });
+    if (ids.length === 0) {
+      return [];
+    }
+  }
+
+  const filter = { ...teamScope(auth), ...buildDateFilter(startDate, endDate) };
+  if (ids) {
+    filter._id = { $in: ids.map(id => new ObjectId(id)) };
+  }
+
+  return collection.find(filter, { projection: { meeting_id: 1, date: 1, transcript_data: 1 } }).toArray();
+}
+
+/**
+ * Extract ticket mentions from each transcript's entries.
+ * Mentions are read from transcript_data rather than the overlapping embedding
+ * chunks, so each one appears once with its exact entry index and timestamps.
+ */
+function collectMentions(transcripts, options) {
+  const mentions = [];
+  for (const transcript of transcripts) {
+    const transcriptId = transcript._id.toString();
+    let entries;
+    try {
+      entries = JSON.parse(transcript.transcript_data);
+    } catch (parseError) {
+      console.error(`Failed to parse transcript data for ${transcriptId}`);
+      continue;
+    }
+
+    mentions.push(...findTaskMentions(
+      { transcriptId, meetingId: transcript.meeting_id, date: transcript.date },
+      entries,
+      options
+    ));
+  }
+  return mentions;
+}
+
+/**
+ * Format a ticket's timeline as excerpts grouped by meeting date for the LLM
+ */
+function formatTaskTimeline(task) {
+  return task.meetings.map(meeting => {
+    const lines = new Map();
+    meeting.mentions.forEach(mention => {
+      mention.context.forEach(line => lines.set(line.entryIndex, line));
+      lines.set(mention.entryIndex, mention);
+    });
+    const excerpt = [...lines.keys()]
+      .sort((a, b) => a - b)
+      .map(entryIndex => `${lines.get(entryIndex).speaker}: ${lines.get(entryIndex).text}`)
+      .join('\n');
+    return `=== MEETING ON ${meeting.date} ===\n${excerpt}`;
+  }).join('\n\n');
+}
+
+/**
+ * LLM-extracted status/assignee for a ticket, cached per team until its mentions change.
+ * Teams can use the same ticket keys, so each team's details are built from its own mentions.
+ */
+async function getTaskDetails(task, auth) {
+  const database = await getDatabase();
+  const collection = database.collection(TASK_DETAILS_COLLECTION);
+
+  const mentions = formatTaskTimeline(task);
+  const mentionsHash = crypto.createHash('sha256').update(mentions).digest('hex');
+  const model = getProviderInfo().chatModel;
+  // Fields in this order, so the compound _id matches exactly
+  const cacheId = { teamId: auth?.teamId ?? null, key: task.key };
+
+  const cached = await collection.findOne({ _id: cacheId, mentionsHash, model });
+  if (cached) {
+    return cached.details;
+  }
+
+  const details = await transcriptRAG.extractTaskDetails(task.key, mentions);
+  await collection.updateOne(
+    { _id: cacheId },
+    { $set: { mentionsHash, model, details, updatedAt: new Date() } },
+    { upsert: true }
+  );
+  return details;
+}
+
+/**
+ * Attach LLM-extracted details to each task; failures leave details null rather than failing the request
+ */
+async function enrichTasks(tasks, auth) {
+  for (const task of tasks) {
+    setUsageTranscripts(task.meetings.map(meeting => meeting.transcriptId));
+    try {
+      task.details = await getTaskDetails(task, auth);
+    } catch (error) {
+      console.error(`Error extracting details for ${task.key}:`, error);
+      task.details = null;
+    }
+  }
+  return tasks;
+}
+
+/**
+ * List every ticket mentioned in the selected transcripts
+ * GET /api/tasks?transcriptIds=id1,id2&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&context=1&enrich=true
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = TaskFilterSchema.parse(req.query);
+    if (!filter.transcriptIds && !filter.startDate && !filter.endDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'transcriptIds or a startDate/endDate range is required'
+      });
+    }
+
+    if (filter.enrich) {
+      const exceeded = await usageTracker.checkBudget(req.auth);
+      if (exceeded) {
+        return sendBudgetExceeded(res, exceeded);
+      }
+    }
+
+    const transcripts = await loadTranscripts(req.auth, filter);
+    const mentions = collectMentions(transcripts, { contextLines: filter.context ?? 1 });
+    const tasks = buildTaskTimelines(mentions);
+
+    if (filter.enrich) {
+      await enrichTasks(tasks, req.auth);
+    }
+
+    res.json({
+      success: true,
+      tasks,
+      totalTasks: tasks.length,
+      transcriptsScanned: transcripts.length
+    });
+
+  } catch (error) {
+    console.error('Error listing tasks:', error);
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request data',
+        details: error.errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list tasks',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Full history of one ticket across all meetings (narrowed by the same optional filters)
+ * GET /api/tasks/:key
+ */
+router.get('/:key', async (req, res) => {
+  try {
+    const key = normalizeTicketRef(req.params.key);
+    if (!TICKET_KEY_PATTERN.test(key)) {
+      return res.status(400).json({ success: false, error: 'Expected a ticket key like SP-123' });
+    }
+
+    const filter = TaskFilterSchema.parse(req.query);
+    if (filter.enrich) {
+      const exceeded = await usageTracker.checkBudget(req.auth);
+      if (exceeded) {
+        return sendBudgetExceeded(res, exceeded);
+      }
+    }
+
+    const transcripts = await loadTranscripts(req.auth, filter, key);
+    const mentions = collectMentions(transcripts, { contextLines: filter.context ?? 2, keys: [key] });
+    const [task] = buildTaskTimelines(mentions);
+
+    if (!task) {
+      return res.status(404).json({ success: false, error: 'Task not found' });
+    }
+
+    if (filter.enrich) {
+      await enrichTasks([task], req.auth);
+    }
+
+    res.json({ success: true, task });
+
+  } catch (error) {
+    console.error('Error getting task:', error);
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request data',
+        details: error.errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get task',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
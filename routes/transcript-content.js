@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { TranscriptSplitter } = require('./transcript-splitter');
+
+/**
+ * Generate hash for transcript content to detect changes
+ */
+function generateContentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
+}
+
+/**
+ * Convert transcript entries to "speaker: text" lines
+ */
+function formatTranscriptContent(transcriptEntries) {
+  return transcriptEntries.map(entry => TranscriptSplitter.formatEntry(entry)).join('\n');
+}
+
+/**
+ * Hash of a transcript's speakers, text and timestamps. Chunks, summaries and extractions
+ * store the times they were built with, so a timestamp correction must make them stale too.
+ */
+function hashTranscriptEntries(transcriptEntries) {
+  const lines = transcriptEntries.map(entry => {
+    const { start, end } = TranscriptSplitter.getEntryTimes(entry);
+    return `${start ?? ''}\t${end ?? ''}\t${TranscriptSplitter.formatEntry(entry)}`;
+  });
+  return generateContentHash(lines.join('\n'));
+}
+
+/**
+ * Parse a transcript document's transcript_data into entries, their formatted content and its hash
+ */
+function parseTranscriptData(transcript) {
+  const transcriptEntries = JSON.parse(transcript.transcript_data);
+  return {
+    transcriptEntries,
+    transcriptContent: formatTranscriptContent(transcriptEntries),
+    contentHash: hashTranscriptEntries(transcriptEntries)
+  };
+}
+
+module.exports = {
+  generateContentHash,
+  formatTranscriptContent,
+  hashTranscriptEntries,
+  parseTranscriptData
+};
@@ -0,0 +1,321 @@
+const { z } = require('zod');
+
+/**
+ * Parsers that normalise uploaded transcripts into transcript_data entries:
+ * [{ speaker, text, start?, end? }] with timestamps as "HH:MM:SS.mmm".
+ * Each parser returns { entries, errors } where errors carry the 1-based line
+ * (or entry index for JSON) so malformed files can be fixed.
+ */
+
+const SUPPORTED_FORMATS = ['vtt', 'srt', 'text', 'json'];
+const UNKNOWN_SPEAKER = 'Unknown';
+
+const TranscriptEntrySchema = z.object({
+  speaker: z.string().min(1),
+  text: z.string().min(1),
+  start: z.string().optional(),
+  end: z.string().optional()
+}).passthrough();
+
+// 00:01:02.345, 01:02.345 (VTT without hours) or 00:01:02,345 (SRT)
+const TIMESTAMP_PATTERN = /^(?:(\d{1,2}):)?(\d{2}):(\d{2})[.,](\d{3})$/;
+const TIMING_LINE_PATTERN = /^(\S+)\s+-->\s+(\S+)(?:\s+.*)?$/;
+
+/**
+ * Normalise a VTT/SRT timestamp to "HH:MM:SS.mmm" (null if invalid)
+ */
+function normalizeTimestamp(value) {
+  const match = TIMESTAMP_PATTERN.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const [, hours = '0', minutes, seconds, millis] = match;
+  if (parseInt(minutes, 10) > 59 || parseInt(seconds, 10) > 59) {
+    return null;
+  }
+  return `${hours.padStart(2, '0')}:${minutes}:${seconds}.${millis}`;
+}
+
+/**
+ * Split "Speaker: text" or "[Speaker] text" into its parts
+ */
+function splitSpeakerPrefix(text) {
+  const bracketMatch = /^\[([^\]]{1,60})\]\s*(.*)$/.exec(text);
+  if (bracketMatch) {
+    return { speaker: bracketMatch[1].trim(), text: bracketMatch[2].trim() };
+  }
+  const colonMatch = /^([^:\n]{1,60}?):\s+(.*)$/.exec(text);
+  if (colonMatch && !/^\d+$/.test(colonMatch[1])) {
+    return { speaker: colonMatch[1].trim(), text: colonMatch[2].trim() };
+  }
+  return { speaker: null, text: text.trim() };
+}
+
+/**
+ * Merge consecutive cues from the same speaker into one turn, extending its end time
+ */
+function mergeConsecutiveSpeakers(entries) {
+  const merged = [];
+  for (const entry of entries) {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.speaker === entry.speaker) {
+      previous.text = `${previous.text} ${entry.text}`;
+      if (entry.end) {
+        previous.end = entry.end;
+      }
+    } else {
+      merged.push({ ...entry });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Parse cue blocks shared by WebVTT and SRT
+ */
+function parseCues(lines, { startLine, requireIndex, format }) {
+  const entries = [];
+  const errors = [];
+  let i = startLine;
+
+  while (i < lines.length) {
+    // Skip blank lines between cues
+    if (!lines[i].trim()) {
+      i++;
+      continue;
+    }
+
+    const blockStart = i;
+    const block = [];
+    while (i < lines.length && lines[i].trim()) {
+      block.push({ line: i + 1, text: lines[i].trim() });
+      i++;
+    }
+
+    // VTT NOTE / STYLE / REGION blocks carry no dialogue
+    if (format === 'vtt' && /^(NOTE|STYLE|REGION)\b/.test(block[0].text)) {
+      continue;
+    }
+
+    const timingIndex = block.findIndex(item => item.text.includes('-->'));
+    if (timingIndex === -1) {
+      errors.push({ line: blockStart + 1, message: 'Cue is missing a "start --> end" timing line' });
+      continue;
+    }
+    if (requireIndex && (timingIndex !== 1 || !/^\d+$/.test(block[0].text))) {
+      errors.push({ line: block[0].line, message: 'Expected a numeric cue index before the timing line' });
+    }
+    if (timingIndex > 1) {
+      errors.push({ line: block[timingIndex].line, message: 'Unexpected text before the timing line' });
+    }
+
+    const timing = block[timingIndex];
+    const timingMatch = TIMING_LINE_PATTERN.exec(timing.text);
+    const start = timingMatch ? normalizeTimestamp(timingMatch[1]) : null;
+    const end = timingMatch ? normalizeTimestamp(timingMatch[2]) : null;
+    if (!start || !end) {
+      errors.push({ line: timing.line, message: `Invalid timing line "${timing.text}"` });
+      continue;
+    }
+    if (end < start) {
+      errors.push({ line: timing.line, message: 'Cue ends before it starts' });
+      continue;
+    }
+
+    const textLines = block.slice(timingIndex + 1);
+    if (textLines.length === 0) {
+      errors.push({ line: timing.line, message: 'Cue has no text' });
+      continue;
+    }
+
+    let rawText = textLines.map(item => item.text).join(' ');
+    let speaker = null;
+
+    // WebVTT voice spans: <v Speaker Name>text</v>
+    const voiceMatch = /<v(?:\.[^\s>]+)?\s+([^>]+)>/.exec(rawText);
+    if (voiceMatch) {
+      speaker = voiceMatch[1].trim();
+    }
+    rawText = rawText.replace(/<[^>]+>/g, '').trim();
+
+    if (!speaker) {
+      const split = splitSpeakerPrefix(rawText);
+      speaker = split.speaker;
+      rawText = split.text;
+    }
+
+    if (!rawText) {
+      continue; // Cue contained only markup
+    }
+
+    entries.push({ speaker: speaker || UNKNOWN_SPEAKER, text: rawText, start, end });
+  }
+
+  return { entries: mergeConsecutiveSpeakers(entries), errors };
+}
+
+/**
+ * Parse a WebVTT file
+ */
+function parseVtt(content) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+  if (!/^WEBVTT\b/.test(lines[0].trim())) {
+    return { entries: [], errors: [{ line: 1, message: 'WebVTT files must start with "WEBVTT"' }] };
+  }
+
+  // Header runs until the first blank line
+  let startLine = 1;
+  while (startLine < lines.length && lines[startLine].trim()) {
+    startLine++;
+  }
+
+  return parseCues(lines, { startLine, requireIndex: false, format: 'vtt' });
+}
+
+/**
+ * Parse an SRT file
+ */
+function parseSrt(content) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+  return parseCues(lines, { startLine: 0, requireIndex: true, format: 'srt' });
+}
+
+/**
+ * Parse speaker-labelled plain text: one "Speaker: text" turn per line, optionally
+ * prefixed with a timestamp ("[00:01:02] Speaker: text"). Lines without a speaker
+ * continue the previous turn.
+ */
+function parsePlainText(content) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const entries = [];
+  const errors = [];
+
+  lines.forEach((rawLine, index) => {
+    let line = rawLine.trim();
+    if (!line) {
+      return;
+    }
+
+    let start;
+    const timestampMatch = /^\[?((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\]?\s+(.*)$/.exec(line);
+    if (timestampMatch) {
+      const [, timestamp, rest] = timestampMatch;
+      const padded = /[.,]\d+$/.test(timestamp) ? timestamp : `${timestamp}.000`;
+      const [clock, millis] = padded.split(/[.,]/);
+      start = normalizeTimestamp(`${clock.split(':').map(part => part.padStart(2, '0')).join(':')}.${millis.padEnd(3, '0')}`);
+      if (!start) {
+        errors.push({ line: index + 1, message: `Invalid timestamp "${timestamp}"` });
+        return;
+      }
+      line = rest;
+    }
+
+    const { speaker, text } = splitSpeakerPrefix(line);
+    if (speaker) {
+      if (!text) {
+        errors.push({ line: index + 1, message: `Turn for "${speaker}" has no text` });
+        return;
+      }
+      entries.push(start ? { speaker, text, start } : { speaker, text });
+      return;
+    }
+
+    if (entries.length === 0) {
+      errors.push({ line: index + 1, message: 'Expected "Speaker: text" before any continuation lines' });
+      return;
+    }
+    entries[entries.length - 1].text += ` ${text}`;
+  });
+
+  return { entries, errors };
+}
+
+/**
+ * Parse the existing transcript_data JSON shape: an array of { speaker, text } entries
+ */
+function parseJson(content) {
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      return { entries: [], errors: [{ line: 1, message: `Invalid JSON: ${error.message}` }] };
+    }
+  }
+
+  if (!Array.isArray(data)) {
+    return { entries: [], errors: [{ line: 1, message: 'Expected a JSON array of { speaker, text } entries' }] };
+  }
+
+  const entries = [];
+  const errors = [];
+  data.forEach((entry, index) => {
+    const result = TranscriptEntrySchema.safeParse(entry);
+    if (result.success) {
+      entries.push(result.data);
+    } else {
+      errors.push({
+        entry: index,
+        message: result.error.errors.map(issue => `${issue.path.join('.') || 'entry'}: ${issue.message}`).join('; ')
+      });
+    }
+  });
+
+  return { entries, errors };
+}
+
+/**
+ * Guess the format of an uploaded transcript
+ */
+function detectFormat(content) {
+  if (Array.isArray(content)) {
+    return 'json';
+  }
+
+  const trimmed = content.replace(/^\uFEFF/, '').trimStart();
+  if (/^WEBVTT\b/.test(trimmed)) {
+    return 'vtt';
+  }
+  if (/^\d+\s*\r?\n[^\n]*-->/.test(trimmed)) {
+    return 'srt';
+  }
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch {
+      // Plain text that happens to start with a bracket, e.g. "[Alice] hello"
+    }
+  }
+  return 'text';
+}
+
+const PARSERS = {
+  vtt: parseVtt,
+  srt: parseSrt,
+  text: parsePlainText,
+  json: parseJson
+};
+
+/**
+ * Parse an uploaded transcript into transcript_data entries
+ * @param {string|Array} content - File content (or an already-parsed JSON array)
+ * @param {string} [format] - One of SUPPORTED_FORMATS; detected when omitted
+ * @returns {Object} { format, entries, errors }
+ */
+function parseTranscript(content, format) {
+  const resolvedFormat = format || detectFormat(content);
+  const { entries, errors } = PARSERS[resolvedFormat](content);
+
+  if (errors.length === 0 && entries.length === 0) {
+    errors.push({ line: 1, message: 'Transcript contains no dialogue' });
+  }
+
+  return { format: resolvedFormat, entries, errors };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  TranscriptEntrySchema,
+  parseTranscript
+};
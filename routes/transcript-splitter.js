@@ -0,0 +1,145 @@
+/**
+ * Transcript-aware text splitter.
+ * Chunks transcript entries on speaker turns instead of raw characters, only breaking
+ * a turn (at sentence boundaries) when it is longer than a whole chunk, and records
+ * which speakers, entries and timestamps each chunk covers.
+ */
+class TranscriptSplitter {
+  constructor({ chunkSize = 1000, chunkOverlap = 200 } = {}) {
+    this.chunkSize = chunkSize;
+    this.chunkOverlap = chunkOverlap;
+  }
+
+  /**
+   * Format a transcript entry as a "speaker: text" line
+   */
+  static formatEntry(entry) {
+    return `${entry.speaker}: ${entry.text}`;
+  }
+
+  /**
+   * Read start/end timestamps from an entry, whichever field names the source used
+   */
+  static getEntryTimes(entry) {
+    const start = entry.start ?? entry.startTime ?? entry.timestamp ?? null;
+    const end = entry.end ?? entry.endTime ?? start;
+    return { start, end };
+  }
+
+  /**
+   * Break one entry into pieces that fit in a chunk, preferring sentence boundaries
+   */
+  splitEntry(entry, entryIndex) {
+    const prefix = `${entry.speaker}: `;
+    const times = TranscriptSplitter.getEntryTimes(entry);
+    const makePiece = (text) => ({
+      text: prefix + text,
+      speaker: entry.speaker,
+      entryIndex,
+      ...times
+    });
+
+    const line = TranscriptSplitter.formatEntry(entry);
+    if (line.length <= this.chunkSize) {
+      return [makePiece(entry.text)];
+    }
+
+    const maxLength = this.chunkSize - prefix.length;
+    const sentences = String(entry.text).match(/[^.!?]+(?:[.!?]+|$)\s*/g) || [String(entry.text)];
+    const pieces = [];
+    let current = '';
+
+    for (const sentence of sentences) {
+      if ((current + sentence).trim().length <= maxLength) {
+        current += sentence;
+        continue;
+      }
+      if (current.trim()) {
+        pieces.push(current.trim());
+      }
+      current = sentence;
+
+      // A single sentence longer than a chunk has to be split on words
+      while (current.trim().length > maxLength) {
+        const cut = current.lastIndexOf(' ', maxLength);
+        const splitAt = cut > 0 ? cut : maxLength;
+        pieces.push(current.substring(0, splitAt).trim());
+        current = current.substring(splitAt);
+      }
+    }
+    if (current.trim()) {
+      pieces.push(current.trim());
+    }
+
+    return pieces.map(makePiece);
+  }
+
+  /**
+   * Build chunk text and metadata from the pieces it contains
+   */
+  buildChunk(pieces) {
+    const starts = pieces.map(piece => piece.start).filter(value => value !== null && value !== undefined);
+    const ends = pieces.map(piece => piece.end).filter(value => value !== null && value !== undefined);
+
+    const metadata = {
+      speakers: [...new Set(pieces.map(piece => piece.speaker))],
+      firstEntryIndex: pieces[0].entryIndex,
+      lastEntryIndex: pieces[pieces.length - 1].entryIndex
+    };
+    if (starts.length > 0) {
+      metadata.startTime = starts[0];
+    }
+    if (ends.length > 0) {
+      metadata.endTime = ends[ends.length - 1];
+    }
+
+    return {
+      text: pieces.map(piece => piece.text).join('\n'),
+      metadata
+    };
+  }
+
+  /**
+   * Split transcript entries into chunks
+   * @param {Array} entries - Transcript entries ({ speaker, text, ...timestamps })
+   * @returns {Array} Chunks as { text, metadata: { speakers, firstEntryIndex, lastEntryIndex, startTime?, endTime? } }
+   */
+  splitEntries(entries) {
+    const pieces = entries.flatMap((entry, index) => this.splitEntry(entry, index));
+    const chunks = [];
+    let current = [];
+    let currentLength = 0;
+
+    for (const piece of pieces) {
+      const addedLength = piece.text.length + (current.length > 0 ? 1 : 0);
+      if (current.length > 0 && currentLength + addedLength > this.chunkSize) {
+        chunks.push(this.buildChunk(current));
+
+        // Carry trailing whole pieces into the next chunk as overlap
+        const overlap = [];
+        let overlapLength = 0;
+        for (let i = current.length - 1; i >= 0; i--) {
+          const pieceLength = current[i].text.length + 1;
+          if (overlapLength + pieceLength > this.chunkOverlap || overlapLength + pieceLength + piece.text.length > this.chunkSize) {
+            break;
+          }
+          overlap.unshift(current[i]);
+          overlapLength += pieceLength;
+        }
+        current = overlap;
+        currentLength = Math.max(overlapLength - 1, 0);
+      }
+
+      currentLength += piece.text.length + (current.length > 0 ? 1 : 0);
+      current.push(piece);
+    }
+
+    if (current.length > 0) {
+      chunks.push(this.buildChunk(current));
+    }
+
+    return chunks;
+  }
+}
+
+module.exports = { TranscriptSplitter };
@@ -0,0 +1,219 @@
+const STATE_COLLECTION = "ingestion_state";
+const STATE_ID = "transcript-watcher";
+
+// Server error codes that mean change streams can't be used on this deployment
+const CHANGE_STREAMS_UNSUPPORTED_CODES = [40573]; // "only supported on replica sets"
+const CHANGE_STREAM_HISTORY_LOST_CODE = 286;
+
+const RETRY_DELAY_MS = 5000;
+
+/**
+ * Watches the transcripts collection and queues embedding jobs for new or edited transcripts.
+ * Uses a change stream when the deployment supports it (replica set / Atlas), persisting
+ * the resume token after each handled change so restarts pick up where they left off.
+ * On a standalone mongod it falls back to periodically scanning for transcripts whose
+ * content hash no longer matches their embeddings.
+ */
+class TranscriptWatcher {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getDatabase - async () => Db
+   * @param {string} options.collectionName - Collection holding transcripts
+   * @param {Function} options.getPendingHash - (transcript) => content hash if it needs embedding, else null
+   * @param {Function} options.enqueue - async (transcriptIds) => queue embedding for these transcripts
+   * @param {string} options.mode - "auto", "changestream" or "poll"
+   * @param {number} options.pollIntervalMs - Scan interval in polling mode
+   */
+  constructor({ getDatabase, collectionName, getPendingHash, enqueue, mode = 'auto', pollIntervalMs = 60000 }) {
+    this.getDatabase = getDatabase;
+    this.collectionName = collectionName;
+    this.getPendingHash = getPendingHash;
+    this.enqueue = enqueue;
+    this.mode = mode;
+    this.pollIntervalMs = pollIntervalMs;
+
+    this.changeStream = null;
+    this.pollTimer = null;
+    this.stopped = false;
+    // Content hash last queued per transcript, so a scan doesn't re-queue work already waiting
+    this.queuedHashes = new Map();
+  }
+
+  async getCollections() {
+    const database = await this.getDatabase();
+    return {
+      transcripts: database.collection(this.collectionName),
+      state: database.collection(STATE_COLLECTION)
+    };
+  }
+
+  async loadState() {
+    const { state } = await this.getCollections();
+    return state.findOne({ _id: STATE_ID });
+  }
+
+  async saveState(fields) {
+    const { state } = await this.getCollections();
+    await state.updateOne(
+      { _id: STATE_ID },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Start watching. Resolves once the watcher is running in either mode.
+   */
+  async start() {
+    this.stopped = false;
+
+    if (this.mode === 'poll') {
+      return this.startPolling();
+    }
+
+    try {
+      await this.openChangeStream();
+    } catch (error) {
+      if (this.mode === 'changestream' || !CHANGE_STREAMS_UNSUPPORTED_CODES.includes(error.code)) {
+        throw error;
+      }
+      console.log('Change streams are not supported by this MongoDB deployment, falling back to polling');
+      return this.startPolling();
+    }
+
+    console.log('👀 Watching transcripts collection for changes');
+    this.consumeChangeStream();
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.changeStream) {
+      this.changeStream.close().catch(() => {});
+      this.changeStream = null;
+    }
+  }
+
+  /**
+   * Open the change stream, resuming from the stored token if there is one.
+   * Without a token, scan once after the stream is open so nothing inserted
+   * before the first start is missed.
+   */
+  async openChangeStream() {
+    const { transcripts } = await this.getCollections();
+    const state = await this.loadState();
+
+    // Only inserts, replacements and updates that touch transcript_data; our own
+    // embeddingMetadata updates must not trigger another round of embedding
+    const pipeline = [
+      {
+        $match: {
+          $or: [
+            { operationType: { $in: ['insert', 'replace'] } },
+            { operationType: 'update', 'updateDescription.updatedFields.transcript_data': { $exists: true } }
+          ]
+        }
+      }
+    ];
+    const options = state?.resumeToken ? { resumeAfter: state.resumeToken } : {};
+
+    this.changeStream = transcripts.watch(pipeline, options);
+
+    // The stream is opened lazily; tryNext forces the server round trip so an
+    // unsupported deployment fails here rather than in the consume loop
+    const firstChange = await this.changeStream.tryNext();
+
+    if (!state?.resumeToken) {
+      await this.scanForChanges();
+      // Remember where the stream started so a restart before the first change still resumes from here
+      if (!firstChange && this.changeStream.resumeToken) {
+        await this.saveState({ resumeToken: this.changeStream.resumeToken });
+      }
+    }
+    if (firstChange) {
+      await this.handleChange(firstChange);
+    }
+  }
+
+  async consumeChangeStream() {
+    while (!this.stopped && this.changeStream) {
+      try {
+        const change = await this.changeStream.next();
+        if (change) {
+          await this.handleChange(change);
+        }
+      } catch (error) {
+        if (this.stopped) {
+          return;
+        }
+
+        if (error.code === CHANGE_STREAM_HISTORY_LOST_CODE) {
+          // The oplog no longer holds our resume point; rescan and start a fresh stream
+          console.log('Change stream resume token expired, rescanning transcripts');
+          await this.saveState({ resumeToken: null });
+        } else {
+          console.error('Transcript change stream error:', error);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+        try {
+          if (this.changeStream) {
+            await this.changeStream.close().catch(() => {});
+          }
+          await this.openChangeStream();
+        } catch (reopenError) {
+          console.error('Failed to reopen transcript change stream:', reopenError);
+        }
+      }
+    }
+  }
+
+  async handleChange(change) {
+    const transcriptId = change.documentKey._id.toString();
+    console.log(`Transcript ${transcriptId} ${change.operationType === 'insert' ? 'inserted' : 'updated'}, queueing embeddings`);
+
+    await this.enqueue([transcriptId]);
+    // Save the token only after the job is queued, so a crash re-delivers the change instead of losing it
+    await this.saveState({ resumeToken: change._id });
+  }
+
+  startPolling() {
+    console.log(`👀 Polling transcripts collection for changes every ${this.pollIntervalMs}ms`);
+    this.scanForChanges().catch(error => console.error('Error scanning transcripts:', error));
+
+    this.pollTimer = setInterval(() => {
+      this.scanForChanges().catch(error => console.error('Error scanning transcripts:', error));
+    }, this.pollIntervalMs);
+    this.pollTimer.unref();
+  }
+
+  /**
+   * Queue every transcript whose current content hasn't been embedded yet
+   */
+  async scanForChanges() {
+    const { transcripts } = await this.getCollections();
+    const cursor = transcripts.find({}, { projection: { transcript_data: 1, embeddingMetadata: 1 } });
+
+    const pending = new Map();
+    for await (const transcript of cursor) {
+      const transcriptId = transcript._id.toString();
+      const pendingHash = this.getPendingHash(transcript);
+
+      if (pendingHash && this.queuedHashes.get(transcriptId) !== pendingHash) {
+        pending.set(transcriptId, pendingHash);
+      }
+    }
+
+    if (pending.size > 0) {
+      console.log(`Found ${pending.size} new or changed transcripts, queueing embeddings`);
+      await this.enqueue([...pending.keys()]);
+      pending.forEach((hash, transcriptId) => this.queuedHashes.set(transcriptId, hash));
+    }
+    await this.saveState({ lastScanAt: new Date() });
+  }
+}
+
+module.exports = { TranscriptWatcher };
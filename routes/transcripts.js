@@ -0,0 +1,325 @@
+const express = require('express');
+const { MongoClient } = require('mongodb');
+const { z } = require('zod');
+const { SUPPORTED_FORMATS, parseTranscript } = require('./transcript-parsers');
+const { EmbeddingJobQueue } = require('./embedding-jobs');
+const { TranscriptRAG } = require('./langchain-rag');
+const { MeetingSummaries, formatSummary } = require('./meeting-summaries');
+const { MeetingExtractions, formatExtraction } = require('./meeting-extractions');
+const { teamScope, ownerFields, findInaccessibleTranscripts } = require('./auth');
+const { usageTracker, enforceUsageBudget, setUsageTranscripts, sendBudgetExceeded } = require('./usage-tracker');
+
+const router = express.Router();
+
+// Environment variables
+const MONGODB_URI = process.env.MONGODB_URI;
+const DATABASE_NAME = "standuptickets";
+const TRANSCRIPTS_COLLECTION = "transcripts";
+
+let client = null;
+let db = null;
+
+async function getDatabase() {
+  if (!db) {
+    client = new MongoClient(MONGODB_URI);
+    await client.connect();
+    db = client.db(DATABASE_NAME);
+  }
+  return db;
+}
+
+// Only used to queue jobs; the embedding worker picks them up
+const jobQueue = new EmbeddingJobQueue({ getDatabase });
+
+const transcriptRAG = new TranscriptRAG();
+const meetingSummaries = new MeetingSummaries({ getDatabase, transcriptRAG });
+const meetingExtractions = new MeetingExtractions({ getDatabase, transcriptRAG });
+
+// Validation schemas using Zod
+const TranscriptUploadSchema = z.object({
+  content: z.union([
+    z.string().min(1),
+    z.array(z.record(z.any())).min(1) // Already-parsed transcript_data entries
+  ]),
+  format: z.enum(SUPPORTED_FORMATS).optional(),
+  meeting_id: z.string().min(1),
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a YYYY-MM-DD date'),
+  generateEmbeddings: z.boolean().optional().default(false)
+}).refine(
+  data => typeof data.content === 'string' || !data.format || data.format === 'json',
+  { message: 'Array content is only supported for the json format', path: ['content'] }
+);
+
+/**
+ * Upload a transcript
+ * POST /api/transcripts
+ * Body: { content, format?: 'vtt'|'srt'|'text'|'json', meeting_id, date, generateEmbeddings? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    // Validate request
+    const validatedData = TranscriptUploadSchema.parse(req.body);
+    const { content, meeting_id, date, generateEmbeddings } = validatedData;
+    
+    // Embedding is the only model usage an upload causes
+    if (generateEmbeddings) {
+      const exceeded = await usageTracker.checkBudget(req.auth);
+      if (exceeded) {
+        return sendBudgetExceeded(res, exceeded);
+      }
+    }
+    
+    // Normalise to transcript_data entries
+    const { format, entries, errors } = parseTranscript(content, validatedData.format);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Failed to parse transcript',
+        format,
+        details: errors
+      });
+    }
+    
+    const database = await getDatabase();
+    const collection = database.collection(TRANSCRIPTS_COLLECTION);
+    
+    const transcript = {
+      ...ownerFields(req.auth),
+      date,
+      meeting_id,
+      transcript_data: JSON.stringify(entries),
+      entry_count: entries.length,
+      source_format: format,
+      timestamp: new Date()
+    };
+    
+    const result = await collection.insertOne(transcript);
+    const transcriptId = result.insertedId.toString();
+    console.log(`Stored ${format} transcript ${transcriptId} with ${entries.length} entries`);
+    
+    let embeddingJobId = null;
+    if (generateEmbeddings) {
+      const job = await jobQueue.enqueue([transcriptId], { owner: ownerFields(req.auth) });
+      embeddingJobId = job._id;
+      console.log(`Queued embedding job ${job._id} for uploaded transcript ${transcriptId}`);
+    }
+    
+    res.status(201).json({
+      success: true,
+      transcriptId,
+      meeting_id,
+      date,
+      format,
+      entryCount: entries.length,
+      embeddingJobId
+    });
+
+  } catch (error) {
+    console.error('Error uploading transcript:', error);
+    
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request data',
+        details: error.errors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload transcript',
+      message: error.message
+    });
+  }
+});
+
+const RegenerateRequestSchema = z.object({
+  force: z.boolean().optional().default(false)
+});
+
+const ExtractionListSchema = z.object({
+  // Comma-separated, like /api/embeddings/status?ids=
+  transcriptIds: z.string().optional()
+    .transform(ids => ids ? ids.split(',').map(id => id.trim()).filter(Boolean) : undefined),
+  startDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a YYYY-MM-DD date').optional(),
+  endDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a YYYY-MM-DD date').optional()
+});
+
+/**
+ * Whether the caller's team owns a transcript (always true when authentication is disabled)
+ */
+async function canAccessTranscript(auth, transcriptId) {
+  const database = await getDatabase();
+  const inaccessible = await findInaccessibleTranscripts(database.collection(TRANSCRIPTS_COLLECTION), auth, [transcriptId]);
+  return inaccessible.length === 0;
+}
+
+/**
+ * IDs of every transcript the caller's team owns, or null when authentication is disabled
+ */
+async function getTeamTranscriptIds(auth) {
+  const scope = teamScope(auth);
+  if (!scope.teamId) {
+    return null;
+  }
+  const database = await getDatabase();
+  const transcripts = await database.collection(TRANSCRIPTS_COLLECTION)
+    .find(scope, { projection: { _id: 1 } })
+    .toArray();
+  return transcripts.map(transcript => transcript._id.toString());
+}
+
+/**
+ * Summarise a whole transcript (map-reduce over all of it), cached until the transcript changes
+ * POST /api/transcripts/:id/summary
+ * Body: { force?: boolean }
+ */
+router.post('/:id/summary', enforceUsageBudget, async (req, res) => {
+  try {
+    const { force } = RegenerateRequestSchema.parse(req.body || {});
+    if (!await canAccessTranscript(req.auth, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Transcript not found' });
+    }
+    setUsageTranscripts([req.params.id]);
+    
+    const summary = await meetingSummaries.getSummary(req.params.id, { force });
+    if (!summary) {
+      return res.status(404).json({ success: false, error: 'Transcript not found' });
+    }
+    
+    res.json({ success: true, ...formatSummary(summary) });
+
+  } catch (error) {
+    console.error('Error summarising transcript:', error);
+    
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request data',
+        details: error.errors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to summarise transcript',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List stored decisions, action items and open questions without running the model
+ * GET /api/transcripts/extractions?transcriptIds=id1,id2&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+ */
+router.get('/extractions', async (req, res) => {
+  try {
+    const filter = ExtractionListSchema.parse(req.query);
+    
+    // Only list extractions of the team's own transcripts
+    const teamTranscriptIds = await getTeamTranscriptIds(req.auth);
+    if (teamTranscriptIds) {
+      filter.transcriptIds = filter.transcriptIds
+        ? filter.transcriptIds.filter(id => teamTranscriptIds.includes(id))
+        : teamTranscriptIds;
+    }
+    
+    const extractions = await meetingExtractions.listExtractions(filter);
+    
+    res.json({
+      success: true,
+      extractions: extractions.map(formatExtraction),
+      totals: {
+        transcripts: extractions.length,
+        decisions: extractions.reduce((sum, item) => sum + item.decisions.length, 0),
+        actionItems: extractions.reduce((sum, item) => sum + item.actionItems.length, 0),
+        openQuestions: extractions.reduce((sum, item) => sum + item.openQuestions.length, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing extractions:', error);
+    
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request data',
+        details: error.errors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list extractions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Extract decisions, action items and open questions from a transcript, stored until it changes
+ * POST /api/transcripts/:id/extraction
+ * Body: { force?: boolean }
+ */
+router.post('/:id/extraction', enforceUsageBudget, async (req, res) => {
+  try {
+    const { force } = RegenerateRequestSchema.parse(req.body || {});
+    if (!await canAccessTranscript(req.auth, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Transcript not found' });
+    }
+    setUsageTranscripts([req.params.id]);
+    
+    const extraction = await meetingExtractions.getExtraction(req.params.id, { force });
+    if (!extraction) {
+      return res.status(404).json({ success: false, error: 'Transcript not found' });
+    }
+    
+    res.json({ success: true, ...formatExtraction(extraction) });
+
+  } catch (error) {
+    console.error('Error extracting from transcript:', error);
+    
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request data',
+        details: error.errors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to extract from transcript',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Stored extraction for a transcript; `stale` is true if the transcript changed since
+ * GET /api/transcripts/:id/extraction
+ */
+router.get('/:id/extraction', async (req, res) => {
+  try {
+    if (!await canAccessTranscript(req.auth, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'No extraction stored for this transcript' });
+    }
+    
+    const extraction = await meetingExtractions.getStoredExtraction(req.params.id);
+    if (!extraction) {
+      return res.status(404).json({ success: false, error: 'No extraction stored for this transcript' });
+    }
+    
+    res.json({ success: true, ...formatExtraction(extraction) });
+
+  } catch (error) {
+    console.error('Error getting extraction:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get extraction',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+// Retries of a failed upstream call (429, 5xx, timeouts and connection errors)
+const UPSTREAM_MAX_RETRIES = parseInt(process.env.UPSTREAM_MAX_RETRIES || '5', 10);
+// Backoff before the first retry, doubling per attempt up to the maximum
+const UPSTREAM_RETRY_BASE_MS = parseInt(process.env.UPSTREAM_RETRY_BASE_MS || '1000', 10);
+const UPSTREAM_RETRY_MAX_MS = parseInt(process.env.UPSTREAM_RETRY_MAX_MS || '60000', 10);
+
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket refilled continuously at `perMinute` per minute, holding at most `capacity`.
+ * Used both to throttle calls to the model provider and for inbound rate limits.
+ */
+class TokenBucket {
+  /**
+   * @param {Object} options
+   * @param {number} options.perMinute - Refill rate
+   * @param {number} options.capacity - Largest burst (defaults to one minute's worth)
+   */
+  constructor({ perMinute, capacity = perMinute }) {
+    this.capacity = capacity;
+    this.refillPerMs = perMinute / 60000;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    // Waiting takers are served in order
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take tokens if available now
+   * @returns {number} 0 if taken, otherwise milliseconds until they will be
+   */
+  tryTake(amount = 1) {
+    this.refill();
+    if (this.tokens >= amount) {
+      this.tokens -= amount;
+      return 0;
+    }
+    return Math.ceil((amount - this.tokens) / this.refillPerMs);
+  }
+
+  /**
+   * Wait until the tokens are available and take them. Amounts above the capacity
+   * take the whole bucket, so a single large call can't wait forever.
+   */
+  take(amount = 1) {
+    const needed = Math.min(amount, this.capacity);
+    this.queue = this.queue.then(async () => {
+      let wait;
+      while ((wait = this.tryTake(needed)) > 0) {
+        await sleep(wait);
+      }
+    });
+    return this.queue;
+  }
+
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+}
+
+/**
+ * Whether a failed provider call is worth retrying: rate limits (except exhausted
+ * quota), server errors, timeouts and dropped connections
+ */
+function isRetryableError(error) {
+  const status = error?.status ?? error?.response?.status;
+  if (status === 429) {
+    return (error.code ?? error.error?.code) !== 'insufficient_quota';
+  }
+  if (status) {
+    return status === 408 || status >= 500;
+  }
+  return error?.name === 'TimeoutError' ||
+    error?.constructor?.name === 'APIConnectionError' ||
+    RETRYABLE_ERROR_CODES.includes(error?.code ?? error?.cause?.code);
+}
+
+/**
+ * Delay the provider asked for with Retry-After (or OpenAI's retry-after-ms), in milliseconds
+ */
+function getRetryAfterMs(error) {
+  const headers = error?.headers || error?.response?.headers;
+  if (!headers) {
+    return null;
+  }
+  const read = (name) => typeof headers.get === 'function' ? headers.get(name) : headers[name];
+
+  const retryAfterMs = parseFloat(read('retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) {
+    return retryAfterMs;
+  }
+  const retryAfter = read('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+  const seconds = parseFloat(retryAfter);
+  return Number.isNaN(seconds) ? Math.max(0, Date.parse(retryAfter) - Date.now()) || null : seconds * 1000;
+}
+
+/**
+ * Exponential backoff with jitter: between half and all of base * 2^attempt, capped
+ */
+function getBackoffMs(attempt, { baseMs = UPSTREAM_RETRY_BASE_MS, maxMs = UPSTREAM_RETRY_MAX_MS } = {}) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Schedules calls to one upstream API (chat completions or embeddings) for the whole
+ * process: at most `maxConcurrency` in flight, throttled to the provider's requests
+ * and tokens per minute, and retried with backoff on rate limits and server errors.
+ * A rate limit response pauses every queued call until the provider's Retry-After.
+ */
+class UpstreamScheduler {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Used in log messages
+   * @param {number} options.maxConcurrency - Calls in flight at once
+   * @param {number} options.requestsPerMinute - 0 for no limit
+   * @param {number} options.tokensPerMinute - 0 for no limit
+   * @param {number} options.maxRetries
+   */
+  constructor({ name, maxConcurrency = 4, requestsPerMinute = 0, tokensPerMinute = 0, maxRetries = UPSTREAM_MAX_RETRIES }) {
+    this.name = name;
+    this.maxConcurrency = maxConcurrency;
+    this.maxRetries = maxRetries;
+    this.requestBucket = requestsPerMinute > 0 ? new TokenBucket({ perMinute: requestsPerMinute }) : null;
+    this.tokenBucket = tokensPerMinute > 0 ? new TokenBucket({ perMinute: tokensPerMinute }) : null;
+    this.active = 0;
+    this.waiting = [];
+    this.pausedUntil = 0;
+  }
+
+  async acquireSlot() {
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return;
+    }
+    // The releasing call hands its slot straight to the next waiter
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Wait out a rate limit pause and the requests/tokens per minute throttles
+   */
+  async waitForCapacity(tokens) {
+    while (Date.now() < this.pausedUntil) {
+      await sleep(this.pausedUntil - Date.now());
+    }
+    if (this.requestBucket) {
+      await this.requestBucket.take(1);
+    }
+    if (this.tokenBucket && tokens > 0) {
+      await this.tokenBucket.take(tokens);
+    }
+  }
+
+  /**
+   * Run an upstream call under the scheduler's limits, retrying it when it fails with a retryable error
+   * @param {Function} fn - async () => result; called once per attempt
+   * @param {Object} options - { tokens } estimated tokens the call uses, for tokens-per-minute throttling
+   * @returns {Promise<*>} fn's result
+   * @throws The last error once retries are exhausted, or any non-retryable error
+   */
+  async schedule(fn, { tokens = 0 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      await this.acquireSlot();
+      try {
+        await this.waitForCapacity(tokens);
+        return await fn();
+      } catch (caught) {
+        error = caught;
+      } finally {
+        // Other calls can use the slot while this one backs off
+        this.releaseSlot();
+      }
+
+      if (attempt >= this.maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      if (retryAfterMs) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfterMs);
+      }
+      const delay = Math.max(getBackoffMs(attempt), retryAfterMs || 0);
+      console.warn(`${this.name} call failed (${error.status || error.code || error.message}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  UpstreamScheduler,
+  isRetryableError,
+  getRetryAfterMs,
+  getBackoffMs
+};
@@ -0,0 +1,458 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { MongoClient } = require('mongodb');
+const { BaseCallbackHandler } = require('langchain/callbacks');
+const { Embeddings } = require('langchain/embeddings/base');
+const { z } = require('zod');
+
+// Environment variables
+const MONGODB_URI = process.env.MONGODB_URI;
+const DATABASE_NAME = "standuptickets";
+const USAGE_COLLECTION = "usage_events";
+
+// Set to "false" to stop recording model usage (budgets are then not enforced either)
+const USAGE_TRACKING_ENABLED = process.env.USAGE_TRACKING_ENABLED !== 'false';
+
+// USD per million tokens; override or add models with MODEL_PRICES='{"my-model": {"input": 0.5, "output": 1.5}}'
+const DEFAULT_MODEL_PRICES = {
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'text-embedding-3-small': { input: 0.02 },
+  'text-embedding-3-large': { input: 0.13 },
+  'text-embedding-ada-002': { input: 0.1 }
+};
+
+const ModelPricesSchema = z.record(z.object({
+  input: z.number().nonnegative(),
+  output: z.number().nonnegative().optional()
+}));
+
+/**
+ * Price overrides from MODEL_PRICES. A malformed value is logged and ignored rather than
+ * stopping the server from starting.
+ */
+function parseModelPrices(value) {
+  if (!value) {
+    return {};
+  }
+  try {
+    const result = ModelPricesSchema.safeParse(JSON.parse(value));
+    if (result.success) {
+      return result.data;
+    }
+    console.error('Ignoring MODEL_PRICES, expected {"model": {"input": number, "output": number}}:',
+      result.error.errors.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; '));
+  } catch (error) {
+    console.error('Ignoring MODEL_PRICES, it is not valid JSON:', error.message);
+  }
+  return {};
+}
+
+const MODEL_PRICES = { ...DEFAULT_MODEL_PRICES, ...parseModelPrices(process.env.MODEL_PRICES) };
+
+// Daily quotas per user and per team (UTC days); 0 means unlimited
+const DAILY_BUDGETS = {
+  user: {
+    cost: parseFloat(process.env.USAGE_DAILY_COST_LIMIT_USER || '0'),
+    tokens: parseInt(process.env.USAGE_DAILY_TOKEN_LIMIT_USER || '0', 10)
+  },
+  team: {
+    cost: parseFloat(process.env.USAGE_DAILY_COST_LIMIT_TEAM || '0'),
+    tokens: parseInt(process.env.USAGE_DAILY_TOKEN_LIMIT_TEAM || '0', 10)
+  }
+};
+
+// Who and what model calls are made for: { requestId, userId, teamId, route, transcriptIds }
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with the given usage attribution (used for work outside HTTP requests, like embedding jobs)
+ */
+function runWithUsageContext(context, fn) {
+  return usageContext.run({ requestId: crypto.randomUUID(), transcriptIds: [], ...context }, fn);
+}
+
+/**
+ * Attribute the current request's model calls to these transcripts
+ */
+function setUsageTranscripts(transcriptIds) {
+  const context = usageContext.getStore();
+  if (context) {
+    context.transcriptIds = [...new Set(transcriptIds.map(String))];
+  }
+}
+
+/**
+ * Express middleware giving each request its own usage context (mount after authentication)
+ */
+function usageContextMiddleware() {
+  return (req, res, next) => {
+    runWithUsageContext({
+      userId: req.auth?.userId || null,
+      teamId: req.auth?.teamId || null,
+      route: `${req.method} ${req.originalUrl.split('?')[0]}`
+    }, next);
+  };
+}
+
+/**
+ * Rough token count (about four characters per token for English text), used when the
+ * provider doesn't report usage: streamed chat responses, embeddings and local models
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Price for a model, matching dated variants (e.g. gpt-4o-mini-2024-07-18) to their base model
+ */
+function getModelPrice(model) {
+  if (typeof model !== 'string' || !model) {
+    return null;
+  }
+  if (MODEL_PRICES[model]) {
+    return MODEL_PRICES[model];
+  }
+  const base = Object.keys(MODEL_PRICES)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? MODEL_PRICES[base] : null;
+}
+
+/**
+ * Estimated cost in USD, or null for models without a known price
+ */
+function estimateCost(model, promptTokens, completionTokens) {
+  const price = getModelPrice(model);
+  if (!price) {
+    return null;
+  }
+  return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+}
+
+/**
+ * Start of the next UTC day, when daily budgets reset
+ */
+function nextBudgetReset(now = new Date()) {
+  const reset = new Date(now);
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+/**
+ * Records token usage and estimated cost of every model call to the usage_events
+ * collection, reports it aggregated, and checks daily budgets.
+ */
+class UsageTracker {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getDatabase - async () => Db
+   */
+  constructor({ getDatabase }) {
+    this.getDatabase = getDatabase;
+    this.indexesEnsured = false;
+  }
+
+  async getCollection() {
+    const database = await this.getDatabase();
+    const events = database.collection(USAGE_COLLECTION);
+
+    if (!this.indexesEnsured) {
+      await events.createIndex({ day: 1, teamId: 1 });
+      await events.createIndex({ day: 1, userId: 1 });
+      this.indexesEnsured = true;
+    }
+
+    return events;
+  }
+
+  /**
+   * Record one model call. Never throws: usage accounting must not break the call it describes.
+   * @param {Object} usage - { kind: 'chat'|'embedding', model, promptTokens, completionTokens, estimated }
+   * @param {Object} context - Attribution; defaults to the current usage context
+   */
+  async record({ kind, model, promptTokens = 0, completionTokens = 0, estimated = false }, context = usageContext.getStore()) {
+    if (!USAGE_TRACKING_ENABLED) {
+      return;
+    }
+
+    const timestamp = new Date();
+    const event = {
+      timestamp,
+      day: timestamp.toISOString().substring(0, 10),
+      requestId: context?.requestId || null,
+      userId: context?.userId || null,
+      teamId: context?.teamId || null,
+      route: context?.route || null,
+      transcriptIds: context?.transcriptIds || [],
+      kind,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      cost: estimateCost(model, promptTokens, completionTokens),
+      estimated
+    };
+
+    try {
+      const events = await this.getCollection();
+      await events.insertOne(event);
+    } catch (error) {
+      console.error('Error recording model usage:', error.message);
+    }
+  }
+
+  /**
+   * The first daily budget the caller has used up, or null if they are within all of them
+   * @param {Object} auth - req.auth
+   * @returns {Promise<Object|null>} { scope: 'user'|'team', metric: 'cost'|'tokens', limit, used, resetsAt }
+   */
+  async checkBudget(auth) {
+    if (!USAGE_TRACKING_ENABLED) {
+      return null;
+    }
+
+    const day = new Date().toISOString().substring(0, 10);
+    for (const [scope, field] of [['user', 'userId'], ['team', 'teamId']]) {
+      const budget = DAILY_BUDGETS[scope];
+      const id = auth?.[field];
+      if (!id || (!budget.cost && !budget.tokens)) {
+        continue;
+      }
+
+      const events = await this.getCollection();
+      const [totals] = await events.aggregate([
+        { $match: { day, [field]: id } },
+        { $group: { _id: null, cost: { $sum: { $ifNull: ['$cost', 0] } }, tokens: { $sum: '$totalTokens' } } }
+      ]).toArray();
+      const used = { cost: totals?.cost || 0, tokens: totals?.tokens || 0 };
+
+      for (const metric of ['cost', 'tokens']) {
+        if (budget[metric] && used[metric] >= budget[metric]) {
+          return { scope, metric, limit: budget[metric], used: used[metric], resetsAt: nextBudgetReset() };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Usage totals grouped by any of day, user and transcript. A call made for several
+   * transcripts is split evenly between them when grouping by transcript.
+   * @param {Object} filter - { teamId, userId, transcriptId, startDate, endDate } dates as YYYY-MM-DD, inclusive
+   * @param {Array<string>} groupBy - Subset of ['day', 'user', 'transcript']
+   * @returns {Promise<Object>} { totals, groups }
+   */
+  async summarize({ teamId, userId, transcriptId, startDate, endDate } = {}, groupBy = ['day']) {
+    const events = await this.getCollection();
+
+    const match = {};
+    if (teamId) match.teamId = teamId;
+    if (userId) match.userId = userId;
+    if (transcriptId) match.transcriptIds = transcriptId;
+    if (startDate || endDate) {
+      match.day = {};
+      if (startDate) match.day.$gte = startDate;
+      if (endDate) match.day.$lte = endDate;
+    }
+
+    const byTranscript = groupBy.includes('transcript');
+    const share = byTranscript ? '$share' : 1;
+    const sumShare = (field) => ({ $sum: { $multiply: [{ $ifNull: [field, 0] }, share] } });
+
+    const pipeline = [{ $match: match }];
+    if (byTranscript) {
+      // Calls without transcripts are grouped under transcriptId null
+      pipeline.push(
+        { $addFields: { share: { $divide: [1, { $max: [{ $size: '$transcriptIds' }, 1] }] } } },
+        { $unwind: { path: '$transcriptIds', preserveNullAndEmptyArrays: true } }
+      );
+      if (transcriptId) {
+        pipeline.push({ $match: { transcriptIds: transcriptId } });
+      }
+    }
+
+    const groupId = {};
+    if (groupBy.includes('day')) groupId.day = '$day';
+    if (groupBy.includes('user')) groupId.userId = '$userId';
+    if (byTranscript) groupId.transcriptId = { $ifNull: ['$transcriptIds', null] };
+
+    pipeline.push(
+      {
+        $group: {
+          _id: groupId,
+          requests: { $addToSet: '$requestId' },
+          calls: { $sum: 1 },
+          promptTokens: sumShare('$promptTokens'),
+          completionTokens: sumShare('$completionTokens'),
+          totalTokens: sumShare('$totalTokens'),
+          cost: sumShare('$cost'),
+          unpricedCalls: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$cost', null] }, null] }, 1, 0] } },
+          estimatedCalls: { $sum: { $cond: ['$estimated', 1, 0] } }
+        }
+      },
+      { $sort: { '_id.day': -1, cost: -1 } }
+    );
+
+    const results = await events.aggregate(pipeline).toArray();
+    const groups = results.map(({ _id, requests, ...totals }) => ({
+      ..._id,
+      requests: requests.filter(Boolean).length,
+      ...totals,
+      promptTokens: Math.round(totals.promptTokens),
+      completionTokens: Math.round(totals.completionTokens),
+      totalTokens: Math.round(totals.totalTokens)
+    }));
+
+    const totals = groups.reduce((sum, group) => {
+      ['calls', 'promptTokens', 'completionTokens', 'totalTokens', 'cost', 'unpricedCalls', 'estimatedCalls']
+        .forEach(field => { sum[field] += group[field]; });
+      return sum;
+    }, { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpricedCalls: 0, estimatedCalls: 0 });
+    if (byTranscript) {
+      // Calls were counted once per transcript above
+      totals.calls = await events.countDocuments(match);
+    }
+
+    return { totals, groups };
+  }
+}
+
+let client = null;
+let db = null;
+
+async function getDatabase() {
+  if (!db) {
+    client = new MongoClient(MONGODB_URI);
+    await client.connect();
+    db = client.db(DATABASE_NAME);
+  }
+  return db;
+}
+
+// Shared by the model callbacks and the usage API
+const usageTracker = new UsageTracker({ getDatabase });
+
+/**
+ * LangChain callback recording the usage of every call made with a chat model.
+ * Uses the provider's token counts when it reports them and estimates otherwise.
+ */
+class UsageCallbackHandler extends BaseCallbackHandler {
+  constructor({ model }) {
+    super();
+    this.name = 'usage_tracker';
+    this.model = model;
+    // Run inline so the call's usage context is still current
+    this.awaitHandlers = true;
+    this.runs = new Map();
+  }
+
+  handleChatModelStart(llm, messages, runId) {
+    const promptText = messages.flat().map(message =>
+      typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+    ).join('\n');
+    this.runs.set(runId, { context: usageContext.getStore(), promptText });
+  }
+
+  handleLLMStart(llm, prompts, runId) {
+    this.runs.set(runId, { context: usageContext.getStore(), promptText: prompts.join('\n') });
+  }
+
+  handleLLMError(error, runId) {
+    this.runs.delete(runId);
+  }
+
+  async handleLLMEnd(output, runId) {
+    const run = this.runs.get(runId) || { context: usageContext.getStore(), promptText: '' };
+    this.runs.delete(runId);
+
+    const reported = output.llmOutput?.tokenUsage;
+    const completionText = (output.generations || []).flat().map(generation => generation.text || '').join('');
+    await usageTracker.record({
+      kind: 'chat',
+      model: this.model,
+      promptTokens: reported?.promptTokens ?? estimateTokens(run.promptText),
+      completionTokens: reported?.completionTokens ?? estimateTokens(completionText),
+      estimated: !reported
+    }, run.context);
+  }
+}
+
+/**
+ * Wraps an embeddings model to record the (estimated) tokens of every text it embeds
+ */
+class UsageTrackingEmbeddings extends Embeddings {
+  constructor(embeddings, { model }) {
+    super({});
+    this.embeddings = embeddings;
+    this.model = model;
+  }
+
+  async embedDocuments(texts) {
+    const vectors = await this.embeddings.embedDocuments(texts);
+    await usageTracker.record({
+      kind: 'embedding',
+      model: this.model,
+      promptTokens: texts.reduce((sum, text) => sum + estimateTokens(text), 0),
+      estimated: true
+    });
+    return vectors;
+  }
+
+  async embedQuery(text) {
+    const vector = await this.embeddings.embedQuery(text);
+    await usageTracker.record({
+      kind: 'embedding',
+      model: this.model,
+      promptTokens: estimateTokens(text),
+      estimated: true
+    });
+    return vector;
+  }
+}
+
+/**
+ * Reply 429 for a budget reported by checkBudget, retrying once it resets
+ */
+function sendBudgetExceeded(res, exceeded) {
+  res.set('Retry-After', String(Math.ceil((exceeded.resetsAt - Date.now()) / 1000)));
+  return res.status(429).json({
+    success: false,
+    error: 'Daily usage budget exhausted',
+    budget: exceeded
+  });
+}
+
+/**
+ * Express middleware rejecting requests once the caller's daily budget is used up
+ */
+async function enforceUsageBudget(req, res, next) {
+  try {
+    const exceeded = await usageTracker.checkBudget(req.auth);
+    if (exceeded) {
+      return sendBudgetExceeded(res, exceeded);
+    }
+  } catch (error) {
+    return next(error);
+  }
+  next();
+}
+
+module.exports = {
+  usageTracker,
+  UsageTracker,
+  UsageCallbackHandler,
+  UsageTrackingEmbeddings,
+  runWithUsageContext,
+  setUsageTranscripts,
+  usageContextMiddleware,
+  enforceUsageBudget,
+  sendBudgetExceeded,
+  estimateTokens,
+  estimateCost,
+  parseModelPrices,
+  DAILY_BUDGETS
+};
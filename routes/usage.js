@@ -0,0 +1,69 @@
+const express = require('express');
+const { z } = require('zod');
+const { usageTracker, DAILY_BUDGETS } = require('./usage-tracker');
+
+const router = express.Router();
+
+// Validation schemas using Zod
+const DateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a YYYY-MM-DD date');
+
+const UsageQuerySchema = z.object({
+  startDate: DateSchema.optional(),
+  endDate: DateSchema.optional(),
+  // Comma-separated, e.g. groupBy=day,user
+  groupBy: z.string().optional()
+    .transform(value => value ? value.split(',').map(field => field.trim()).filter(Boolean) : ['day'])
+    .refine(fields => fields.every(field => ['day', 'user', 'transcript'].includes(field)),
+      'groupBy must be a comma-separated list of day, user and transcript'),
+  userId: z.string().optional(),
+  transcriptId: z.string().optional()
+});
+
+/**
+ * Token usage and estimated cost of the caller's team, aggregated
+ * GET /api/usage?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&groupBy=day,user,transcript&userId=...&transcriptId=...
+ */
+router.get('/', async (req, res) => {
+  try {
+    const query = UsageQuerySchema.parse(req.query);
+
+    const { totals, groups } = await usageTracker.summarize({
+      teamId: req.auth?.teamId,
+      userId: query.userId,
+      transcriptId: query.transcriptId,
+      startDate: query.startDate,
+      endDate: query.endDate
+    }, query.groupBy);
+
+    res.json({
+      success: true,
+      groupBy: query.groupBy,
+      totals,
+      usage: groups,
+      budgets: {
+        dailyLimits: DAILY_BUDGETS,
+        exceeded: await usageTracker.checkBudget(req.auth)
+      },
+      currency: 'USD'
+    });
+
+  } catch (error) {
+    console.error('Error summarising usage:', error);
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request data',
+        details: error.errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to summarise usage',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const { VectorStore } = require('langchain/vectorstores/base');
+const { Document } = require('langchain/document');
+const { MongoDBAtlasVectorSearch } = require('@langchain/mongodb');
+
+// Vector store backend: "atlas" (MongoDB Atlas Vector Search) or "local" (brute-force cosine search, any mongod)
+const VECTOR_STORE = process.env.VECTOR_STORE || 'atlas';
+const VECTOR_INDEX_NAME = process.env.VECTOR_INDEX_NAME || 'vector_index';
+
+/**
+ * Cosine similarity between two vectors of equal length
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Vector store over a plain MongoDB collection, for local mongod and CI where Atlas
+ * Vector Search isn't available. Documents use the same flattened shape as
+ * MongoDBAtlasVectorSearch, so keyword search and status checks work against either backend.
+ */
+class LocalMongoVectorSearch extends VectorStore {
+  constructor(embeddings, { collection, textKey = 'text', embeddingKey = 'embedding' }) {
+    super(embeddings, {});
+    this.collection = collection;
+    this.textKey = textKey;
+    this.embeddingKey = embeddingKey;
+  }
+
+  _vectorstoreType() {
+    return 'local_mongodb';
+  }
+
+  async addVectors(vectors, documents) {
+    const docs = vectors.map((embedding, idx) => ({
+      [this.textKey]: documents[idx].pageContent,
+      [this.embeddingKey]: embedding,
+      ...documents[idx].metadata,
+    }));
+    const result = await this.collection.insertMany(docs);
+    return Object.values(result.insertedIds).map(id => id.toString());
+  }
+
+  async addDocuments(documents) {
+    const texts = documents.map(({ pageContent }) => pageContent);
+    return this.addVectors(await this.embeddings.embedDocuments(texts), documents);
+  }
+
+  /**
+   * Accept the same filters as the Atlas store: a plain MQL filter (or { preFilter }),
+   * with "metadata." prefixes stripped since metadata fields are stored flattened
+   */
+  toMongoFilter(filter) {
+    const source = filter?.preFilter || filter || {};
+    const mongoFilter = {};
+    for (const [key, value] of Object.entries(source)) {
+      if (key === 'postFilterPipeline' || key === 'includeEmbeddings') {
+        continue;
+      }
+      mongoFilter[key.replace(/^metadata\./, '')] = value;
+    }
+    return mongoFilter;
+  }
+
+  async similaritySearchVectorWithScore(query, k, filter) {
+    const cursor = this.collection.find(this.toMongoFilter(filter));
+    const topResults = [];
+
+    for await (const doc of cursor) {
+      const embedding = doc[this.embeddingKey];
+      if (!Array.isArray(embedding) || embedding.length !== query.length) {
+        continue;
+      }
+
+      // Same scale as Atlas vectorSearchScore for cosine: (1 + cosine) / 2
+      const score = (1 + cosineSimilarity(query, embedding)) / 2;
+      if (topResults.length < k || score > topResults[topResults.length - 1].score) {
+        topResults.push({ doc, score });
+        topResults.sort((a, b) => b.score - a.score);
+        if (topResults.length > k) {
+          topResults.pop();
+        }
+      }
+    }
+
+    return topResults.map(({ doc, score }) => {
+      const { [this.textKey]: text, [this.embeddingKey]: embedding, ...metadata } = doc;
+      return [new Document({ pageContent: text, metadata }), score];
+    });
+  }
+}
+
+/**
+ * Create the configured vector store over the embeddings collection
+ * @param {Collection} collection - transcript_embeddings collection
+ * @param {Embeddings} embeddings - Embeddings model from the provider registry
+ * @returns {VectorStore} Atlas or local vector store
+ */
+function createVectorStore(collection, embeddings) {
+  if (VECTOR_STORE === 'local') {
+    return new LocalMongoVectorSearch(embeddings, {
+      collection,
+      textKey: "text",
+      embeddingKey: "embedding",
+    });
+  }
+
+  if (VECTOR_STORE !== 'atlas') {
+    throw new Error(`Unknown vector store "${VECTOR_STORE}". Expected "atlas" or "local"`);
+  }
+
+  return new MongoDBAtlasVectorSearch(embeddings, {
+    collection,
+    indexName: VECTOR_INDEX_NAME, // Vector search index name in MongoDB Atlas
+    textKey: "text",
+    embeddingKey: "embedding",
+  });
+}
+
+module.exports = {
+  createVectorStore,
+  LocalMongoVectorSearch
+};
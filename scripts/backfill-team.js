@@ -0,0 +1,64 @@
+/**
+ * Assign transcripts, chat sessions and embedding jobs that have no team to a team,
+ * so they stay usable once AUTH_ENABLED is turned on. Safe to run more than once.
+ * Usage: npm run backfill-team -- --team "Platform" [--dry-run]
+ */
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { MongoClient } = require('mongodb');
+const { Authenticator } = require('../routes/auth');
+
+const DATABASE_NAME = "standuptickets";
+
+// Collections whose documents are scoped by teamId
+const TEAM_SCOPED_COLLECTIONS = ["transcripts", "transcript-chat", "embedding_jobs"];
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      team: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+  if (!values.team) {
+    throw new Error('Usage: npm run backfill-team -- --team <team name> [--dry-run]');
+  }
+  const dryRun = values['dry-run'];
+
+  const client = new MongoClient(process.env.MONGODB_URI);
+  await client.connect();
+  try {
+    const database = client.db(DATABASE_NAME);
+    let teamId;
+    if (dryRun) {
+      const team = await database.collection('teams').findOne({ name: values.team });
+      teamId = team ? team._id.toString() : null;
+      console.log(`Team:    ${values.team} (${teamId || 'would be created'})`);
+    } else {
+      const authenticator = new Authenticator({ getDatabase: async () => database });
+      const team = await authenticator.ensureTeam(values.team);
+      teamId = team._id.toString();
+      console.log(`Team:    ${team.name} (${teamId})`);
+    }
+
+    // { teamId: null } matches documents where the field is missing or null
+    const unowned = { teamId: null };
+    for (const name of TEAM_SCOPED_COLLECTIONS) {
+      const collection = database.collection(name);
+      if (dryRun) {
+        const count = await collection.countDocuments(unowned);
+        console.log(`${name}: ${count} document(s) would be assigned`);
+      } else {
+        const result = await collection.updateMany(unowned, { $set: { teamId } });
+        console.log(`${name}: ${result.modifiedCount} document(s) assigned`);
+      }
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+/**
+ * Create a team and user if they don't exist yet, and issue an API key for the user
+ * Usage: npm run create-api-key -- --team "Platform" --email alice@example.com [--name "Alice"] [--label "laptop"]
+ */
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { MongoClient } = require('mongodb');
+const { Authenticator } = require('../routes/auth');
+
+const DATABASE_NAME = "standuptickets";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      team: { type: 'string' },
+      email: { type: 'string' },
+      name: { type: 'string' },
+      label: { type: 'string' }
+    }
+  });
+  if (!values.team || !values.email) {
+    throw new Error('Usage: npm run create-api-key -- --team <team name> --email <email> [--name <name>] [--label <label>]');
+  }
+
+  const client = new MongoClient(process.env.MONGODB_URI);
+  await client.connect();
+  try {
+    const authenticator = new Authenticator({ getDatabase: async () => client.db(DATABASE_NAME) });
+    const team = await authenticator.ensureTeam(values.team);
+    const user = await authenticator.ensureUser({ email: values.email, name: values.name, teamId: team._id });
+    if (user.teamId !== team._id.toString()) {
+      throw new Error(`${values.email} already belongs to another team (${user.teamId})`);
+    }
+    const apiKey = await authenticator.createApiKey(user._id, { label: values.label || null });
+
+    console.log(`Team:    ${team.name} (${team._id})`);
+    console.log(`User:    ${user.email} (${user._id})`);
+    console.log(`API key: ${apiKey}`);
+    console.log('Store the key now; it cannot be shown again.');
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -1,8 +1,10 @@
 const express = require('express');
 const cors = require('cors');
 const { MongoClient } = require('mongodb');
-const OpenAI = require('openai');
 require('dotenv').config();
+const { getProviderInfo } = require('./routes/model-providers');
+const { Authenticator } = require('./routes/auth');
+const { usageContextMiddleware } = require('./routes/usage-tracker');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -14,11 +16,6 @@ const DATABASE_NAME = "standuptickets";
 const TRANSCRIPTS_COLLECTION = "transcripts";
 const CHAT_COLLECTION = "transcript-chat";
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: OPENAI_API_KEY,
-});
-
 // MongoDB connection
 let client = null;
 let db = null;
@@ -58,7 +55,8 @@ app.get('/health', (req, res) => {
     status: 'ok', 
     timestamp: new Date().toISOString(),
     mongodb: !!db,
-    openai: !!OPENAI_API_KEY
+    openai: !!OPENAI_API_KEY,
+    models: getProviderInfo()
   });
 });
 
@@ -74,6 +72,7 @@ app.get('/api/test', async (req, res) => {
       message: 'Transcript Chat Server is running!',
       mongodb_connected: true,
       openai_configured: !!OPENAI_API_KEY,
+      models: getProviderInfo(),
       transcript_count: transcriptCount,
       timestamp: new Date().toISOString()
     });
@@ -85,12 +84,29 @@ app.get('/api/test', async (req, res) => {
   }
 });
 
+// Every /api route registered below requires an API key or JWT when AUTH_ENABLED=true
+const authenticator = new Authenticator({
+  getDatabase: async () => {
+    await initializeMongoDB();
+    return db;
+  }
+});
+app.use('/api', authenticator.middleware());
+// Attributes model usage during each request to its caller (see /api/usage)
+app.use('/api', usageContextMiddleware());
+
 // Import and use routes
 const embeddingRoutes = require('./routes/embeddings');
 const chatRoutes = require('./routes/chat');
+const transcriptRoutes = require('./routes/transcripts');
+const taskRoutes = require('./routes/tasks');
+const usageRoutes = require('./routes/usage');
 
 app.use('/api/embeddings', embeddingRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/transcripts', transcriptRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/usage', usageRoutes);
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -0,0 +1,255 @@
+// Offline providers and an in-memory MongoDB, set up before the chat routes are loaded
+Object.assign(process.env, {
+  LLM_PROVIDER: 'fake',
+  EMBEDDING_PROVIDER: 'fake',
+  OPENAI_API_KEY: 'sk-test',
+  VECTOR_STORE: 'local',
+  KEYWORD_SEARCH: 'local',
+  QUERY_REWRITE: 'off',
+  FAN_OUT_MAX_GROUPS: '2',
+  MONGODB_URI: 'mongodb://localhost:27017/test'
+});
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongodb = require('mongodb');
+const { ObjectId } = mongodb;
+const { FakeEmbeddings } = require('../routes/fake-models');
+const { TranscriptRAG } = require('../routes/langchain-rag');
+const { LocalMongoVectorSearch } = require('../routes/vector-stores');
+
+const collections = {};
+
+function matches(doc, query) {
+  return Object.entries(query).every(([field, condition]) => {
+    const values = [].concat(doc[field]).map(String);
+    if (condition && typeof condition === 'object' && !(condition instanceof ObjectId)) {
+      if (condition.$in) return condition.$in.some(value => values.includes(String(value)));
+      return (!condition.$gte || doc[field] >= condition.$gte) && (!condition.$lte || doc[field] <= condition.$lte);
+    }
+    return values.includes(String(condition));
+  });
+}
+
+function cursor(docs) {
+  return {
+    sort() { return this; },
+    limit(count) { docs = docs.slice(0, count); return this; },
+    project() { return this; },
+    toArray: async () => docs,
+    async *[Symbol.asyncIterator]() { yield* docs; }
+  };
+}
+
+function collection(name) {
+  const docs = () => (collections[name] = collections[name] || []);
+  return {
+    find: (query = {}) => cursor(docs().filter(doc => matches(doc, query))),
+    findOne: async (query = {}) => docs().find(doc => matches(doc, query)) || null,
+    distinct: async (field, query = {}) => [...new Set(docs().filter(doc => matches(doc, query)).flatMap(doc => [].concat(doc[field])))],
+    aggregate: () => cursor([]),
+    createIndex: async () => {},
+    insertOne: async (doc) => { docs().push(doc); },
+    replaceOne: async () => {},
+    updateOne: async (query, update) => {
+      let doc = docs().find(existing => matches(existing, query));
+      if (!doc) {
+        doc = { ...query, ...update.$setOnInsert, messages: [] };
+        docs().push(doc);
+      }
+      doc.messages.push(...update.$push.messages.$each);
+    }
+  };
+}
+
+mongodb.MongoClient.prototype.connect = async function () { return this; };
+mongodb.MongoClient.prototype.db = () => ({ collection });
+
+const chatRouter = require('../routes/chat');
+
+const transcriptId = new ObjectId();
+const entries = [
+  { speaker: 'Alice', text: 'SP-101 deploy pipeline is finished', timestamp: '00:00:05' },
+  { speaker: 'Bob', text: 'I am still blocked on the database migration', timestamp: '00:00:20' }
+];
+
+test.before(async () => {
+  const embeddings = new FakeEmbeddings();
+  collections.transcripts = [{
+    _id: transcriptId,
+    meeting_id: 'standup',
+    date: '2025-09-15',
+    transcript_data: JSON.stringify(entries)
+  }];
+  collections.transcript_embeddings = await Promise.all(entries.map(async (entry, index) => {
+    const text = `${entry.speaker}: ${entry.text}`;
+    return {
+      _id: new ObjectId(),
+      text,
+      embedding: await embeddings.embedQuery(text),
+      transcriptId: transcriptId.toString(),
+      meetingId: 'standup',
+      date: '2025-09-15',
+      speakers: [entry.speaker],
+      chunkIndex: index,
+      firstEntryIndex: index,
+      lastEntryIndex: index
+    };
+  }));
+});
+
+test.beforeEach(() => {
+  collections['transcript-chat'] = [];
+});
+
+async function postMessage(body, query = '') {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/chat', chatRouter);
+  const server = app.listen(0);
+  try {
+    return await fetch(`http://127.0.0.1:${server.address().port}/api/chat/message${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }).then(async response => ({ status: response.status, text: await response.text() }));
+  } finally {
+    server.close();
+  }
+}
+
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+}
+
+test('a chat message is answered from the retrieved sections and saved', async () => {
+  const { status, text } = await postMessage({
+    message: 'Is the deploy pipeline finished?',
+    transcriptIds: [transcriptId.toString()]
+  });
+  const body = JSON.parse(text);
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+  assert.ok(body.sources.length > 0);
+  assert.ok(body.sources.every(source => source.transcriptId === transcriptId.toString()));
+  assert.match(body.response, /deploy pipeline/);
+  assert.ok(body.citations.length > 0);
+  assert.deepStrictEqual(body.invalidCitations, []);
+
+  const [session] = collections['transcript-chat'];
+  assert.strictEqual(session.chatId, body.chatId);
+  assert.deepStrictEqual(session.messages.map(message => message.role), ['user', 'assistant']);
+  assert.strictEqual(session.messages[1].content, body.response);
+});
+
+test('a streamed chat message sends sources, tokens and the final answer', async () => {
+  const { status, text } = await postMessage({
+    message: 'Is the deploy pipeline finished?',
+    transcriptIds: [transcriptId.toString()]
+  }, '?stream=true');
+  const events = parseEvents(text);
+  const names = events.map(event => event.event);
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(names[0], 'sources');
+  assert.strictEqual(names[names.length - 1], 'done');
+  assert.ok(names.slice(1, -1).length > 0 && names.slice(1, -1).every(name => name === 'token'));
+
+  const done = events[events.length - 1].data;
+  const streamed = events.filter(event => event.event === 'token').map(event => event.data.token).join('');
+  assert.strictEqual(done.chatId, events[0].data.chatId);
+  assert.ok(events[0].data.sources.length > 0);
+  assert.strictEqual(done.response, streamed);
+  assert.ok(done.citations.length > 0);
+
+  const [session] = collections['transcript-chat'];
+  assert.strictEqual(session.chatId, done.chatId);
+  assert.strictEqual(session.messages[1].content, done.response);
+  assert.strictEqual(session.messages[1].interrupted, undefined);
+});
+
+test('chat messages must select transcripts', async () => {
+  const { status } = await postMessage({ message: 'Is the deploy pipeline finished?' });
+  assert.strictEqual(status, 400);
+});
+
+test('a streaming client that disconnects keeps the question and the partial answer', { timeout: 5000 }, async (t) => {
+  let disconnected;
+  const clientGone = new Promise(resolve => { disconnected = resolve; });
+  t.mock.method(TranscriptRAG.prototype, 'streamResponse', async function* () {
+    yield { token: 'The deploy pipeline ' };
+    await clientGone;
+    yield { token: 'is finished.' };
+    yield { response: { answer: 'The deploy pipeline is finished.', confidence: 'high' } };
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/chat', chatRouter);
+  const server = app.listen(0);
+  const controller = new AbortController();
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/chat/message?stream=true`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Is the deploy pipeline finished?', transcriptIds: [transcriptId.toString()] }),
+      signal: controller.signal
+    });
+    const reader = response.body.getReader();
+    let received = '';
+    while (!received.includes('event: token')) {
+      received += new TextDecoder().decode((await reader.read()).value);
+    }
+    controller.abort();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    disconnected();
+    while (collections['transcript-chat'].length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  } finally {
+    server.close();
+  }
+
+  const [session] = collections['transcript-chat'];
+  assert.deepStrictEqual(session.messages.map(message => message.role), ['user', 'assistant']);
+  assert.strictEqual(session.messages[0].content, 'Is the deploy pipeline finished?');
+  assert.strictEqual(session.messages[1].content, 'The deploy pipeline ');
+  assert.strictEqual(session.messages[1].interrupted, true);
+});
+
+test('fan-out retrieval over many transcripts runs at most FAN_OUT_MAX_GROUPS searches per query', async (t) => {
+  const embeddings = new FakeEmbeddings();
+  const meetingIds = [];
+  for (let i = 0; i < 5; i++) {
+    const id = new ObjectId().toString();
+    meetingIds.push(id);
+    const text = `Alice: meeting ${i} deploy pipeline update`;
+    collections.transcripts.push({ _id: new ObjectId(id), meeting_id: `meeting-${i}`, date: `2025-09-0${i + 1}`, transcript_data: '[]' });
+    collections.transcript_embeddings.push({
+      _id: new ObjectId(), text, embedding: await embeddings.embedQuery(text), transcriptId: id,
+      meetingId: `meeting-${i}`, date: `2025-09-0${i + 1}`, speakers: ['Alice'], chunkIndex: 0, firstEntryIndex: 0, lastEntryIndex: 0
+    });
+  }
+  t.after(() => {
+    collections.transcripts = collections.transcripts.filter(doc => !meetingIds.includes(doc._id.toString()));
+    collections.transcript_embeddings = collections.transcript_embeddings.filter(doc => !meetingIds.includes(doc.transcriptId));
+  });
+  const searches = t.mock.method(LocalMongoVectorSearch.prototype, 'similaritySearchVectorWithScore');
+
+  const { status, text } = await postMessage({ message: 'What happened with the deploy pipeline?', transcriptIds: meetingIds, fanOut: true });
+  const body = JSON.parse(text);
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.transcriptAnalysis.fanOut.groupBy, 'transcript');
+  assert.deepStrictEqual(body.transcriptAnalysis.transcriptsWithoutContent, []);
+  // Five transcripts searched as groups of three and two, each asking for k per transcript
+  const [first, second] = searches.mock.calls.map(call => ({ k: call.arguments[1], ids: call.arguments[2].transcriptId.$in }));
+  assert.strictEqual(searches.mock.callCount(), 2);
+  assert.deepStrictEqual([first.ids, second.ids], [meetingIds.slice(0, 3), meetingIds.slice(3)]);
+  assert.strictEqual(first.k, second.k * 3 / 2);
+});
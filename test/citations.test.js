@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateCitations, resolveCitations, mapLinesToEntries, stripCitations, numberSourceLines } = require('../routes/citations');
+
+const entries = [
+  { speaker: 'Alice', text: 'Morning everyone.', start: '00:00:01.000', end: '00:00:02.000' },
+  { speaker: 'Bob', text: 'SP-12 is done. The release goes out on Friday.', start: '00:00:03.000', end: '00:00:09.000' },
+  { speaker: 'Alice', text: 'Great, thanks.', start: '00:00:10.000' },
+  { speaker: 'Carol', text: 'I am blocked on SP-14.', start: '00:00:12.000', end: '00:00:14.000' }
+];
+
+// Retrieved sections in context order: two transcript chunks and a stored meeting summary
+const similarContent = [
+  {
+    chunkId: 'chunk-1',
+    transcriptId: 't1',
+    meetingId: 'standup',
+    date: '2025-09-15',
+    chunkIndex: 0,
+    firstEntryIndex: 0,
+    lastEntryIndex: 1,
+    // Bob's long turn was split into two lines
+    content: 'Alice: Morning everyone.\nBob: SP-12 is done.\nBob: The release goes out on Friday.'
+  },
+  {
+    chunkId: 'chunk-2',
+    transcriptId: 't1',
+    meetingId: 'standup',
+    date: '2025-09-15',
+    chunkIndex: 1,
+    firstEntryIndex: 2,
+    lastEntryIndex: 3,
+    content: 'Alice: Great, thanks.\nCarol: I am blocked on SP-14.'
+  },
+  {
+    chunkId: 'summary:t1',
+    transcriptId: 't1',
+    meetingId: 'standup',
+    date: '2025-09-15',
+    content: 'Full meeting summary:\nSP-12 shipped and SP-14 is blocked.'
+  }
+];
+
+test('valid markers are kept and their positions recorded', () => {
+  const { answer, citations, invalidCitations } = validateCitations('SP-12 is done [S1:L2] and SP-14 is blocked [S2:L2].', similarContent);
+
+  assert.strictEqual(answer, 'SP-12 is done [S1:L2] and SP-14 is blocked [S2:L2].');
+  assert.deepStrictEqual(invalidCitations, []);
+  assert.deepStrictEqual(citations, [
+    { marker: '[S1:L2]', sourceNumber: 1, lineStart: 2, lineEnd: 2, positions: [14] },
+    { marker: '[S2:L2]', sourceNumber: 2, lineStart: 2, lineEnd: 2, positions: [43] }
+  ]);
+});
+
+test('markers for sources or lines that were not provided are removed and reported', () => {
+  const { answer, citations, invalidCitations } = validateCitations(
+    'Released [S4]. Blocked [S2:L3]. Backwards [S1:L3-1]. Zero [S0]. Kept [S1].',
+    similarContent
+  );
+
+  assert.strictEqual(answer, 'Released. Blocked. Backwards. Zero. Kept [S1].');
+  assert.deepStrictEqual(citations.map(citation => citation.marker), ['[S1]']);
+  assert.deepStrictEqual(invalidCitations, [
+    { marker: '[S4]', reason: 'unknown_source' },
+    { marker: '[S2:L3]', reason: 'unknown_line' },
+    { marker: '[S1:L3-1]', reason: 'unknown_line' },
+    { marker: '[S0]', reason: 'unknown_source' }
+  ]);
+});
+
+test('line ranges may repeat the L prefix', () => {
+  const { citations, invalidCitations } = validateCitations('Update [S1:L2-3] and again [S1:L2-L3].', similarContent);
+
+  assert.deepStrictEqual(invalidCitations, []);
+  assert.deepStrictEqual(citations.map(({ marker, lineStart, lineEnd }) => [marker, lineStart, lineEnd]), [
+    ['[S1:L2-3]', 2, 3],
+    ['[S1:L2-L3]', 2, 3]
+  ]);
+  assert.deepStrictEqual(validateCitations('Too far [S1:L2-4].', similarContent).invalidCitations,
+    [{ marker: '[S1:L2-4]', reason: 'unknown_line' }]);
+});
+
+test('a marker repeated in one answer is one citation with every position', () => {
+  const { answer, citations, invalidCitations } = validateCitations('Done [S1:L2]. Still done [S1:L2]. Gone [S9] [S9].', similarContent);
+
+  assert.strictEqual(answer, 'Done [S1:L2]. Still done [S1:L2]. Gone.');
+  assert.deepStrictEqual(citations, [{ marker: '[S1:L2]', sourceNumber: 1, lineStart: 2, lineEnd: 2, positions: [5, 25] }]);
+  assert.deepStrictEqual(invalidCitations, [{ marker: '[S9]', reason: 'unknown_source' }]);
+});
+
+test('meeting summaries can only be cited as a whole', () => {
+  assert.strictEqual(numberSourceLines(similarContent[2]), similarContent[2].content);
+  assert.strictEqual(numberSourceLines(similarContent[1]), 'L1 Alice: Great, thanks.\nL2 Carol: I am blocked on SP-14.');
+
+  const { citations, invalidCitations } = validateCitations('Shipped [S3]. Blocked [S3:L1].', similarContent);
+  assert.deepStrictEqual(citations.map(citation => citation.marker), ['[S3]']);
+  assert.deepStrictEqual(invalidCitations, [{ marker: '[S3:L1]', reason: 'unknown_line' }]);
+
+  const [resolved] = resolveCitations(citations, similarContent, new Map([['t1', entries]]));
+  assert.strictEqual(resolved.chunkId, 'summary:t1');
+  assert.deepStrictEqual(resolved.lines, []);
+});
+
+test('chunk lines map to transcript entries, including pieces of a long turn', () => {
+  const lines = similarContent[0].content.split('\n');
+
+  assert.deepStrictEqual(mapLinesToEntries(lines, entries, 0), [
+    { entryIndex: 0, quoteStart: 0, quoteEnd: 17 },
+    { entryIndex: 1, quoteStart: 0, quoteEnd: 14 },
+    { entryIndex: 1, quoteStart: 15, quoteEnd: 46 }
+  ]);
+  // Lines that no longer appear in the transcript (it was edited after embedding)
+  assert.deepStrictEqual(mapLinesToEntries(['Alice: Great, thanks.', 'Dave: Not here.'], entries, 2), [
+    { entryIndex: 2, quoteStart: 0, quoteEnd: 14 },
+    null
+  ]);
+  // Matching starts at the chunk's first entry
+  assert.deepStrictEqual(mapLinesToEntries(['Alice: Morning everyone.'], entries, 1), [null]);
+});
+
+test('citations resolve to speakers, times and quotes in the transcript', () => {
+  const { citations } = validateCitations('Shipped on Friday [S1:L2-3]. Blocked [S2:L2]. Thanks [S2:L1].', similarContent);
+  const resolved = resolveCitations(citations, similarContent, new Map([['t1', entries]]));
+
+  assert.deepStrictEqual(resolved[0].lines, [
+    { line: 2, entryIndex: 1, speaker: 'Bob', start: '00:00:03.000', end: '00:00:09.000', quote: 'SP-12 is done.', quoteStart: 0, quoteEnd: 14 },
+    { line: 3, entryIndex: 1, speaker: 'Bob', start: '00:00:03.000', end: '00:00:09.000', quote: 'The release goes out on Friday.', quoteStart: 15, quoteEnd: 46 }
+  ]);
+  assert.strictEqual(resolved[0].chunkId, 'chunk-1');
+  assert.strictEqual(resolved[1].lines[0].speaker, 'Carol');
+  // Entries without an end time end when they start
+  assert.strictEqual(resolved[2].lines[0].end, '00:00:10.000');
+});
+
+test('citations into an edited transcript keep the cited text', () => {
+  const { citations } = validateCitations('Blocked [S2:L2].', similarContent);
+  const edited = entries.map((entry, index) => (index === 3 ? { ...entry, text: 'SP-14 is unblocked.' } : entry));
+  const [resolved] = resolveCitations(citations, similarContent, new Map([['t1', edited]]));
+
+  assert.deepStrictEqual(resolved.lines, [{
+    line: 2, entryIndex: null, speaker: null, start: null, end: null,
+    quote: 'Carol: I am blocked on SP-14.', quoteStart: null, quoteEnd: null
+  }]);
+});
+
+test('markers are stripped from text sent back as history', () => {
+  assert.strictEqual(stripCitations('Done [S1:L2]. Range [S1:L2-L3] and [S2].'), 'Done. Range and.');
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { clientRateLimit } = require('../routes/client-rate-limit');
+
+function createResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+/**
+ * Run a request through the middleware
+ * @returns {Object} { passed, res }
+ */
+function send(middleware, req) {
+  const res = createResponse();
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('a limit of 0 lets every request through', () => {
+  const limit = clientRateLimit({ name: 'chat-message', perMinute: 0, burst: 10 });
+
+  for (let i = 0; i < 100; i++) {
+    assert.strictEqual(send(limit, { ip: '10.0.0.1' }).passed, true);
+  }
+});
+
+test('each client gets a burst, then 429 with Retry-After', (t) => {
+  let now = 1700000000000;
+  t.mock.method(Date, 'now', () => now);
+  const limit = clientRateLimit({ name: 'chat-message', perMinute: 6, burst: 2 });
+
+  assert.strictEqual(send(limit, { ip: '10.0.0.1' }).passed, true);
+  assert.strictEqual(send(limit, { ip: '10.0.0.1' }).passed, true);
+
+  const { passed, res } = send(limit, { ip: '10.0.0.1' });
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.headers['Retry-After'], '10');
+  assert.deepStrictEqual(res.body, {
+    success: false,
+    error: 'Too many requests',
+    limit: { name: 'chat-message', perMinute: 6, burst: 2 },
+    retryAfter: 10
+  });
+
+  // One request's worth refills every 10 seconds
+  now += 4000;
+  assert.strictEqual(send(limit, { ip: '10.0.0.1' }).res.headers['Retry-After'], '6');
+  now += 6000;
+  assert.strictEqual(send(limit, { ip: '10.0.0.1' }).passed, true);
+});
+
+test('clients are counted separately, by user when authenticated', () => {
+  const limit = clientRateLimit({ name: 'chat-message', perMinute: 60, burst: 1 });
+
+  assert.strictEqual(send(limit, { ip: '10.0.0.1' }).passed, true);
+  assert.strictEqual(send(limit, { ip: '10.0.0.1' }).passed, false);
+  assert.strictEqual(send(limit, { ip: '10.0.0.2' }).passed, true);
+
+  // Users behind the same address each have their own bucket
+  assert.strictEqual(send(limit, { ip: '10.0.0.1', auth: { userId: 'alice' } }).passed, true);
+  assert.strictEqual(send(limit, { ip: '10.0.0.1', auth: { userId: 'bob' } }).passed, true);
+  assert.strictEqual(send(limit, { ip: '10.0.0.3', auth: { userId: 'alice' } }).passed, false);
+});
+
+test('limiters do not share buckets', () => {
+  const first = clientRateLimit({ name: 'first', perMinute: 60, burst: 1 });
+  const second = clientRateLimit({ name: 'second', perMinute: 60, burst: 1 });
+
+  assert.strictEqual(send(first, { ip: '10.0.0.1' }).passed, true);
+  assert.strictEqual(send(second, { ip: '10.0.0.1' }).passed, true);
+  assert.strictEqual(send(first, { ip: '10.0.0.1' }).res.body.limit.name, 'first');
+});
@@ -0,0 +1,317 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { EmbeddingJobQueue } = require('../routes/embedding-jobs');
+
+// Deep copy that keeps ObjectIds and Dates, like documents read back from the server
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+  }
+  return value;
+}
+
+const same = (a, b) => (a instanceof Date || b instanceof Date ? +a === +b : String(a) === String(b));
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target[key] = target[key] ?? {}), doc);
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+}
+
+function matchesCondition(value, condition) {
+  if (condition && typeof condition === 'object' && '$lt' in condition) {
+    return value !== undefined && value < condition.$lt;
+  }
+  return same(value, condition);
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') {
+      return condition.some(option => matches(doc, option));
+    }
+    const [arrayField, elementField] = field.split('.');
+    if (Array.isArray(doc[arrayField]) && elementField) {
+      return doc[arrayField].some(element => matchesCondition(element[elementField], condition));
+    }
+    return matchesCondition(getPath(doc, field), condition);
+  });
+}
+
+/**
+ * In-memory collection supporting the queries and update operators the job queue uses,
+ * including positional ($) and filtered ($[name]) array updates
+ */
+function createCollection() {
+  const docs = [];
+
+  function applyUpdate(doc, filter, update, { arrayFilters = [] } = {}) {
+    const resolvePaths = (path) => {
+      if (path.includes('.$.')) {
+        const [arrayField, rest] = path.split('.$.');
+        const elementFilter = Object.entries(filter).find(([key]) => key.startsWith(`${arrayField}.`));
+        const index = doc[arrayField].findIndex(element => same(element[elementFilter[0].split('.')[1]], elementFilter[1]));
+        return [`${arrayField}.${index}.${rest}`];
+      }
+      const filtered = /^(\w+)\.\$\[(\w+)\]\.(.+)$/.exec(path);
+      if (filtered) {
+        const [, arrayField, name, rest] = filtered;
+        const [[key, value]] = Object.entries(arrayFilters.find(arrayFilter => Object.keys(arrayFilter)[0].startsWith(`${name}.`)));
+        return doc[arrayField]
+          .map((element, index) => (same(element[key.split('.')[1]], value) ? `${arrayField}.${index}.${rest}` : null))
+          .filter(Boolean);
+      }
+      return [path];
+    };
+
+    // Resolve every path before applying, as MongoDB does, so $set can't change which elements match
+    const writes = [];
+    for (const [path, value] of Object.entries(update.$set || {})) {
+      resolvePaths(path).forEach(resolved => writes.push([resolved, value]));
+    }
+    for (const [path, amount] of Object.entries(update.$inc || {})) {
+      writes.push([path, (getPath(doc, path) || 0) + amount]);
+    }
+    for (const path of Object.keys(update.$unset || {})) {
+      writes.push([path, undefined]);
+    }
+    for (const [path, value] of Object.entries(update.$min || {})) {
+      const current = getPath(doc, path);
+      writes.push([path, current === undefined || value < current ? value : current]);
+    }
+    writes.forEach(([path, value]) => setPath(doc, path, value));
+  }
+
+  return {
+    docs,
+    createIndex: async () => {},
+    insertOne: async (doc) => {
+      const _id = doc._id ?? new ObjectId();
+      docs.push(clone({ ...doc, _id }));
+      return { insertedId: _id };
+    },
+    findOne: async (filter) => {
+      const doc = docs.find(candidate => matches(candidate, filter));
+      return doc ? clone(doc) : null;
+    },
+    findOneAndUpdate: async (filter, update, { sort } = {}) => {
+      const [field] = Object.keys(sort || {});
+      const doc = docs
+        .filter(candidate => matches(candidate, filter))
+        .sort((a, b) => (field ? a[field] - b[field] : 0))[0];
+      if (!doc) {
+        return null;
+      }
+      applyUpdate(doc, filter, update);
+      return clone(doc);
+    },
+    updateOne: async (filter, update, options = {}) => {
+      const doc = docs.find(candidate => matches(candidate, filter));
+      if (doc) {
+        applyUpdate(doc, filter, update, options);
+        return { matchedCount: 1 };
+      }
+      if (options.upsert) {
+        if (docs.some(existing => same(existing._id, filter._id))) {
+          throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        docs.push({ _id: filter._id, ...update.$set });
+      }
+      return { matchedCount: 0 };
+    },
+    deleteOne: async (filter) => {
+      const index = docs.findIndex(candidate => matches(candidate, filter));
+      if (index !== -1) {
+        docs.splice(index, 1);
+      }
+    }
+  };
+}
+
+function createDatabase() {
+  const collections = {};
+  return {
+    collections,
+    getDatabase: async () => ({
+      collection: (name) => (collections[name] = collections[name] || createCollection())
+    })
+  };
+}
+
+function createQueue(database, processTranscript = async () => ({ status: 'generated', chunks: 1 })) {
+  return new EmbeddingJobQueue({ getDatabase: database.getDatabase, processTranscript });
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('a queued job is claimed by only one worker', async () => {
+  const database = createDatabase();
+  const first = createQueue(database);
+  const second = createQueue(database);
+  const job = await first.enqueue(['t1', 't2', 't1'], { owner: { teamId: 'team-1', userId: 'user-1' } });
+
+  assert.deepStrictEqual(job.transcriptIds, ['t1', 't2']);
+  const [claimedByFirst, claimedBySecond] = await Promise.all([first.claimNextJob(), second.claimNextJob()]);
+
+  assert.strictEqual(String(claimedByFirst._id), String(job._id));
+  assert.strictEqual(claimedByFirst.lockedBy, first.workerId);
+  assert.strictEqual(claimedBySecond, null);
+  assert.ok(claimedByFirst.lockExpiresAt > new Date());
+});
+
+test('jobs are claimed oldest first and run to completion', async () => {
+  const database = createDatabase();
+  const processed = [];
+  const queue = createQueue(database, async (transcriptId, { owner }) => {
+    processed.push([transcriptId, owner.teamId]);
+    return transcriptId === 't2'
+      ? { status: 'skipped', message: 'Embeddings are up to date' }
+      : { status: 'generated', chunks: 3 };
+  });
+  const older = await queue.enqueue(['t1', 't2'], { owner: { teamId: 'team-1' } });
+  await new Promise(resolve => setTimeout(resolve, 2));
+  await queue.enqueue(['t3'], { owner: { teamId: 'team-2' } });
+
+  await queue.poll();
+
+  assert.deepStrictEqual(processed, [['t1', 'team-1'], ['t2', 'team-1'], ['t3', 'team-2']]);
+  const stored = await queue.getJob(older._id.toString());
+  assert.strictEqual(stored.status, 'completed');
+  assert.strictEqual(stored.lockedBy, undefined);
+  assert.deepStrictEqual(stored.summary, { processed: 2, generated: 1, skipped: 1, errors: 0 });
+  assert.deepStrictEqual(stored.transcripts.map(transcript => transcript.status), ['generated', 'skipped']);
+  assert.deepStrictEqual(database.collections.embedding_locks.docs, []);
+});
+
+test('a job whose lease expired is resumed by another worker from the unfinished transcripts', async () => {
+  const database = createDatabase();
+  const processed = [];
+  const crashed = createQueue(database);
+  const rescuer = createQueue(database, async (transcriptId) => {
+    processed.push(transcriptId);
+    return { status: 'generated', chunks: 1 };
+  });
+
+  // The first worker finished t1, was part-way through t2 and then stopped renewing its lease
+  const job = await crashed.enqueue(['t1', 't2', 't3']);
+  await crashed.claimNextJob();
+  await crashed.recordTranscriptResult(job._id, 't1', { status: 'generated', chunks: 1 });
+  assert.strictEqual(await crashed.acquireTranscriptLock('t2'), true);
+  const { jobs, locks } = await crashed.getCollections();
+  await jobs.updateOne({ _id: job._id, 'transcripts.transcriptId': 't2' }, { $set: { 'transcripts.$.status': 'processing' } });
+
+  // While the lease is live nobody else can take the job
+  assert.strictEqual(await rescuer.claimNextJob(), null);
+
+  const expired = new Date(Date.now() - 1000);
+  await jobs.updateOne({ _id: job._id }, { $set: { lockExpiresAt: expired } });
+  await locks.updateOne({ _id: 't2' }, { $set: { expiresAt: expired } });
+
+  const claimed = await rescuer.claimNextJob();
+  assert.strictEqual(claimed.lockedBy, rescuer.workerId);
+  // The original worker finds out it lost the job when renewing
+  assert.strictEqual(await crashed.renewLease(job._id), false);
+
+  await rescuer.runJob(claimed);
+
+  assert.deepStrictEqual(processed, ['t2', 't3']);
+  const stored = await rescuer.getJob(job._id.toString());
+  assert.strictEqual(stored.status, 'completed');
+  assert.deepStrictEqual(stored.transcripts.map(transcript => transcript.status), ['generated', 'generated', 'generated']);
+  assert.strictEqual(stored.summary.processed, 3);
+});
+
+test('a transcript locked by another job is skipped', async () => {
+  const database = createDatabase();
+  const other = createQueue(database);
+  const processed = [];
+  const queue = createQueue(database, async (transcriptId) => {
+    processed.push(transcriptId);
+    return { status: 'generated', chunks: 1 };
+  });
+
+  assert.strictEqual(await other.acquireTranscriptLock('t1'), true);
+  const job = await queue.enqueue(['t1', 't2']);
+  await queue.poll();
+
+  assert.deepStrictEqual(processed, ['t2']);
+  const stored = await queue.getJob(job._id.toString());
+  assert.strictEqual(stored.transcripts[0].status, 'skipped');
+  assert.strictEqual(stored.summary.skipped, 1);
+});
+
+test('cancelling a running job stops it after the current transcript', async () => {
+  const database = createDatabase();
+  const processed = [];
+  let queue;
+  let jobId;
+  queue = createQueue(database, async (transcriptId) => {
+    processed.push(transcriptId);
+    if (transcriptId === 't2') {
+      const cancelling = await queue.cancel(jobId);
+      assert.strictEqual(cancelling.status, 'running');
+      assert.strictEqual(cancelling.cancelRequested, true);
+    }
+    return { status: 'generated', chunks: 1 };
+  });
+  jobId = (await queue.enqueue(['t1', 't2', 't3', 't4']))._id.toString();
+
+  await queue.poll();
+
+  assert.deepStrictEqual(processed, ['t1', 't2']);
+  const stored = await queue.getJob(jobId);
+  assert.strictEqual(stored.status, 'cancelled');
+  assert.strictEqual(stored.lockedBy, undefined);
+  assert.deepStrictEqual(stored.transcripts.map(transcript => transcript.status), ['generated', 'generated', 'cancelled', 'cancelled']);
+  assert.deepStrictEqual(database.collections.embedding_locks.docs, []);
+});
+
+test('cancelling a queued job stops it before it is claimed', async () => {
+  const database = createDatabase();
+  const queue = createQueue(database);
+  const job = await queue.enqueue(['t1', 't2']);
+
+  const cancelled = await queue.cancel(job._id.toString());
+
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.deepStrictEqual(cancelled.transcripts.map(transcript => transcript.status), ['cancelled', 'cancelled']);
+  assert.strictEqual(await queue.claimNextJob(), null);
+  assert.strictEqual(await queue.cancel('not-an-id'), null);
+});
+
+test('a transcript that throws is recorded as an error and the job carries on', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const database = createDatabase();
+  const queue = createQueue(database, async (transcriptId) => {
+    if (transcriptId === 't1') {
+      throw new Error('Embedding provider unavailable');
+    }
+    return { status: 'generated', chunks: 1 };
+  });
+  const job = await queue.enqueue(['t1', 't2']);
+
+  await queue.poll();
+
+  const stored = await queue.getJob(job._id.toString());
+  assert.strictEqual(stored.status, 'completed');
+  assert.deepStrictEqual(stored.transcripts.map(({ status, message }) => [status, message]), [
+    ['error', 'Embedding provider unavailable'],
+    ['generated', undefined]
+  ]);
+  assert.deepStrictEqual(stored.summary, { processed: 2, generated: 1, skipped: 0, errors: 1 });
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeText, parseKeywordQuery, AtlasKeywordSearch, LocalKeywordSearch } = require('../routes/keyword-search');
+
+/**
+ * Just enough of the embeddings collection for LocalKeywordSearch: the per-transcript
+ * version aggregation and the chunk lookup
+ */
+function createChunkCollection(chunks) {
+  const collection = {
+    chunks,
+    finds: 0,
+    aggregate: ([{ $match }]) => {
+      const groups = new Map();
+      for (const chunk of collection.chunks.filter(chunk => $match.transcriptId.$in.includes(chunk.transcriptId))) {
+        const group = groups.get(chunk.transcriptId) || { _id: chunk.transcriptId, runIds: [], chunks: 0 };
+        group.runIds = [...new Set([...group.runIds, chunk.embeddingRunId])];
+        group.chunks++;
+        groups.set(chunk.transcriptId, group);
+      }
+      return { toArray: async () => [...groups.values()] };
+    },
+    find: (query) => {
+      collection.finds++;
+      const docs = collection.chunks.filter(chunk => query.transcriptId.$in.includes(chunk.transcriptId));
+      return { async *[Symbol.asyncIterator]() { yield* docs; } };
+    }
+  };
+  return collection;
+}
+
+const chunk = (_id, text, fields = {}) => ({ _id, transcriptId: 't1', embeddingRunId: 'run-1', speakers: ['Alice'], text, ...fields });
+
+test('the stemmer lets inflected forms match each other', () => {
+  assert.deepStrictEqual(analyzeText('deploy deploys deployed deploying'), ['deploi', 'deploi', 'deploi', 'deploi']);
+  assert.deepStrictEqual(analyzeText('stories running hopping agreed caresses filing'), ['stori', 'run', 'hop', 'agree', 'caress', 'file']);
+  assert.deepStrictEqual(analyzeText("John's status"), ['john', 'statu']);
+  // Stop words are dropped and words containing digits are left alone
+  assert.deepStrictEqual(analyzeText('what is the v2 rollout'), ['v2', 'rollout']);
+});
+
+test('ticket references become one SP- term however they are written', () => {
+  assert.deepStrictEqual(analyzeText('SP-12, sp 12 and SP12'), ['sp-12', 'sp-12', 'sp-12']);
+  assert.deepStrictEqual(parseKeywordQuery('Any update on sp 42?').ticketRefs, ['sp-42']);
+  // Not a ticket reference: the digits must stand alone
+  assert.deepStrictEqual(analyzeText('SP-7b'), ['sp', '7b']);
+});
+
+test('quoted text becomes a phrase and its terms are still searched', () => {
+  const parsed = parseKeywordQuery('status of "database migration" for SP-42');
+
+  assert.deepStrictEqual(parsed.phrases, [{ text: 'database migration', terms: ['database', 'migration'] }]);
+  assert.deepStrictEqual(parsed.terms, ['statu', 'sp-42', 'database', 'migration']);
+  assert.strictEqual(parsed.freeText, 'status of for SP-42');
+  assert.deepStrictEqual(parseKeywordQuery('"the" and "of"').terms, []);
+});
+
+test('local BM25 ranks chunks by matching terms and scales scores to 0-1', async () => {
+  const search = new LocalKeywordSearch(createChunkCollection([
+    chunk('a', 'The deploy failed again, deploying tomorrow after the deploy fix'),
+    chunk('b', 'We deployed the dashboard'),
+    chunk('c', 'Lunch plans for Friday')
+  ]));
+
+  const hits = await search.search('deployment of the deploy', ['t1']);
+
+  assert.deepStrictEqual(hits.map(hit => hit.doc._id), ['a', 'b']);
+  assert.strictEqual(hits[0].score, 1);
+  assert.ok(hits[1].score > 0 && hits[1].score < 1);
+  assert.deepStrictEqual(await search.search('the of and', ['t1']), []);
+});
+
+test('ticket terms outweigh ordinary terms', async () => {
+  const search = new LocalKeywordSearch(createChunkCollection([
+    chunk('ticket', 'SP-42 is in review'),
+    chunk('words', 'The review of the review process is in review')
+  ]));
+
+  const hits = await search.search('review of sp42', ['t1']);
+
+  assert.deepStrictEqual(hits.map(hit => hit.doc._id), ['ticket', 'words']);
+});
+
+test('phrases must appear in order and next to each other', async () => {
+  const search = new LocalKeywordSearch(createChunkCollection([
+    chunk('adjacent', 'The database migrations are blocked'),
+    chunk('apart', 'The migration of the database is blocked'),
+    chunk('missing', 'Only the database is mentioned')
+  ]));
+
+  const hits = await search.search('"database migration" blocked', ['t1']);
+
+  assert.deepStrictEqual(hits.map(hit => hit.doc._id), ['adjacent']);
+});
+
+test('local search is limited to the requested transcripts and speakers', async () => {
+  const search = new LocalKeywordSearch(createChunkCollection([
+    chunk('alice', 'Deploy is done'),
+    chunk('bob', 'Deploy is blocked', { speakers: ['Bob'] }),
+    chunk('other', 'Deploy elsewhere', { transcriptId: 't2' })
+  ]));
+
+  assert.deepStrictEqual((await search.search('deploy', ['t1'])).map(hit => hit.doc._id).sort(), ['alice', 'bob']);
+  assert.deepStrictEqual((await search.search('deploy', ['t1'], { speakers: ['Bob'] })).map(hit => hit.doc._id), ['bob']);
+  assert.strictEqual((await search.search('deploy', ['t1', 't2'], { limit: 1 })).length, 1);
+});
+
+test('cached chunks are reloaded only when the transcript is re-embedded', async () => {
+  const collection = createChunkCollection([chunk('old', 'Deploy is done')]);
+  const search = new LocalKeywordSearch(collection);
+
+  await search.search('deploy', ['t1']);
+  await search.search('deploy', ['t1']);
+  assert.strictEqual(collection.finds, 1);
+
+  collection.chunks = [chunk('new', 'Deploy is blocked', { embeddingRunId: 'run-2' })];
+  const hits = await search.search('deploy', ['t1']);
+  assert.strictEqual(collection.finds, 2);
+  assert.deepStrictEqual(hits.map(hit => hit.doc._id), ['new']);
+});
+
+test('Atlas keyword queries require phrases and boost ticket references', async () => {
+  let pipeline;
+  const search = new AtlasKeywordSearch({
+    aggregate: (stages) => {
+      pipeline = stages;
+      return { toArray: async () => [{ _id: 'a', text: 'SP-42', searchScore: 4 }, { _id: 'b', text: 'review', searchScore: 2 }] };
+    }
+  });
+
+  const hits = await search.search('"code review" for SP-42', ['t1'], { speakers: ['Alice'] });
+  const { compound } = pipeline[0].$search;
+
+  assert.deepStrictEqual(compound.must, [{ phrase: { query: 'code review', path: 'text' } }]);
+  assert.deepStrictEqual(compound.should, [
+    { text: { query: 'for SP-42', path: 'text' } },
+    { phrase: { query: 'sp 42', path: 'text', score: { boost: { value: 2 } } } }
+  ]);
+  assert.strictEqual(compound.minimumShouldMatch, 0);
+  assert.deepStrictEqual(compound.filter, [
+    { in: { path: 'transcriptId', value: ['t1'] } },
+    { in: { path: 'speakers', value: ['Alice'] } }
+  ]);
+  assert.deepStrictEqual(hits.map(hit => [hit.doc._id, hit.score]), [['a', 1], ['b', 0.5]]);
+});
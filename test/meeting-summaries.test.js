@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { MeetingSummaries } = require('../routes/meeting-summaries');
+const { parseTranscriptData } = require('../routes/transcript-content');
+const { getProviderInfo } = require('../routes/model-providers');
+
+function createFakeDatabase(collections) {
+  const find = (docs) => (query) => ({
+    toArray: async () => docs.filter(doc => query._id.$in.some(id => String(id) === String(doc._id)))
+  });
+  return async () => ({
+    collection: (name) => ({
+      find: find(collections[name]),
+      findOne: async (query) => collections[name].find(doc => String(doc._id) === String(query._id)) || null,
+      replaceOne: async (query, doc) => {
+        collections[name] = collections[name].filter(existing => existing._id !== query._id).concat(doc);
+      }
+    })
+  });
+}
+
+const transcript = (entries) => ({ _id: new ObjectId(), meeting_id: 'standup', date: '2025-09-15', transcript_data: JSON.stringify(entries) });
+
+test('chat summaries use only stored summaries and generate the missing ones in the background', async () => {
+  const summarised = transcript([{ speaker: 'Alice', text: 'SP-1 is done' }]);
+  const unsummarised = transcript([{ speaker: 'Bob', text: 'SP-2 is blocked' }]);
+  const collections = {
+    transcripts: [summarised, unsummarised],
+    meeting_summaries: [{
+      _id: summarised._id.toString(),
+      contentHash: parseTranscriptData(summarised).contentHash,
+      model: getProviderInfo().chatModel,
+      summary: 'Stored summary'
+    }]
+  };
+
+  let modelCalls = 0;
+  let finishSummary;
+  const transcriptRAG = {
+    summarizeMeeting: () => {
+      modelCalls++;
+      return new Promise(resolve => { finishSummary = () => resolve('Generated summary'); });
+    }
+  };
+  const meetingSummaries = new MeetingSummaries({ getDatabase: createFakeDatabase(collections), transcriptRAG });
+
+  const ids = [summarised._id.toString(), unsummarised._id.toString()];
+  const { summaries, missingIds } = await meetingSummaries.getStoredSummaries(ids);
+  assert.deepStrictEqual(summaries.map(summary => summary.summary), ['Stored summary']);
+  assert.deepStrictEqual(missingIds, [unsummarised._id.toString()]);
+  assert.strictEqual(modelCalls, 0);
+
+  meetingSummaries.generateInBackground(missingIds);
+  meetingSummaries.generateInBackground(missingIds);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(modelCalls, 1);
+
+  finishSummary();
+  await new Promise(resolve => setImmediate(resolve));
+  const afterwards = await meetingSummaries.getStoredSummaries(ids);
+  assert.deepStrictEqual(afterwards.summaries.map(summary => summary.summary), ['Stored summary', 'Generated summary']);
+  assert.deepStrictEqual(afterwards.missingIds, []);
+});
+
+test('background summaries are capped and stop once the usage budget is used up', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const transcripts = [1, 2, 3, 4].map(n => transcript([{ speaker: 'Alice', text: `SP-${n} is done` }]));
+  const collections = { transcripts, meeting_summaries: [] };
+  const ids = transcripts.map(doc => doc._id.toString());
+
+  let modelCalls = 0;
+  const transcriptRAG = { summarizeMeeting: async () => `Summary ${++modelCalls}` };
+  const meetingSummaries = new MeetingSummaries({ getDatabase: createFakeDatabase(collections), transcriptRAG, backgroundLimit: 3 });
+
+  // The budget runs out after the first summary
+  let budgetChecks = 0;
+  const checkBudget = async () => (++budgetChecks > 1 ? { scope: 'user', metric: 'tokens' } : null);
+  meetingSummaries.generateInBackground(ids, { checkBudget });
+  assert.strictEqual(meetingSummaries.pending.size, 3);
+
+  while (meetingSummaries.pending.size > 0) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  assert.strictEqual(modelCalls, 1);
+  assert.strictEqual(budgetChecks, 2);
+  const { missingIds } = await meetingSummaries.getStoredSummaries(ids);
+  assert.deepStrictEqual(missingIds, ids.slice(1));
+
+  // Dropped transcripts are queued again by later requests
+  meetingSummaries.generateInBackground(missingIds);
+  while (meetingSummaries.pending.size > 0) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  assert.deepStrictEqual((await meetingSummaries.getStoredSummaries(ids)).missingIds, []);
+  assert.strictEqual(modelCalls, 4);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RuleIntentClassifier, planRetrieval } = require('../routes/query-intents');
+
+const classifier = new RuleIntentClassifier();
+const classify = (message) => classifier.classify(message, { today: '2025-09-17' });
+
+test('ordinary questions using "items" or "work" are not task lookups', () => {
+  assert.deepStrictEqual(classify('Which items did we discuss').intents, ['general']);
+  assert.deepStrictEqual(classify('How did the work on onboarding go?').intents, ['general']);
+});
+
+test('task vocabulary and ticket keys are task lookups', () => {
+  for (const message of ['What tasks were discussed?', 'Any open tickets?', 'List the action items', 'Which work items slipped?', 'What is the status of SP-12?']) {
+    assert.ok(classify(message).intents.includes('task_lookup'), message);
+  }
+});
+
+test('plans add the task searcher only for task lookups', () => {
+  assert.deepStrictEqual(planRetrieval(classify('Which items did we discuss')).searchers, ['vector', 'keyword']);
+  assert.deepStrictEqual(planRetrieval(classify('What is the status of SP-12?')).searchers, ['vector', 'keyword', 'task']);
+});
+
+test('per-meeting questions and comparisons take sections from each meeting', () => {
+  const summary = classify('Give me a summary of each meeting');
+  assert.strictEqual(summary.intent, 'meeting_summary');
+  assert.strictEqual(summary.scope, 'per_meeting');
+  assert.strictEqual(planRetrieval(summary).perTranscriptK, 5);
+
+  const comparison = classify('What changed between the two standups?');
+  assert.strictEqual(comparison.intent, 'comparison');
+  assert.strictEqual(planRetrieval(comparison).perTranscriptK, 4);
+});
+
+test('speakers and dates narrow the plan', () => {
+  const context = { speakers: ['Priya Shah', 'Will'], meetingDates: ['2025-09-15', '2025-09-08'], today: '2025-09-17' };
+
+  const person = classifier.classify('What did Priya commit to on Monday?', context);
+  assert.deepStrictEqual(person.intents, ['person_focused', 'date_bounded']);
+  assert.deepStrictEqual(planRetrieval(person).filters, { speakers: ['Priya Shah'], dates: ['2025-09-15'] });
+
+  // "will" as an ordinary word isn't the speaker Will
+  assert.deepStrictEqual(classifier.classify('What will ship next?', context).entities.people, []);
+
+  const lastWeek = classifier.classify('What happened last week?', context);
+  assert.deepStrictEqual(planRetrieval(lastWeek).filters, { startDate: '2025-09-08', endDate: '2025-09-14' });
+});
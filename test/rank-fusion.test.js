@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fuseSearcherResults } = require('../routes/rank-fusion');
+
+const chunk = (chunkId, score) => ({ chunkId, transcriptId: 't1', chunkIndex: 0, content: chunkId, score });
+
+test('a chunk ranked first by every planned searcher has relevance 1 when the task search is not planned', () => {
+  const fused = fuseSearcherResults(
+    { vector: [chunk('a', 0.9), chunk('b', 0.8)], keyword: [chunk('a', 1), chunk('c', 0.5)], task: [] },
+    ['vector', 'keyword']
+  );
+
+  assert.strictEqual(fused[0].chunkId, 'a');
+  assert.strictEqual(fused[0].relevance, 1);
+  assert.deepStrictEqual(fused[0].matchedBy, ['vector', 'keyword']);
+  assert.strictEqual(fused[0].similarity, 0.9);
+});
+
+test('task results count only when the task search is planned', () => {
+  const results = { vector: [chunk('a', 0.9)], keyword: [chunk('a', 1)], task: [chunk('a', 1)] };
+
+  assert.strictEqual(fuseSearcherResults(results, ['vector', 'keyword'])[0].scores.task, undefined);
+  const withTask = fuseSearcherResults(results, ['vector', 'keyword', 'task']);
+  assert.strictEqual(withTask[0].relevance, 1);
+  assert.strictEqual(withTask[0].scores.task, 1);
+});
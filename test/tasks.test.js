@@ -0,0 +1,111 @@
+// Offline providers and an in-memory MongoDB, set up before the task routes are loaded
+Object.assign(process.env, {
+  LLM_PROVIDER: 'fake',
+  EMBEDDING_PROVIDER: 'fake',
+  OPENAI_API_KEY: 'sk-test',
+  MONGODB_URI: 'mongodb://localhost:27017/test'
+});
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongodb = require('mongodb');
+const { ObjectId } = mongodb;
+
+const collections = {};
+const queries = [];
+
+function matches(doc, query) {
+  return Object.entries(query).every(([field, condition]) => {
+    const values = [].concat(doc[field]).map(String);
+    if (condition && typeof condition === 'object' && !(condition instanceof ObjectId)) {
+      if (condition.$in) return condition.$in.some(value => values.includes(String(value)));
+      return (!condition.$gte || doc[field] >= condition.$gte) && (!condition.$lte || doc[field] <= condition.$lte);
+    }
+    return values.includes(String(condition));
+  });
+}
+
+function collection(name) {
+  const docs = () => collections[name] || [];
+  return {
+    find: (query = {}) => {
+      queries.push({ name, query });
+      return { toArray: async () => docs().filter(doc => matches(doc, query)) };
+    },
+    distinct: async (field, query = {}) => {
+      queries.push({ name, query });
+      return [...new Set(docs().filter(doc => matches(doc, query)).map(doc => doc[field]))];
+    },
+    createIndex: async () => {}
+  };
+}
+
+mongodb.MongoClient.prototype.connect = async function () { return this; };
+mongodb.MongoClient.prototype.db = () => ({ collection });
+
+const tasksRouter = require('../routes/tasks');
+
+const transcript = (teamId, date, text) => ({
+  _id: new ObjectId(),
+  teamId,
+  meeting_id: 'standup',
+  date,
+  transcript_data: JSON.stringify([{ speaker: 'Alice', text, timestamp: '00:00:05' }])
+});
+
+const ours = transcript('team-a', '2025-09-15', 'SP-12 is in review');
+const later = transcript('team-a', '2025-10-01', 'sp 12 is done');
+const theirs = transcript('team-b', '2025-09-16', 'SP-12 means something else here');
+
+collections.transcripts = [ours, later, theirs];
+collections.transcript_embeddings = [ours, later, theirs].map(({ _id, date }) => ({
+  transcriptId: _id.toString(), date, tickets: ['SP-12']
+}));
+
+async function getTask(key, query = '', auth = { teamId: 'team-a' }) {
+  const app = express();
+  app.use((req, res, next) => { req.auth = auth; next(); });
+  app.use('/api/tasks', tasksRouter);
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/tasks/${key}${query}`);
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+test.beforeEach(() => {
+  queries.length = 0;
+});
+
+test('a ticket is looked up through chunk ticket keys, within the team and dates', async () => {
+  const { status, body } = await getTask('sp12', '?startDate=2025-09-01&endDate=2025-09-30');
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.task.meetings.map(meeting => meeting.transcriptId), [ours._id.toString()]);
+
+  const [chunkQuery, transcriptQuery] = queries;
+  assert.strictEqual(chunkQuery.name, 'transcript_embeddings');
+  assert.deepStrictEqual(chunkQuery.query, { tickets: 'SP-12', date: { $gte: '2025-09-01', $lte: '2025-09-30' } });
+  assert.strictEqual(transcriptQuery.name, 'transcripts');
+  assert.strictEqual(transcriptQuery.query.teamId, 'team-a');
+  assert.deepStrictEqual(transcriptQuery.query.date, { $gte: '2025-09-01', $lte: '2025-09-30' });
+  // The transcript text is never scanned
+  assert.strictEqual(transcriptQuery.query.transcript_data, undefined);
+});
+
+test('a ticket no chunk mentions is not found without loading transcripts', async () => {
+  const { status } = await getTask('SP-99');
+
+  assert.strictEqual(status, 404);
+  assert.deepStrictEqual(queries.map(({ name }) => name), ['transcript_embeddings']);
+});
+
+test('selected transcripts narrow the chunk lookup', async () => {
+  const { body } = await getTask('SP-12', `?transcriptIds=${later._id}`);
+
+  assert.deepStrictEqual(body.task.meetings.map(meeting => meeting.date), ['2025-10-01']);
+  assert.deepStrictEqual(queries[0].query.transcriptId, { $in: [later._id.toString()] });
+});
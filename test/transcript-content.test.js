@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTranscriptData, hashTranscriptEntries } = require('../routes/transcript-content');
+
+const entries = [
+  { speaker: 'Alice', text: 'SP-12 is done.', start: '00:00:01.000', end: '00:00:04.000' },
+  { speaker: 'Bob', text: 'I am blocked on SP-14.', start: '00:00:05.000', end: '00:00:08.000' }
+];
+const withEntry = (index, fields) => entries.map((entry, i) => (i === index ? { ...entry, ...fields } : entry));
+
+test('the content hash changes when speakers, text or timestamps change', () => {
+  const original = hashTranscriptEntries(entries);
+
+  assert.strictEqual(hashTranscriptEntries(entries.map(entry => ({ ...entry }))), original);
+  assert.notStrictEqual(hashTranscriptEntries(withEntry(1, { speaker: 'Carol' })), original);
+  assert.notStrictEqual(hashTranscriptEntries(withEntry(1, { text: 'I am unblocked.' })), original);
+  assert.notStrictEqual(hashTranscriptEntries(withEntry(0, { start: '00:00:02.000' })), original);
+  assert.notStrictEqual(hashTranscriptEntries(withEntry(0, { end: '00:00:03.500' })), original);
+});
+
+test('timestamps are hashed whichever field names the source used', () => {
+  const renamed = entries.map(({ start, end, ...entry }) => ({ ...entry, startTime: start, endTime: end }));
+  assert.strictEqual(hashTranscriptEntries(renamed), hashTranscriptEntries(entries));
+
+  const untimed = entries.map(({ speaker, text }) => ({ speaker, text }));
+  assert.notStrictEqual(hashTranscriptEntries(untimed), hashTranscriptEntries(entries));
+});
+
+test('parsed transcripts carry their formatted content and hash', () => {
+  const parsed = parseTranscriptData({ transcript_data: JSON.stringify(entries) });
+
+  assert.deepStrictEqual(parsed.transcriptEntries, entries);
+  assert.strictEqual(parsed.transcriptContent, 'Alice: SP-12 is done.\nBob: I am blocked on SP-14.');
+  assert.strictEqual(parsed.contentHash, hashTranscriptEntries(entries));
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseTranscript } = require('../routes/transcript-parsers');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'transcripts', name), 'utf8');
+// Same file as saved by Windows tools: UTF-8 byte order mark and CRLF line endings
+const withBomAndCrlf = (content) => `\uFEFF${content.replace(/\n/g, '\r\n')}`;
+
+const STANDUP_TURNS = [
+  { speaker: 'Alice Chen', text: "SP-101 is deployed to staging. I'll run the smoke tests today." },
+  { speaker: 'Bob', text: 'Still blocked on the database migration.' }
+];
+
+test('WebVTT cues become speaker turns with normalised timestamps', () => {
+  const { format, entries, errors } = parseTranscript(fixture('standup.vtt'));
+
+  assert.strictEqual(format, 'vtt');
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(entries, [
+    { ...STANDUP_TURNS[0], start: '00:00:01.000', end: '00:00:07.000' },
+    { ...STANDUP_TURNS[1], start: '00:00:07.250', end: '00:00:10.000' },
+    // Cue without an identifier or hours, speaker in brackets
+    { speaker: 'Carol', text: 'I can pair with you after lunch.', start: '00:00:10.000', end: '00:00:12.000' }
+  ]);
+});
+
+test('SRT cues become speaker turns with normalised timestamps', () => {
+  const { format, entries, errors } = parseTranscript(fixture('standup.srt'));
+
+  assert.strictEqual(format, 'srt');
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(entries, [
+    { ...STANDUP_TURNS[0], start: '00:00:01.000', end: '00:00:07.000' },
+    { ...STANDUP_TURNS[1], start: '00:00:07.250', end: '00:00:10.000' }
+  ]);
+});
+
+test('plain text turns keep optional timestamps and continuation lines', () => {
+  const { format, entries, errors } = parseTranscript(fixture('standup.txt'));
+
+  assert.strictEqual(format, 'text');
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(entries, [
+    { ...STANDUP_TURNS[0], start: '00:00:01.000' },
+    { ...STANDUP_TURNS[1], start: '00:00:07.000' },
+    { speaker: 'Carol', text: 'I can pair with you after lunch.' }
+  ]);
+});
+
+test('JSON entries are validated one by one and reported by index', () => {
+  const { format, entries, errors } = parseTranscript(fixture('standup.json'));
+
+  assert.strictEqual(format, 'json');
+  assert.deepStrictEqual(entries, [
+    { speaker: 'Alice Chen', text: 'SP-101 is deployed to staging.', start: '00:00:01.000' },
+    { speaker: 'Bob', text: 'Still blocked on the database migration.' }
+  ]);
+  assert.deepStrictEqual(errors.map(error => error.entry), [2, 3]);
+  assert.match(errors[0].message, /^speaker:/);
+  assert.match(errors[1].message, /^text:/);
+
+  assert.deepStrictEqual(parseTranscript('[{"speaker": "Alice",', 'json').errors.map(error => error.line), [1]);
+  assert.match(parseTranscript('{"speaker": "Alice"}', 'json').errors[0].message, /Expected a JSON array/);
+});
+
+test('a byte order mark and CRLF line endings parse like the original file', () => {
+  for (const name of ['standup.vtt', 'standup.srt', 'standup.txt', 'malformed.vtt', 'malformed.srt', 'malformed.txt']) {
+    assert.deepStrictEqual(parseTranscript(withBomAndCrlf(fixture(name))), parseTranscript(fixture(name)), name);
+  }
+  assert.strictEqual(parseTranscript(withBomAndCrlf(fixture('standup.json'))).format, 'json');
+});
+
+test('malformed WebVTT cues are skipped and reported with their line numbers', () => {
+  const { entries, errors } = parseTranscript(fixture('malformed.vtt'));
+
+  assert.deepStrictEqual(entries, [{ speaker: 'Alice', text: 'Fine cue.', start: '00:00:01.000', end: '00:00:04.000' }]);
+  assert.deepStrictEqual(errors, [
+    { line: 6, message: 'Cue is missing a "start --> end" timing line' },
+    { line: 9, message: 'Cue ends before it starts' },
+    { line: 12, message: 'Invalid timing line "00:01:75.000 --> 00:01:80.000"' },
+    { line: 15, message: 'Cue is missing a "start --> end" timing line' },
+    { line: 17, message: 'Cue has no text' }
+  ]);
+
+  assert.deepStrictEqual(parseTranscript('00:00:01.000 --> 00:00:02.000\nAlice: hi', 'vtt').errors,
+    [{ line: 1, message: 'WebVTT files must start with "WEBVTT"' }]);
+});
+
+test('malformed SRT cues are reported with their line numbers', () => {
+  const { entries, errors } = parseTranscript(fixture('malformed.srt'));
+
+  assert.deepStrictEqual(entries.map(entry => entry.speaker), ['Alice', 'Bob', 'Carol']);
+  assert.deepStrictEqual(errors, [
+    { line: 5, message: 'Expected a numeric cue index before the timing line' },
+    { line: 8, message: 'Expected a numeric cue index before the timing line' },
+    { line: 10, message: 'Unexpected text before the timing line' }
+  ]);
+});
+
+test('malformed plain text lines are reported with their line numbers', () => {
+  const { entries, errors } = parseTranscript(fixture('malformed.txt'));
+
+  assert.deepStrictEqual(entries, [{ speaker: 'Alice', text: 'First turn.' }]);
+  assert.deepStrictEqual(errors, [
+    { line: 1, message: 'Expected "Speaker: text" before any continuation lines' },
+    { line: 3, message: 'Invalid timestamp "99:99"' },
+    { line: 4, message: 'Turn for "Bob" has no text' }
+  ]);
+});
+
+test('a transcript without dialogue is rejected', () => {
+  assert.deepStrictEqual(parseTranscript('WEBVTT\n\nNOTE nothing was said\n').errors,
+    [{ line: 1, message: 'Transcript contains no dialogue' }]);
+  assert.deepStrictEqual(parseTranscript('[]').errors, [{ line: 1, message: 'Transcript contains no dialogue' }]);
+});
@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TokenBucket, UpstreamScheduler, isRetryableError, getRetryAfterMs, getBackoffMs } = require('../routes/upstream-scheduler');
+
+/**
+ * Replace Date.now and setTimeout with a virtual clock: timers fire on the next turn
+ * of the event loop and move the clock forward to their due time
+ */
+function useVirtualClock(t) {
+  const clock = { now: 1700000000000, delays: [] };
+  t.mock.method(Date, 'now', () => clock.now);
+  t.mock.method(global, 'setTimeout', (callback, ms = 0) => {
+    const dueAt = clock.now + ms;
+    clock.delays.push(ms);
+    setImmediate(() => {
+      clock.now = Math.max(clock.now, dueAt);
+      callback();
+    });
+  });
+  return clock;
+}
+
+const rateLimited = (headers = {}) => Object.assign(new Error('Rate limited'), { status: 429, headers });
+
+test('a token bucket allows a burst and then refills continuously', (t) => {
+  const clock = useVirtualClock(t);
+  const bucket = new TokenBucket({ perMinute: 60, capacity: 2 });
+
+  assert.strictEqual(bucket.tryTake(), 0);
+  assert.strictEqual(bucket.tryTake(), 0);
+  assert.strictEqual(bucket.tryTake(), 1000);
+
+  clock.now += 400;
+  assert.strictEqual(bucket.tryTake(), 600);
+  clock.now += 600;
+  assert.strictEqual(bucket.tryTake(), 0);
+  assert.strictEqual(bucket.isFull(), false);
+
+  // Never refills past its capacity
+  clock.now += 60000;
+  assert.strictEqual(bucket.isFull(), true);
+  assert.strictEqual(bucket.tryTake(3), 1000);
+});
+
+test('a token bucket serves waiting takers in order, capping oversized takes', async (t) => {
+  const clock = useVirtualClock(t);
+  const bucket = new TokenBucket({ perMinute: 60, capacity: 2 });
+  const order = [];
+
+  await Promise.all([
+    bucket.take(2).then(() => order.push(['first', clock.now])),
+    // More than the bucket holds: waits for a full bucket instead of forever
+    bucket.take(5).then(() => order.push(['oversized', clock.now])),
+    bucket.take(1).then(() => order.push(['last', clock.now]))
+  ]);
+
+  const start = 1700000000000;
+  assert.deepStrictEqual(order, [['first', start], ['oversized', start + 2000], ['last', start + 3000]]);
+});
+
+test('rate limits, server errors, timeouts and dropped connections are retried', () => {
+  assert.strictEqual(isRetryableError({ status: 429 }), true);
+  assert.strictEqual(isRetryableError({ status: 429, code: 'insufficient_quota' }), false);
+  assert.strictEqual(isRetryableError({ status: 429, error: { code: 'insufficient_quota' } }), false);
+  assert.strictEqual(isRetryableError({ response: { status: 503 } }), true);
+  assert.strictEqual(isRetryableError({ status: 408 }), true);
+  assert.strictEqual(isRetryableError({ status: 400 }), false);
+  assert.strictEqual(isRetryableError({ status: 401 }), false);
+  assert.strictEqual(isRetryableError({ name: 'TimeoutError' }), true);
+  assert.strictEqual(isRetryableError({ code: 'ECONNRESET' }), true);
+  assert.strictEqual(isRetryableError({ cause: { code: 'ETIMEDOUT' } }), true);
+  assert.strictEqual(isRetryableError(new TypeError('Cannot read properties of undefined')), false);
+});
+
+test('Retry-After is read in milliseconds, seconds or as an HTTP date', (t) => {
+  useVirtualClock(t);
+
+  assert.strictEqual(getRetryAfterMs({ headers: { 'retry-after-ms': '250', 'retry-after': '3' } }), 250);
+  assert.strictEqual(getRetryAfterMs({ headers: { 'retry-after': '3' } }), 3000);
+  assert.strictEqual(getRetryAfterMs({ response: { headers: new Headers({ 'Retry-After': '1.5' }) } }), 1500);
+  assert.strictEqual(getRetryAfterMs({ headers: { 'retry-after': new Date(Date.now() + 7000).toUTCString() } }), 7000);
+  assert.strictEqual(getRetryAfterMs({ headers: { 'retry-after': new Date(Date.now() - 7000).toUTCString() } }), null);
+  assert.strictEqual(getRetryAfterMs({ headers: {} }), null);
+  assert.strictEqual(getRetryAfterMs(new Error('no response')), null);
+});
+
+test('backoff doubles per attempt, is capped and jittered between half and all of it', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepStrictEqual([0, 1, 2, 3].map(attempt => getBackoffMs(attempt, { baseMs: 100, maxMs: 500 })), [50, 100, 200, 250]);
+
+  Math.random.mock.mockImplementation(() => 1);
+  assert.deepStrictEqual([0, 1, 2, 3].map(attempt => getBackoffMs(attempt, { baseMs: 100, maxMs: 500 })), [100, 200, 400, 500]);
+});
+
+test('failed calls are retried with backoff until they succeed', async (t) => {
+  const clock = useVirtualClock(t);
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(Math, 'random', () => 1);
+  const scheduler = new UpstreamScheduler({ name: 'test', maxRetries: 3 });
+  let calls = 0;
+
+  const result = await scheduler.schedule(async () => {
+    calls++;
+    if (calls < 3) {
+      throw Object.assign(new Error('Bad gateway'), { status: 502 });
+    }
+    return 'ok';
+  });
+
+  assert.strictEqual(result, 'ok');
+  assert.strictEqual(calls, 3);
+  // UPSTREAM_RETRY_BASE_MS defaults to one second
+  assert.deepStrictEqual(clock.delays, [1000, 2000]);
+});
+
+test('non-retryable errors fail at once and retries stop at maxRetries', async (t) => {
+  useVirtualClock(t);
+  t.mock.method(console, 'warn', () => {});
+  const scheduler = new UpstreamScheduler({ name: 'test', maxRetries: 2 });
+
+  let calls = 0;
+  await assert.rejects(scheduler.schedule(async () => {
+    calls++;
+    throw Object.assign(new Error('Bad request'), { status: 400 });
+  }), /Bad request/);
+  assert.strictEqual(calls, 1);
+
+  calls = 0;
+  await assert.rejects(scheduler.schedule(async () => {
+    calls++;
+    throw rateLimited();
+  }), /Rate limited/);
+  assert.strictEqual(calls, 3);
+});
+
+test('a Retry-After pauses every queued call, not only the one that failed', async (t) => {
+  const clock = useVirtualClock(t);
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(Math, 'random', () => 0);
+  const scheduler = new UpstreamScheduler({ name: 'test', maxConcurrency: 1 });
+  const start = clock.now;
+  const callTimes = { first: [], second: [] };
+
+  await Promise.all([
+    scheduler.schedule(async () => {
+      callTimes.first.push(clock.now - start);
+      if (callTimes.first.length === 1) {
+        throw rateLimited({ 'retry-after': '5' });
+      }
+    }),
+    scheduler.schedule(async () => {
+      callTimes.second.push(clock.now - start);
+    })
+  ]);
+
+  assert.deepStrictEqual(callTimes, { first: [0, 5000], second: [5000] });
+});
+
+test('calls beyond maxConcurrency wait for a free slot', async () => {
+  const scheduler = new UpstreamScheduler({ name: 'test', maxConcurrency: 2 });
+  let running = 0;
+  let peak = 0;
+  const call = async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setImmediate(resolve));
+    running--;
+  };
+
+  await Promise.all([1, 2, 3, 4, 5].map(() => scheduler.schedule(call)));
+
+  assert.strictEqual(peak, 2);
+  assert.strictEqual(scheduler.active, 0);
+});
+
+test('requests and tokens per minute throttle calls', async (t) => {
+  const clock = useVirtualClock(t);
+  const scheduler = new UpstreamScheduler({ name: 'test', requestsPerMinute: 2, tokensPerMinute: 1000 });
+  const start = clock.now;
+  const callTimes = [];
+  const call = async () => callTimes.push(clock.now - start);
+
+  await Promise.all([scheduler.schedule(call), scheduler.schedule(call), scheduler.schedule(call)]);
+  assert.deepStrictEqual(callTimes, [0, 0, 30000]);
+
+  // The token bucket has 1000 left after a minute of refill; 1500 more takes the whole bucket
+  callTimes.length = 0;
+  clock.now += 60000;
+  const afterRefill = clock.now - start;
+  await scheduler.schedule(call, { tokens: 1500 });
+  await scheduler.schedule(call, { tokens: 500 });
+  assert.deepStrictEqual(callTimes, [afterRefill, afterRefill + 30000]);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseModelPrices, estimateCost } = require('../routes/usage-tracker');
+
+test('MODEL_PRICES overrides are parsed when well formed', () => {
+  assert.deepStrictEqual(
+    parseModelPrices('{"my-model": {"input": 0.5, "output": 1.5}, "my-embedder": {"input": 0.02}}'),
+    { 'my-model': { input: 0.5, output: 1.5 }, 'my-embedder': { input: 0.02 } }
+  );
+  assert.deepStrictEqual(parseModelPrices(undefined), {});
+});
+
+test('malformed MODEL_PRICES are ignored instead of throwing', (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  assert.deepStrictEqual(parseModelPrices('{"my-model": {"input": 0.5,'), {});
+  assert.deepStrictEqual(parseModelPrices('{"my-model": {"input": "cheap"}}'), {});
+  assert.deepStrictEqual(parseModelPrices('{"my-model": 0.5}'), {});
+  assert.deepStrictEqual(parseModelPrices('[1, 2]'), {});
+  assert.strictEqual(console.error.mock.callCount(), 4);
+});
+
+test('cost estimates handle dated model names and events without a model', () => {
+  assert.strictEqual(estimateCost('gpt-4o-mini-2024-07-18', 1e6, 1e6), estimateCost('gpt-4o-mini', 1e6, 1e6));
+  assert.strictEqual(estimateCost('unknown-model', 1000, 1000), null);
+  assert.strictEqual(estimateCost(undefined, 1000, 1000), null);
+  assert.strictEqual(estimateCost(null, 1000, 0), null);
+});